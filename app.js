@@ -0,0 +1,164 @@
+const { isDeepStrictEqual } = require('util');
+const express = require('express');
+const cors = require('cors');
+const { config: defaultConfig, validateConfig } = require('./config');
+
+// Import routes
+const productRoutes = require('./routes/productRoutes');
+const basketRoutes = require('./routes/basketRoutes');
+const scanRoutes = require('./routes/scanRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const authRoutes = require('./routes/authRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const orderRoutes = require('./routes/orderRoutes');
+const { requestId, requestLogger, requestMetrics, sanitizeInput, createRateLimiter, errorHandler, notFoundHandler } = require('./middleware');
+const { ERROR_CODES, ForbiddenError, AuthenticationError, asyncHandler } = require('./utils/errors');
+const { register: metricsRegister } = require('./utils/metrics');
+
+/**
+ * Express application factory
+ * Builds the API without connecting to the database or listening, so it can be mounted
+ * inside another server or exercised in-process by tests. `index.js` does the rest.
+ */
+
+/**
+ * CORS options allowing only the configured origins
+ */
+const corsOptions = (config) => ({
+    origin: function (origin, callback) {
+        // Allow requests with no origin (like mobile apps or curl requests)
+        if (!origin) return callback(null, true);
+
+        if (config.corsOrigins.includes(origin)) {
+            return callback(null, true);
+        }
+
+        return callback(new ForbiddenError('Origin not allowed by CORS', { code: ERROR_CODES.CORS_NOT_ALLOWED }));
+    },
+    credentials: true,
+    optionsSuccessStatus: 200,
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-Device-Key'],
+    exposedHeaders: ['X-Request-Id', 'Retry-After']
+});
+
+// Settings createApp reads from the config it is given; everything else is read from the shared
+// config by routes, schemas and services when they load
+const APP_LEVEL_KEYS = [
+    'nodeEnv', 'corsOrigins', 'jsonLimit', 'rateLimitWindowMs', 'rateLimitMax', 'apiPrefix', 'metricsToken',
+    // Read per request from req.app.get('config')
+    'defaultPageSize', 'maxPageSize'
+];
+
+/**
+ * Refuse overrides the app cannot honour, rather than silently running with the shared values
+ */
+const assertOverridable = (config) => {
+    const ignored = Object.keys(config).filter(key =>
+        !APP_LEVEL_KEYS.includes(key) && key in defaultConfig && !isDeepStrictEqual(config[key], defaultConfig[key])
+    );
+
+    if (ignored.length > 0) {
+        throw new Error(`createApp cannot override ${ignored.join(', ')}; ` +
+            `only ${APP_LEVEL_KEYS.join(', ')} may differ from the shared config. Set the others through the environment.`);
+    }
+};
+
+/**
+ * Create the API application
+ * `config` defaults to the shared configuration loaded from the environment; pass your own
+ * (e.g. `{ ...config, corsOrigins: [...] }`) to change app-level settings
+ */
+const createApp = (config = defaultConfig) => {
+    validateConfig(config, { requireDatabase: false });
+    assertOverridable(config);
+
+    const app = express();
+    const corsMiddleware = cors(corsOptions(config));
+
+    app.set('env', config.nodeEnv);
+    app.set('config', config);
+
+    // Middleware
+    // Request IDs come first so even CORS and body-parsing errors can be traced
+    app.use(requestId);
+    app.use(requestLogger);
+    app.use(requestMetrics);
+    app.use(corsMiddleware);
+    app.use(express.json({ limit: config.jsonLimit }));
+    app.use(express.urlencoded({ extended: true, limit: config.jsonLimit }));
+    // CSV product imports (POST /products/import)
+    app.use(express.text({ type: 'text/csv', limit: config.jsonLimit }));
+    app.use(sanitizeInput);
+
+    // Handle preflight requests for all routes
+    app.options('*', corsMiddleware);
+
+    // Health checks: /health/live for liveness, /health/ready (and /health) for readiness
+    app.use('/health', healthRoutes);
+
+    // Prometheus metrics, optionally protected by a bearer token
+    app.get('/metrics', asyncHandler(async (req, res) => {
+        if (config.metricsToken && req.get('Authorization') !== `Bearer ${config.metricsToken}`) {
+            throw new AuthenticationError('Metrics token required', { code: ERROR_CODES.INVALID_TOKEN });
+        }
+
+        res.set('Content-Type', metricsRegister.contentType);
+        res.send(await metricsRegister.metrics());
+    }));
+
+    // API Routes
+    // Health checks and metrics stay outside the rate limit so probes and scrapers are never throttled
+    if (config.rateLimitMax > 0) {
+        app.use(config.apiPrefix, createRateLimiter(config.rateLimitWindowMs, config.rateLimitMax));
+    }
+
+    app.use(`${config.apiPrefix}/auth`, authRoutes);
+    app.use(`${config.apiPrefix}/products`, productRoutes);
+    app.use(`${config.apiPrefix}/categories`, categoryRoutes);
+    app.use(`${config.apiPrefix}/baskets`, basketRoutes);
+    app.use(`${config.apiPrefix}/scan`, scanRoutes);
+    app.use(`${config.apiPrefix}/promotions`, promotionRoutes);
+    app.use(`${config.apiPrefix}/events`, eventRoutes);
+    app.use(`${config.apiPrefix}/devices`, deviceRoutes);
+    app.use(`${config.apiPrefix}/orders`, orderRoutes);
+
+    // Root endpoint with API information
+    app.get('/', (req, res) => {
+        res.json({
+            message: 'Smart Grocery Basket API',
+            version: '1.0.0',
+            endpoints: {
+                health: '/health',
+                liveness: '/health/live',
+                readiness: '/health/ready',
+                metrics: '/metrics',
+                auth: `${config.apiPrefix}/auth`,
+                products: `${config.apiPrefix}/products`,
+                categories: `${config.apiPrefix}/categories`,
+                baskets: `${config.apiPrefix}/baskets`,
+                scan: `${config.apiPrefix}/scan`,
+                promotions: `${config.apiPrefix}/promotions`,
+                events: `${config.apiPrefix}/events`,
+                devices: `${config.apiPrefix}/devices`,
+                orders: `${config.apiPrefix}/orders`
+            },
+            documentation: 'API Documentation available at /api/docs'
+        });
+    });
+
+    // Handle 404 for undefined routes
+    app.use(notFoundHandler);
+
+    // Global error handling middleware; must be registered last
+    app.use(errorHandler);
+
+    return app;
+};
+
+module.exports = {
+    createApp
+};
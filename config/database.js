@@ -1,46 +1,79 @@
 const mongoose = require('mongoose');
+const { config } = require('./index');
+const { logger } = require('../utils/logger');
 
 /**
  * Database configuration and connection utilities
  */
 
-const connectDB = async () => {
+// Fields whose values never reach the logs, wherever they appear in a filter, update or document
+const REDACTED_FIELDS = ['passwordHash', 'apiKeyHash', 'password', 'apiKey'];
+
+/**
+ * Copy query arguments with secret field values replaced
+ * Dotted paths ("auth.passwordHash") are matched on their last segment
+ */
+const redactQueryArgs = (value) => {
+    if (Array.isArray(value)) return value.map(redactQueryArgs);
+
+    const prototype = value !== null && typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+    if (prototype !== Object.prototype && prototype !== null) return value;
+
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+        key,
+        REDACTED_FIELDS.includes(key.split('.').pop()) ? '[REDACTED]' : redactQueryArgs(entry)
+    ]));
+};
+
+/**
+ * Log every query at the debug level, with secrets redacted
+ * Queries run inside the request context, so each line carries the ID of the request that issued it
+ */
+const enableQueryLogging = () => {
+    if (!logger.isDebugEnabled()) return;
+    
+    mongoose.set('debug', (collection, method, ...args) => {
+        logger.debug(`db.${collection}.${method}`, { collection, method, args: redactQueryArgs(args) });
+    });
+};
+
+/**
+ * Connect to MongoDB and log connection state changes
+ */
+const connectDB = async (uri = config.mongoUri) => {
     try {
-        if (!process.env.MONGO_URI) {
-            throw new Error('MONGO_URI environment variable is not defined');
+        if (!uri) {
+            throw new Error('MONGO_URI is not configured');
         }
 
         const mongoOptions = {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
             maxPoolSize: 10, // Maintain up to 10 socket connections
             serverSelectionTimeoutMS: 5000, // Keep trying to send operations for 5 seconds
             socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
-            family: 4, // Use IPv4, skip trying IPv6
-            bufferCommands: false, // Disable mongoose buffering
-            bufferMaxEntries: 0, // Disable mongoose buffering
+            family: 4 // Use IPv4, skip trying IPv6
         };
 
-        const conn = await mongoose.connect(process.env.MONGO_URI, mongoOptions);
+        enableQueryLogging();
+        const conn = await mongoose.connect(uri, mongoOptions);
         
-        console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+        logger.info(`MongoDB connected: ${conn.connection.host}`, { host: conn.connection.host, database: conn.connection.name });
         
         // Log connection state changes
-        mongoose.connection.on('connected', () => {
-            console.log('📦 Mongoose connected to DB');
-        });
-        
         mongoose.connection.on('error', (error) => {
-            console.error('❌ Mongoose connection error:', error);
+            logger.error(`Mongoose connection error: ${error.message}`, { stack: error.stack });
         });
         
         mongoose.connection.on('disconnected', () => {
-            console.warn('⚠️ Mongoose disconnected');
+            logger.warn('Mongoose disconnected');
+        });
+        
+        mongoose.connection.on('reconnected', () => {
+            logger.info('Mongoose reconnected');
         });
         
         return conn;
     } catch (error) {
-        console.error('❌ Database connection failed:', error.message);
+        logger.error(`Database connection failed: ${error.message}`);
         throw error;
     }
 };
@@ -51,9 +84,9 @@ const connectDB = async () => {
 const closeDB = async () => {
     try {
         await mongoose.connection.close();
-        console.log('📦 Database connection closed');
+        logger.info('Database connection closed');
     } catch (error) {
-        console.error('❌ Error closing database connection:', error.message);
+        logger.error(`Error closing database connection: ${error.message}`);
     }
 };
 
@@ -75,8 +108,37 @@ const getConnectionStatus = () => {
     };
 };
 
+/**
+ * Round-trip a ping to the database server
+ * Resolves to the latency in milliseconds; rejects when disconnected or slower than timeoutMs
+ */
+const pingDB = async (timeoutMs) => {
+    if (mongoose.connection.readyState !== 1) {
+        throw new Error(`Database is ${getConnectionStatus().state}`);
+    }
+    
+    const start = process.hrtime.bigint();
+    let timer;
+    
+    try {
+        await Promise.race([
+            mongoose.connection.db.admin().ping(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Database ping timed out after ${timeoutMs}ms`)), timeoutMs);
+            })
+        ]);
+    } finally {
+        clearTimeout(timer);
+    }
+    
+    return Number(process.hrtime.bigint() - start) / 1e6;
+};
+
 module.exports = {
     connectDB,
     closeDB,
-    getConnectionStatus
+    enableQueryLogging,
+    redactQueryArgs,
+    getConnectionStatus,
+    pingDB
 };
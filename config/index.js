@@ -1,70 +1,234 @@
+require('dotenv').config();
+
 /**
  * Application configuration settings
+ * The single source of configuration: environment variables (with `.env` loaded first)
+ * over the defaults below. Everything else reads `config` instead of process.env.
+ */
+
+// winston's npm levels, most to least severe
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const LOG_FORMATS = ['json', 'pretty'];
+
+// Origins allowed by CORS when FRONTEND_URLS is not set
+const DEFAULT_CORS_ORIGINS = [
+    'http://localhost:3000',
+    'http://localhost:3001',
+    'https://smart-grocery-basket-frontend.vercel.app'
+];
+
+// Size strings accepted by express.json(), e.g. 500kb or 10mb
+const SIZE_PATTERN = /^\d+(b|kb|mb|gb)?$/i;
+
+/**
+ * Read a whole number from the environment, keeping the raw value when it is not one so validation can report it
  */
+const toInteger = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    return /^\d+$/.test(value.trim()) ? Number(value) : value;
+};
+
+/**
+ * Split a comma-separated list from the environment
+ */
+const toList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
 
-const config = {
-    // Server Configuration
-    port: process.env.PORT || 5001,
-    nodeEnv: process.env.NODE_ENV || 'development',
-    
-    // Database Configuration
-    mongoUri: process.env.MONGO_URI,
-    
-    // CORS Configuration
-    corsOrigins: process.env.NODE_ENV === 'production' 
-        ? process.env.FRONTEND_URLS?.split(',') || []
-        : ['http://localhost:3000', 'http://localhost:3001'],
-    
-    // API Configuration
-    apiPrefix: '/api',
-    apiVersion: 'v1',
-    
-    // Request Limits
-    jsonLimit: process.env.JSON_LIMIT || '10mb',
-    
-    // Pagination Defaults
-    defaultPageSize: 50,
-    maxPageSize: 100,
-    
-    // Product Categories
-    productCategories: [
-        'Dairy',
-        'Fruits', 
-        'Vegetables',
-        'Grocery',
-        'Bakery',
-        'Beverages',
-        'Snacks',
-        'Other'
-    ],
-    
-    // Supported Barcode Formats
-    barcodeFormats: [
-        'code_128',
-        'code_39', 
-        'code_93',
-        'codabar',
-        'ean_13',
-        'ean_8',
-        'itf',
-        'pdf417',
-        'upc_a',
-        'upc_e',
-        'qr_code'
-    ]
+/**
+ * Build the configuration from environment variables
+ */
+const loadConfig = (env = process.env) => {
+    const nodeEnv = env.NODE_ENV || 'development';
+    const isProduction = nodeEnv === 'production';
+    
+    return {
+        // Server Configuration
+        port: toInteger(env.PORT, 5001),
+        nodeEnv,
+    
+        // Database Configuration
+        mongoUri: env.MONGO_URI,
+    
+        // CORS Configuration
+        corsOrigins: env.FRONTEND_URLS ? toList(env.FRONTEND_URLS) : DEFAULT_CORS_ORIGINS,
+    
+        // API Configuration
+        apiPrefix: '/api',
+        apiVersion: 'v1',
+    
+        // Authentication
+        jwtSecret: env.JWT_SECRET,
+        jwtExpiresIn: env.JWT_EXPIRES_IN || '12h',
+    
+        // Logging
+        // Production keeps request lines (http) for tracing; development also shows database queries (debug)
+        logLevel: env.LOG_LEVEL || (isProduction ? 'http' : 'debug'),
+        logFormat: env.LOG_FORMAT || (isProduction ? 'json' : 'pretty'),
+    
+        // Health Checks
+        // Readiness fails when the database does not answer a ping within this many milliseconds
+        healthCheckTimeoutMs: toInteger(env.HEALTH_CHECK_TIMEOUT_MS, 2000),
+    
+        // Metrics
+        // When set, GET /metrics requires `Authorization: Bearer <token>`
+        metricsToken: env.METRICS_TOKEN || undefined,
+    
+        // Real-time Events
+        // Events kept for clients resuming with Last-Event-ID, and the keep-alive interval of open streams
+        eventHistorySize: 1000,
+        eventHeartbeatMs: 25000,
+    
+        // IoT Devices
+        // Devices are shown offline after this long without a request; idempotency keys are kept for the retention window
+        deviceOfflineAfterSeconds: toInteger(env.DEVICE_OFFLINE_AFTER_SECONDS, 120),
+        deviceEventRetentionDays: 30,
+        deviceBatchLimit: 500,
+    
+        // Weight Verification
+        // Unit tolerance for products without weightToleranceGrams, and the load cell's own error
+        defaultWeightTolerancePercent: 5,
+        scaleToleranceGrams: 10,
+    
+        // Orders and Receipts
+        // Shown on printed receipts; the time zone also decides the date in order numbers
+        store: {
+            name: env.STORE_NAME || 'Smart Grocery Basket',
+            address: env.STORE_ADDRESS || '',
+            gstin: env.STORE_GSTIN || '',
+            timeZone: env.STORE_TIME_ZONE || 'Asia/Kolkata'
+        },
+        orderNumberPrefix: 'SGB',
+        // GST rates (%) by category name, used when the category (or an ancestor) sets no taxRate;
+        // MRP already includes the tax
+        taxRates: {
+            Dairy: 5,
+            Fruits: 0,
+            Vegetables: 0,
+            Grocery: 5,
+            Bakery: 5,
+            Beverages: 12,
+            Snacks: 12,
+            Other: 18
+        },
+        defaultTaxRate: 18,
+    
+        // Request Limits
+        jsonLimit: env.JSON_LIMIT || '10mb',
+        // Requests each client IP may make to the API per window; 0 turns the limit off
+        rateLimitWindowMs: toInteger(env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+        rateLimitMax: toInteger(env.RATE_LIMIT_MAX, 1000),
+    
+        // Pagination Defaults
+        defaultPageSize: toInteger(env.DEFAULT_PAGE_SIZE, 50),
+        maxPageSize: toInteger(env.MAX_PAGE_SIZE, 100),
+    
+        // Product Categories
+        productCategories: [
+            'Dairy',
+            'Fruits', 
+            'Vegetables',
+            'Grocery',
+            'Bakery',
+            'Beverages',
+            'Snacks',
+            'Other'
+        ],
+    
+        // In-store variable-measure EAN-13 labels "2P IIIII VVVVV C": the prefix "2P" decides whether
+        // VVVVV is the weight in grams or the price in paise; IIIII is the product's PLU
+        variableMeasurePrefixes: {
+            weight: ['20', '21', '22', '23', '24'],
+            price: ['25', '26', '27', '28', '29']
+        },
+    
+        // Supported Barcode Formats
+        barcodeFormats: [
+            'code_128',
+            'code_39', 
+            'code_93',
+            'codabar',
+            'ean_13',
+            'ean_8',
+            'itf',
+            'pdf417',
+            'upc_a',
+            'upc_e',
+            'qr_code'
+        ]
+    };
 };
 
-// Validation
-const validateConfig = () => {
-    const required = ['mongoUri'];
-    const missing = required.filter(key => !config[key]);
+const config = loadConfig();
+
+/**
+ * Check a configuration and throw one error listing every problem
+ * The database and secrets are only required to run the server, not to build the app
+ */
+const validateConfig = (cfg = config, { requireDatabase = true } = {}) => {
+    const problems = [];
     
+    const required = [
+        ...(requireDatabase ? ['mongoUri'] : []),
+        ...(cfg.nodeEnv === 'production' ? ['jwtSecret'] : [])
+    ];
+    const missing = required.filter(key => !cfg[key]);
     if (missing.length > 0) {
-        throw new Error(`Missing required configuration: ${missing.join(', ')}`);
+        problems.push(`Missing required configuration: ${missing.join(', ')}`);
+    }
+    
+    if (!Number.isInteger(cfg.port) || cfg.port < 0 || cfg.port > 65535) {
+        problems.push('PORT must be a whole number between 0 and 65535');
+    }
+    
+    for (const [key, name] of [['defaultPageSize', 'DEFAULT_PAGE_SIZE'], ['maxPageSize', 'MAX_PAGE_SIZE'], ['healthCheckTimeoutMs', 'HEALTH_CHECK_TIMEOUT_MS'], ['deviceOfflineAfterSeconds', 'DEVICE_OFFLINE_AFTER_SECONDS']]) {
+        if (!Number.isInteger(cfg[key]) || cfg[key] < 1) {
+            problems.push(`${name} must be a positive whole number`);
+        }
+    }
+    
+    if (Number.isInteger(cfg.defaultPageSize) && Number.isInteger(cfg.maxPageSize) && cfg.defaultPageSize > cfg.maxPageSize) {
+        problems.push('DEFAULT_PAGE_SIZE cannot exceed MAX_PAGE_SIZE');
+    }
+    
+    if (!Number.isInteger(cfg.rateLimitWindowMs) || cfg.rateLimitWindowMs < 1) {
+        problems.push('RATE_LIMIT_WINDOW_MS must be a positive whole number');
+    }
+    
+    if (!Number.isInteger(cfg.rateLimitMax) || cfg.rateLimitMax < 0) {
+        problems.push('RATE_LIMIT_MAX must be a whole number (0 disables rate limiting)');
+    }
+    
+    if (!SIZE_PATTERN.test(String(cfg.jsonLimit))) {
+        problems.push('JSON_LIMIT must be a size such as 500kb or 10mb');
+    }
+    
+    const badOrigins = (cfg.corsOrigins || []).filter(origin => !/^https?:\/\/[^/\s]+$/.test(origin));
+    if (badOrigins.length > 0) {
+        problems.push(`FRONTEND_URLS must be origins like https://app.example.com (invalid: ${badOrigins.join(', ')})`);
+    }
+    
+    if (!LOG_LEVELS.includes(cfg.logLevel)) {
+        problems.push(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
     }
+    
+    if (!LOG_FORMATS.includes(cfg.logFormat)) {
+        problems.push(`LOG_FORMAT must be one of: ${LOG_FORMATS.join(', ')}`);
+    }
+    
+    try {
+        new Intl.DateTimeFormat('en-IN', { timeZone: cfg.store.timeZone });
+    } catch (error) {
+        problems.push(`STORE_TIME_ZONE must be an IANA time zone such as Asia/Kolkata (got ${cfg.store.timeZone})`);
+    }
+    
+    if (problems.length > 0) {
+        throw new Error(`Invalid configuration:\n- ${problems.join('\n- ')}`);
+    }
+    
+    return cfg;
 };
 
 module.exports = {
     config,
+    loadConfig,
     validateConfig
 };
@@ -1,157 +1,33 @@
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
-require('dotenv').config();
-
-// Import routes
-const productRoutes = require('./routes/productRoutes');
-
-const app = express();
-const PORT = process.env.PORT || 5001;
-
-// Security and CORS Configuration
-const corsOptions = {
-    origin: function (origin, callback) {
-        // List of allowed origins
-        const allowedOrigins = [
-            'http://localhost:3000',
-            'http://localhost:3001', 
-            'https://smart-grocery-basket-frontend.vercel.app'
-        ];
-        
-        // Allow requests with no origin (like mobile apps or curl requests)
-        if (!origin) return callback(null, true);
-        
-        // Check if the origin is in our allowed list
-        if (allowedOrigins.includes(origin)) {
-            return callback(null, true);
-        } else {
-            return callback(new Error('Not allowed by CORS'));
-        }
-    },
-    credentials: true,
-    optionsSuccessStatus: 200,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
-};
-
-// Middleware
-app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' })); // Add size limit for security
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+const { config, validateConfig } = require('./config');
+const { connectDB, closeDB } = require('./config/database');
+const { createApp } = require('./app');
+const Category = require('./models/Category');
+const { logger } = require('./utils/logger');
+const events = require('./services/events');
 
-// Handle preflight requests for all routes
-app.options('*', cors(corsOptions));
-
-// Request logging middleware for development
-if (process.env.NODE_ENV !== 'production') {
-    app.use((req, res, next) => {
-        console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-        next();
-    });
-}
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.status(200).json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        service: 'Smart Grocery Basket API',
-        version: '1.0.0'
-    });
-});
-
-// API Routes
-app.use('/api/products', productRoutes);
-
-// Root endpoint with API information
-app.get('/', (req, res) => {
-    res.json({
-        message: 'Smart Grocery Basket API',
-        version: '1.0.0',
-        endpoints: {
-            health: '/health',
-            products: '/api/products'
-        },
-        documentation: 'API Documentation available at /api/docs'
-    });
-});
+/**
+ * Server entry point: validates configuration, connects to MongoDB and starts listening
+ * The application itself is built by createApp in app.js
+ */
 
-// Global error handling middleware
-app.use((error, req, res, next) => {
-    console.error('Unhandled error:', error);
-    
-    // Don't leak error details in production
-    const message = process.env.NODE_ENV === 'production' 
-        ? 'Internal server error' 
-        : error.message;
-    
-    res.status(error.status || 500).json({
-        success: false,
-        error: message,
-        ...(process.env.NODE_ENV !== 'production' && { stack: error.stack })
-    });
-});
+let server;
 
-// Handle 404 for undefined routes
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Route not found',
-        message: `Cannot ${req.method} ${req.originalUrl}`
-    });
-});
+// Graceful shutdown handling
+const gracefulShutdown = async (signal, exitCode = 0) => {
+    logger.info(`Received ${signal}. Shutting down gracefully...`);
 
-// Database Connection with better error handling
-const connectDB = async () => {
-    try {
-        const mongoOptions = {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
-            maxPoolSize: 10,
-            serverSelectionTimeoutMS: 5000,
-            socketTimeoutMS: 45000,
-            family: 4 // Use IPv4, skip trying IPv6
-        };
-
-        await mongoose.connect(process.env.MONGO_URI, mongoOptions);
-        console.log('✅ Connected to MongoDB successfully');
-        
-        // Handle connection events
-        mongoose.connection.on('error', (err) => {
-            console.error('❌ MongoDB connection error:', err);
-        });
-        
-        mongoose.connection.on('disconnected', () => {
-            console.warn('⚠️ MongoDB disconnected');
-        });
-        
-        mongoose.connection.on('reconnected', () => {
-            console.log('✅ MongoDB reconnected');
-        });
-        
-    } catch (error) {
-        console.error('❌ MongoDB connection failed:', error.message);
-        
-        // Exit process with failure in production
-        if (process.env.NODE_ENV === 'production') {
-            process.exit(1);
-        }
+    if (server) {
+        // Open event streams would otherwise keep server.close() waiting forever
+        events.closeAll();
+        await new Promise(resolve => server.close(resolve));
     }
-};
 
-// Graceful shutdown handling
-const gracefulShutdown = (signal) => {
-    console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
-    
     if (mongoose.connection.readyState === 1) {
-        mongoose.connection.close(() => {
-            console.log('📦 MongoDB connection closed through app termination');
-            process.exit(0);
-        });
-    } else {
-        process.exit(0);
+        await closeDB();
     }
+
+    process.exit(exitCode);
 };
 
 // Handle process termination
@@ -160,39 +36,59 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error);
-    gracefulShutdown('uncaughtException');
+    logger.error(`Uncaught exception: ${error.message}`, { stack: error.stack });
+    gracefulShutdown('uncaughtException', 1);
 });
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-    gracefulShutdown('unhandledRejection');
+process.on('unhandledRejection', (reason) => {
+    logger.error(`Unhandled rejection: ${reason instanceof Error ? reason.message : reason}`, {
+        stack: reason instanceof Error ? reason.stack : undefined
+    });
+    gracefulShutdown('unhandledRejection', 1);
 });
 
 // Start server only after database connection
 const startServer = async () => {
     try {
-        await connectDB();
-        
-        const server = app.listen(PORT, () => {
-            console.log(`🚀 Server running on port ${PORT}`);
-            console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-            console.log(`🔗 API Base URL: http://localhost:${PORT}`);
-            console.log(`💊 Health check: http://localhost:${PORT}/health`);
+        validateConfig(config);
+
+        try {
+            await connectDB(config.mongoUri);
+        } catch (error) {
+            // Development keeps serving (readiness reports the database as down); production must not
+            if (config.nodeEnv === 'production') throw error;
+        }
+
+        // Fresh databases start with the default categories from config
+        if (mongoose.connection.readyState === 1) {
+            const created = await Category.ensureDefaults();
+            if (created > 0) {
+                logger.info(`Created ${created} default categories`);
+            }
+        }
+
+        const app = createApp(config);
+
+        server = app.listen(config.port, () => {
+            logger.info(`Server running on port ${config.port}`, {
+                environment: config.nodeEnv,
+                baseUrl: `http://localhost:${config.port}`,
+                healthCheck: `http://localhost:${config.port}/health`
+            });
         });
-        
+
         // Handle server errors
         server.on('error', (error) => {
             if (error.code === 'EADDRINUSE') {
-                console.error(`❌ Port ${PORT} is already in use`);
+                logger.error(`Port ${config.port} is already in use`);
             } else {
-                console.error('❌ Server error:', error);
+                logger.error(`Server error: ${error.message}`, { stack: error.stack });
             }
             process.exit(1);
         });
-        
+
     } catch (error) {
-        console.error('❌ Failed to start server:', error.message);
+        logger.error(`Failed to start server: ${error.message}`);
         process.exit(1);
     }
 };
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { config } = require('../config');
+const User = require('../models/User');
+const Device = require('../models/Device');
+const { ERROR_CODES, AuthenticationError, ForbiddenError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Authentication and authorization middleware
+ * Tokens are HS256 JWTs signed with JWT_SECRET; no external identity provider is involved
+ */
+
+let fallbackSecret = null;
+
+/**
+ * Resolve the signing secret
+ * Outside production a random per-process secret is used when JWT_SECRET is unset,
+ * which means tokens stop working after a restart.
+ */
+const getJwtSecret = () => {
+    if (config.jwtSecret) return config.jwtSecret;
+
+    if (config.nodeEnv === 'production') {
+        throw new Error('JWT_SECRET environment variable is not defined');
+    }
+
+    if (!fallbackSecret) {
+        fallbackSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('JWT_SECRET is not set; using a temporary secret for this process');
+    }
+
+    return fallbackSecret;
+};
+
+/**
+ * Sign an access token for a user
+ */
+const signToken = (user) => {
+    return jwt.sign(
+        { role: user.role },
+        getJwtSecret(),
+        {
+            subject: user._id.toString(),
+            expiresIn: config.jwtExpiresIn
+        }
+    );
+};
+
+/**
+ * Read the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+/**
+ * Require a valid access token and attach the user to req.user
+ */
+const authenticate = async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return next(new AuthenticationError());
+    }
+
+    try {
+        const payload = jwt.verify(token, getJwtSecret());
+        const user = await User.findById(payload.sub);
+
+        if (!user || !user.active) {
+            return next(new AuthenticationError('Account not found or disabled', { code: ERROR_CODES.ACCOUNT_DISABLED }));
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return next(new AuthenticationError('Token has expired', { code: ERROR_CODES.TOKEN_EXPIRED }));
+        }
+
+        if (error.name === 'JsonWebTokenError') {
+            return next(new AuthenticationError('Invalid token', { code: ERROR_CODES.INVALID_TOKEN }));
+        }
+
+        next(error);
+    }
+};
+
+/**
+ * Restrict a route to the given roles; must run after authenticate
+ */
+const authorize = (...roles) => {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return next(new ForbiddenError(`This action requires one of the roles: ${roles.join(', ')}`));
+        }
+
+        next();
+    };
+};
+
+/**
+ * Require a device API key in the X-Device-Key header and attach the device to req.device
+ * Every authenticated call counts as a sign of life for the device's last-seen status
+ */
+const authenticateDevice = async (req, res, next) => {
+    const apiKey = req.get('X-Device-Key');
+
+    if (!apiKey) {
+        return next(new AuthenticationError('Device API key required', { code: ERROR_CODES.INVALID_DEVICE_KEY }));
+    }
+
+    try {
+        const device = await Device.findByApiKey(apiKey);
+
+        if (!device) {
+            return next(new AuthenticationError('Invalid device API key', { code: ERROR_CODES.INVALID_DEVICE_KEY }));
+        }
+
+        if (!device.active) {
+            return next(new AuthenticationError('Device is disabled', { code: ERROR_CODES.DEVICE_DISABLED }));
+        }
+
+        device.lastSeenAt = new Date();
+        await Device.updateOne({ _id: device._id }, { lastSeenAt: device.lastSeenAt });
+
+        req.device = device;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Catalog writes are reserved for store staff and admins
+const requireStaff = [authenticate, authorize('staff', 'admin')];
+
+module.exports = {
+    getJwtSecret,
+    signToken,
+    authenticate,
+    authorize,
+    authenticateDevice,
+    requireStaff
+};
@@ -1,38 +1,68 @@
+const crypto = require('crypto');
+const {
+    ERROR_CODES,
+    AppError,
+    NotFoundError,
+    normalizeError
+} = require('../utils/errors');
+const { logger, requestContext } = require('../utils/logger');
+const { httpRequestsTotal, httpRequestDuration, trackRoute, routeLabel } = require('../utils/metrics');
+
 /**
  * Custom middleware functions for the Smart Grocery Basket API
  */
 
+// Incoming request IDs are echoed back only when they look like an ID, never arbitrary text
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
 /**
- * Environment validation middleware
+ * Request ID middleware
+ * Reuses the caller's X-Request-Id when present so one request can be traced across services,
+ * and runs the rest of the chain inside the logging context so every log line carries the ID
  */
-const validateEnvironment = () => {
-    const requiredEnvVars = ['MONGO_URI'];
-    const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
-    
-    if (missingEnvVars.length > 0) {
-        console.error('❌ Missing required environment variables:', missingEnvVars);
-        process.exit(1);
-    }
-    
-    console.log('✅ Environment variables validated successfully');
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    requestContext.run({ requestId: req.id }, next);
 };
 
 /**
  * Request logging middleware
+ * Logs one line per completed request at the http level
  */
 const requestLogger = (req, res, next) => {
-    const timestamp = new Date().toISOString();
-    const method = req.method;
-    const url = req.originalUrl;
-    const userAgent = req.get('User-Agent') || 'Unknown';
+    const start = process.hrtime.bigint();
+    
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        
+        logger.http(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+            requestId: req.id,
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 10) / 10,
+            userAgent: req.get('User-Agent') || null,
+            ip: req.ip
+        });
+    });
     
-    console.log(`[${timestamp}] ${method} ${url} - ${userAgent}`);
+    next();
+};
+
+/**
+ * Request metrics middleware
+ * Counts and times every request for the /metrics endpoint
+ */
+const requestMetrics = (req, res, next) => {
+    const endTimer = httpRequestDuration.startTimer();
+    trackRoute(req);
     
-    // Log response time
-    const start = Date.now();
     res.on('finish', () => {
-        const duration = Date.now() - start;
-        console.log(`[${timestamp}] ${method} ${url} - ${res.statusCode} - ${duration}ms`);
+        const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+        httpRequestsTotal.inc(labels);
+        endTimer(labels);
     });
     
     next();
@@ -40,80 +70,53 @@ const requestLogger = (req, res, next) => {
 
 /**
  * Error handling middleware
+ * Every error leaves the API in the same envelope: { success, error, code, details, requestId, timestamp }
  */
 const errorHandler = (error, req, res, next) => {
-    console.error('Unhandled Error:', {
-        message: error.message,
-        stack: error.stack,
-        url: req.originalUrl,
-        method: req.method,
-        timestamp: new Date().toISOString()
-    });
+    const appError = normalizeError(error);
     
-    // Default error response
-    let status = error.status || error.statusCode || 500;
-    let message = error.message || 'Internal server error';
+    // Client errors are expected; only server errors are worth a stack trace
+    if (appError.status >= 500) {
+        logger.error(`Unhandled error: ${error.message}`, {
+            requestId: req.id,
+            code: appError.code,
+            stack: error.stack,
+            url: req.originalUrl,
+            method: req.method
+        });
+    }
     
-    // Handle specific error types
-    if (error.name === 'ValidationError') {
-        status = 400;
-        message = 'Validation failed';
-    } else if (error.name === 'CastError') {
-        status = 400;
-        message = 'Invalid data format';
-    } else if (error.code === 11000) {
-        status = 409;
-        message = 'Duplicate entry';
+    // A streamed response cannot be turned into an error response any more
+    if (res.headersSent) {
+        return next(error);
     }
     
-    // Prepare response
+    // Headers set for a download that never started must not apply to the error body
+    res.removeHeader('Content-Disposition');
+    
+    const isProduction = req.app.get('env') === 'production';
     const response = {
         success: false,
-        error: message,
+        error: appError.status >= 500 && !isProduction && error.message ? error.message : appError.message,
+        code: appError.code,
+        ...(appError.details && { details: appError.details }),
+        requestId: req.id,
         timestamp: new Date().toISOString()
     };
     
-    // Include additional details in development
-    if (process.env.NODE_ENV !== 'production') {
+    // Include the stack of unexpected errors in development
+    if (!isProduction && appError.status >= 500) {
         response.stack = error.stack;
-        response.details = error.details || null;
     }
     
-    res.status(status).json(response);
+    res.status(appError.status).json(response);
 };
 
 /**
  * 404 handler for undefined routes
  */
-const notFoundHandler = (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: 'Route not found',
-        message: `Cannot ${req.method} ${req.originalUrl}`,
-        timestamp: new Date().toISOString()
-    });
-};
-
-/**
- * Validate request body middleware
- */
-const validateRequiredFields = (requiredFields = []) => {
-    return (req, res, next) => {
-        const missingFields = requiredFields.filter(field => 
-            req.body[field] === undefined || req.body[field] === null || req.body[field] === ''
-        );
-        
-        if (missingFields.length > 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields',
-                details: missingFields,
-                timestamp: new Date().toISOString()
-            });
-        }
-        
-        next();
-    };
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`, { code: ERROR_CODES.ROUTE_NOT_FOUND }));
 };
 
 /**
@@ -123,6 +126,9 @@ const sanitizeInput = (req, res, next) => {
     // Sanitize string inputs
     const sanitizeObject = (obj) => {
         for (const key in obj) {
+            // Passwords are compared byte for byte and must reach the handler untouched
+            if (/password/i.test(key)) continue;
+            
             if (typeof obj[key] === 'string') {
                 // Remove potential XSS and trim whitespace
                 obj[key] = obj[key].trim().replace(/<script[^>]*>.*?<\/script>/gi, '');
@@ -170,12 +176,11 @@ const createRateLimiter = (windowMs = 15 * 60 * 1000, maxRequests = 100) => {
         const clientRequests = requests.get(clientIP);
         
         if (clientRequests.length >= maxRequests) {
-            return res.status(429).json({
-                success: false,
-                error: 'Too many requests',
-                message: 'Please try again later',
-                timestamp: new Date().toISOString()
-            });
+            res.set('Retry-After', String(Math.ceil(windowMs / 1000)));
+            return next(new AppError('Too many requests, please try again later', {
+                status: 429,
+                code: ERROR_CODES.RATE_LIMITED
+            }));
         }
         
         clientRequests.push(now);
@@ -186,11 +191,11 @@ const createRateLimiter = (windowMs = 15 * 60 * 1000, maxRequests = 100) => {
 };
 
 module.exports = {
-    validateEnvironment,
+    requestId,
     requestLogger,
+    requestMetrics,
     errorHandler,
     notFoundHandler,
-    validateRequiredFields,
     sanitizeInput,
     createRateLimiter
 };
@@ -0,0 +1,55 @@
+const { config: sharedConfig } = require('../config');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Request validation middleware backed by Joi schemas
+ */
+
+// Collect every problem at once, coerce query strings and drop fields the schema does not declare
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    convert: true,
+    stripUnknown: true,
+    errors: { wrap: { label: false } }
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Validate and sanitize the request against Joi schemas keyed by location
+ * Usage: router.post('/', validate({ params, query, body }), handler)
+ * On success the validated values replace req.params, req.query and req.body
+ * The app's config (see createApp) is the Joi context, so schemas can refer to e.g. $maxPageSize
+ */
+const validate = (schemas) => (req, res, next) => {
+    const details = [];
+    const values = {};
+    const context = req.app.get('config') || sharedConfig;
+
+    for (const location of LOCATIONS) {
+        if (!schemas[location]) continue;
+
+        const { value, error } = schemas[location].validate(req[location] || {}, { ...VALIDATION_OPTIONS, context });
+
+        if (error) {
+            details.push(...error.details.map(detail => ({
+                location,
+                field: detail.path.join('.') || null,
+                message: detail.message
+            })));
+        } else {
+            values[location] = value;
+        }
+    }
+
+    if (details.length > 0) {
+        return next(new ValidationError('Validation failed', { details }));
+    }
+
+    Object.assign(req, values);
+    next();
+};
+
+module.exports = {
+    validate
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Product = require('./Product');
+const Promotion = require('./Promotion');
+const { calculatePrice, roundAmount } = require('../utils/pricing');
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Basket line item
+ * Prices are not stored on the line; they are resolved from the product at read time
+ */
+const BasketItemSchema = new mongoose.Schema({
+    productId: {
+        type: String,
+        required: [true, 'Product ID is required'],
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Quantity must be a whole number'
+        }
+    },
+    // Total net weight of the labels scanned for a product sold by weight; priced per kg at read time
+    weightGrams: {
+        type: Number,
+        min: [1, 'Weight must be at least 1 gram']
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * Stock the line takes: grams for products sold by weight, otherwise units
+ */
+BasketItemSchema.methods.stockQuantity = function() {
+    return this.weightGrams || this.quantity;
+};
+
+/**
+ * Basket Schema for shopping sessions
+ * Holds the line items a shopper has scanned into a basket
+ */
+const BasketSchema = new mongoose.Schema({
+    basketId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        default: () => crypto.randomUUID()
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['active', 'checked_out', 'abandoned'],
+            message: 'Status must be one of active, checked_out or abandoned'
+        },
+        default: 'active'
+    },
+    items: {
+        type: [BasketItemSchema],
+        default: []
+    },
+    checkedOutAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Add virtual field for total number of units in the basket
+BasketSchema.virtual('itemCount').get(function() {
+    return this.items.reduce((count, item) => count + item.quantity, 0);
+});
+
+/**
+ * Find a line item by product ID
+ */
+BasketSchema.methods.findItem = function(productId) {
+    return this.items.find(item => item.productId === productId);
+};
+
+/**
+ * Build the 400 error for a weight that does not fit the product's pricing unit
+ */
+const weightError = (message) => new ValidationError(message, {
+    details: [{ location: 'body', field: 'weightGrams', message }]
+});
+
+/**
+ * Add units of a product, incrementing the line if the product is already in the basket
+ * Products sold by weight need the weight of the added units, which is added to the line
+ */
+BasketSchema.methods.addItem = function(product, quantity, weightGrams) {
+    if (product.pricingUnit === 'kg' && !weightGrams) {
+        throw weightError(`${product.name} is sold by weight; scan its weighed label or give weightGrams`);
+    }
+
+    if (product.pricingUnit !== 'kg' && weightGrams) {
+        throw weightError(`${product.name} is not sold by weight`);
+    }
+
+    const { productId } = product;
+    const existingItem = this.findItem(productId);
+
+    if (existingItem) {
+        existingItem.quantity += quantity;
+        if (weightGrams) {
+            existingItem.weightGrams = (existingItem.weightGrams || 0) + weightGrams;
+        }
+    } else {
+        this.items.push({ productId, quantity, ...(weightGrams && { weightGrams }) });
+    }
+};
+
+/**
+ * Load a basket and make sure it can still be modified
+ */
+BasketSchema.statics.loadActive = async function(basketId) {
+    const basket = await this.findOne({ basketId: basketId.trim() });
+
+    if (!basket) {
+        throw new NotFoundError(`No basket found with ID: ${basketId}`, { code: ERROR_CODES.BASKET_NOT_FOUND });
+    }
+
+    if (basket.status !== 'active') {
+        throw new ConflictError(`Basket is ${basket.status.replace('_', ' ')} and can no longer be modified`, {
+            code: ERROR_CODES.BASKET_NOT_ACTIVE
+        });
+    }
+
+    return basket;
+};
+
+/**
+ * Resolve current product prices and promotions and compute line and basket totals
+ */
+BasketSchema.methods.summarize = async function() {
+    const productIds = this.items.map(item => item.productId);
+    const products = await Product.find({ productId: { $in: productIds } });
+    const productsById = new Map(products.map(product => [product.productId, product]));
+    const promotions = products.length > 0 ? await Promotion.findApplicable(products) : [];
+
+    const lines = this.items.map(item => {
+        const product = productsById.get(item.productId);
+
+        if (!product) {
+            return {
+                productId: item.productId,
+                quantity: item.quantity,
+                pricingUnit: item.weightGrams ? 'kg' : 'unit',
+                weightGrams: item.weightGrams || null,
+                available: false,
+                unitPrice: null,
+                lineTotal: 0,
+                discountAmount: 0,
+                netTotal: 0,
+                cashbackAmount: 0,
+                promotion: null
+            };
+        }
+
+        // Weighed lines are priced per kg on their total weight; promotions count their labels
+        const weighed = Boolean(item.weightGrams);
+        const price = weighed
+            ? calculatePrice(product, item.weightGrams / 1000, promotions, new Date(), item.quantity)
+            : calculatePrice(product, item.quantity, promotions);
+
+        return {
+            productId: item.productId,
+            name: product.name,
+            image: product.image,
+            category: product.category,
+            quantity: item.quantity,
+            pricingUnit: weighed ? 'kg' : 'unit',
+            weightGrams: weighed ? item.weightGrams : null,
+            // Lines of a checked-out basket were already taken out of stock
+            available: this.status !== 'active' || product.availableStock >= item.stockQuantity(),
+            unitPrice: price.unitPrice,
+            lineTotal: price.grossAmount,
+            discountAmount: price.discountAmount,
+            netTotal: price.netAmount,
+            cashbackAmount: price.cashbackAmount,
+            promotion: price.promotion
+        };
+    });
+
+    const sumOf = (field) => roundAmount(lines.reduce((sum, line) => sum + line[field], 0));
+    const subtotal = sumOf('lineTotal');
+    const discountTotal = sumOf('discountAmount');
+    const total = sumOf('netTotal');
+
+    return {
+        basketId: this.basketId,
+        status: this.status,
+        items: lines,
+        itemCount: this.itemCount,
+        subtotal,
+        discountTotal,
+        total,
+        cashbackTotal: sumOf('cashbackAmount'),
+        formattedSubtotal: `₹${subtotal.toFixed(2)}`,
+        formattedTotal: `₹${total.toFixed(2)}`,
+        checkedOutAt: this.checkedOutAt,
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+BasketSchema.index({ status: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Basket', BasketSchema);
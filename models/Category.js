@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+/**
+ * Turn a category name into a URL-safe slug
+ */
+const slugify = (name) => String(name)
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Category Schema for the product catalog
+ * Categories form a tree through `parent`; products reference a category by name
+ */
+const CategorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        unique: true,
+        trim: true,
+        maxLength: [100, 'Category name cannot exceed 100 characters']
+    },
+    slug: {
+        type: String,
+        unique: true,
+        trim: true
+    },
+    // Name of the parent category; null for top-level categories
+    parent: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    displayOrder: {
+        type: Number,
+        default: 0
+    },
+    icon: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // GST rate (%) included in the prices of this category's products; null inherits from the parent
+    taxRate: {
+        type: Number,
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%'],
+        default: null
+    },
+    // Previous name while a rename is carried over to products, promotions and subcategories;
+    // the old name stays valid until they have all moved
+    renamedFrom: {
+        type: String
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret._id;
+            delete ret.__v;
+            delete ret.renamedFrom;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Keep the slug in step with the name and make sure the parent exists and is not a descendant
+CategorySchema.pre('validate', async function() {
+    if (this.name) {
+        this.slug = slugify(this.name);
+    }
+
+    if (!this.parent || !this.isModified('parent')) return;
+
+    if (this.parent === this.name) {
+        this.invalidate('parent', 'A category cannot be its own parent', this.parent);
+        return;
+    }
+
+    const parent = await this.constructor.findOne({ name: this.parent });
+    if (!parent) {
+        this.invalidate('parent', `Parent category "${this.parent}" does not exist`, this.parent);
+        return;
+    }
+
+    if (!this.isNew) {
+        const descendants = await this.constructor.descendantNames(this.name);
+        if (descendants.includes(this.parent)) {
+            this.invalidate('parent', 'A category cannot be moved under one of its own subcategories', this.parent);
+        }
+    }
+});
+
+/**
+ * Names of every category below the given one (not including itself)
+ */
+CategorySchema.statics.descendantNames = async function(name) {
+    const descendants = [];
+    let frontier = [name];
+
+    while (frontier.length > 0) {
+        const children = await this.find({ parent: { $in: frontier } }).select('name');
+        frontier = children.map(child => child.name).filter(childName => !descendants.includes(childName));
+        descendants.push(...frontier);
+    }
+
+    return descendants;
+};
+
+/**
+ * The given category names together with every category below them
+ */
+CategorySchema.statics.withDescendants = async function(names) {
+    const all = new Set(names);
+
+    for (const name of names) {
+        (await this.descendantNames(name)).forEach(descendant => all.add(descendant));
+    }
+
+    return [...all];
+};
+
+/**
+ * The given category names together with every category above them
+ */
+CategorySchema.statics.withAncestors = async function(names) {
+    const all = new Set();
+    let frontier = [...new Set(names)];
+
+    while (frontier.length > 0) {
+        frontier.forEach(name => all.add(name));
+
+        const categories = await this.find({ name: { $in: frontier } }).select('parent').lean();
+        frontier = [...new Set(categories.map(category => category.parent))].filter(parent => parent && !all.has(parent));
+    }
+
+    return [...all];
+};
+
+/**
+ * GST rate for products in a category
+ * Walks up the tree: a rate set on the category wins, then the configured rate for its
+ * name (`taxRates`), then its parent's; `defaultTaxRate` when nothing on the way sets one
+ */
+CategorySchema.statics.taxRateFor = async function(name) {
+    const visited = new Set();
+    let current = name;
+
+    while (current && !visited.has(current)) {
+        visited.add(current);
+
+        const category = await this.findOne({ name: current }).select('taxRate parent').lean();
+
+        if (category && typeof category.taxRate === 'number') return category.taxRate;
+        if (typeof config.taxRates[current] === 'number') return config.taxRates[current];
+
+        current = category ? category.parent : null;
+    }
+
+    return config.defaultTaxRate;
+};
+
+/**
+ * Check whether a category name exists, counting the old name of a category being renamed
+ */
+CategorySchema.statics.isKnown = async function(name) {
+    if (!name) return false;
+    return Boolean(await this.exists({ $or: [{ name }, { renamedFrom: name }] }));
+};
+
+/**
+ * Create the configured default categories when none exist yet
+ * Runs once per fresh database so deleted defaults are not recreated
+ */
+CategorySchema.statics.ensureDefaults = async function() {
+    if (await this.estimatedDocumentCount() > 0) return 0;
+
+    const defaults = config.productCategories.map((name, index) => ({
+        name,
+        slug: slugify(name),
+        displayOrder: index
+    }));
+
+    await this.insertMany(defaults);
+    return defaults.length;
+};
+
+/**
+ * Build a nested tree from a flat list of categories, sorted by display order then name
+ */
+CategorySchema.statics.buildTree = function(categories) {
+    const nodes = new Map(categories.map(category => [category.name, { ...category.toJSON(), children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(node.parent);
+        (parent ? parent.children : roots).push(node);
+    }
+
+    const sortNodes = (list) => {
+        list.sort((a, b) => a.displayOrder - b.displayOrder || a.name.localeCompare(b.name));
+        list.forEach(node => sortNodes(node.children));
+        return list;
+    };
+
+    return sortNodes(roots);
+};
+
+CategorySchema.index({ parent: 1, displayOrder: 1 });
+
+module.exports = mongoose.model('Category', CategorySchema);
+module.exports.slugify = slugify;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema for named sequences, e.g. the daily order number
+ */
+const CounterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, { versionKey: false });
+
+/**
+ * Atomically take the next value of a sequence, starting at 1
+ */
+CounterSchema.statics.next = async function(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+    );
+
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
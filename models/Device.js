@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+// Prefix that makes device keys recognizable in logs and secret scanners
+const API_KEY_PREFIX = 'sgbd_';
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are 32 random bytes, so a fast unsalted hash is enough to keep them unusable if leaked
+ */
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+/**
+ * Device Schema for smart-basket hardware
+ * Each device authenticates with its own API key and can be linked to one active basket
+ */
+const DeviceSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: [true, 'Device ID is required'],
+        unique: true,
+        trim: true,
+        default: () => `dev-${crypto.randomUUID()}`
+    },
+    name: {
+        type: String,
+        required: [true, 'Device name is required'],
+        trim: true,
+        maxLength: [100, 'Name cannot exceed 100 characters']
+    },
+    apiKeyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // First characters of the key, shown so staff can tell keys apart without seeing them
+    apiKeyHint: {
+        type: String
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Basket the device is currently scanning into
+    basketId: {
+        type: String,
+        trim: true,
+        default: null
+    },
+    linkedAt: {
+        type: Date
+    },
+    lastSeenAt: {
+        type: Date
+    },
+    // Details reported with the last heartbeat
+    firmwareVersion: {
+        type: String,
+        trim: true
+    },
+    batteryLevel: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    // Latest load-cell reading by device time, so replayed older readings do not overwrite it,
+    // and the basket the device was linked to when it arrived
+    lastWeight: {
+        grams: Number,
+        measuredAt: Date,
+        basketId: String
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret._id;
+            delete ret.__v;
+            delete ret.apiKeyHash;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Online when the device has called the API within the offline threshold
+DeviceSchema.virtual('online').get(function() {
+    return Boolean(this.lastSeenAt) && Date.now() - this.lastSeenAt.getTime() <= config.deviceOfflineAfterSeconds * 1000;
+});
+
+/**
+ * Generate a new API key for the device and store its hash
+ * Returns the plain key, which is not stored and can only be shown once
+ */
+DeviceSchema.methods.issueApiKey = function() {
+    const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    this.apiKeyHash = hashApiKey(apiKey);
+    this.apiKeyHint = apiKey.slice(0, API_KEY_PREFIX.length + 4);
+
+    return apiKey;
+};
+
+/**
+ * Find the device an API key belongs to
+ */
+DeviceSchema.statics.findByApiKey = function(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(API_KEY_PREFIX)) {
+        return Promise.resolve(null);
+    }
+
+    return this.findOne({ apiKeyHash: hashApiKey(apiKey) });
+};
+
+/**
+ * Filter matching devices seen (online) or not seen (offline) within the offline threshold
+ */
+DeviceSchema.statics.onlineFilter = function(online) {
+    const threshold = new Date(Date.now() - config.deviceOfflineAfterSeconds * 1000);
+
+    return online
+        ? { lastSeenAt: { $gte: threshold } }
+        : { $or: [{ lastSeenAt: { $lt: threshold } }, { lastSeenAt: null }] };
+};
+
+DeviceSchema.index({ basketId: 1 });
+DeviceSchema.index({ lastSeenAt: -1 });
+
+module.exports = mongoose.model('Device', DeviceSchema);
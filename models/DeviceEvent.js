@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+
+const DEVICE_EVENT_TYPES = ['scan', 'weight'];
+const DEVICE_EVENT_STATUSES = ['applied', 'recorded', 'rejected'];
+
+/**
+ * DeviceEvent Schema for ingested scan and weight readings
+ * The unique (deviceId, idempotencyKey) index is what de-duplicates replayed events;
+ * each stored outcome is returned again when the same event arrives a second time.
+ */
+const DeviceEventSchema = new mongoose.Schema({
+    deviceId: {
+        type: String,
+        required: [true, 'Device ID is required'],
+        trim: true
+    },
+    idempotencyKey: {
+        type: String,
+        required: [true, 'Idempotency key is required'],
+        trim: true
+    },
+    type: {
+        type: String,
+        required: [true, 'Event type is required'],
+        enum: {
+            values: DEVICE_EVENT_TYPES,
+            message: `Event type must be one of ${DEVICE_EVENT_TYPES.join(', ')}`
+        }
+    },
+    // When the device recorded the event, which can be long before it was uploaded
+    deviceTimestamp: {
+        type: Date,
+        required: [true, 'Device timestamp is required']
+    },
+    basketId: {
+        type: String,
+        trim: true
+    },
+    // Scan readings
+    code: String,
+    format: String,
+    quantity: Number,
+    // Weight readings
+    grams: Number,
+    // Outcome of processing the event
+    status: {
+        type: String,
+        enum: DEVICE_EVENT_STATUSES,
+        default: 'recorded'
+    },
+    productId: String,
+    errorCode: String,
+    message: String
+}, {
+    timestamps: { createdAt: 'receivedAt', updatedAt: false },
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+DeviceEventSchema.index({ deviceId: 1, idempotencyKey: 1 }, { unique: true });
+DeviceEventSchema.index({ deviceId: 1, deviceTimestamp: -1 });
+// Keys are remembered for the retention window; a replay older than that is processed again
+DeviceEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: config.deviceEventRetentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DeviceEvent', DeviceEventSchema);
+module.exports.DEVICE_EVENT_TYPES = DEVICE_EVENT_TYPES;
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const Category = require('./Category');
+const { config } = require('../config');
+const { roundAmount, includedTax } = require('../utils/pricing');
+
+/**
+ * Order line: what was bought and what it cost at checkout
+ * Everything is copied from the product and promotion at that moment, so later catalog
+ * edits never change an order
+ */
+const OrderItemSchema = new mongoose.Schema({
+    productId: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    category: String,
+    quantity: {
+        type: Number,
+        required: true
+    },
+    pricingUnit: {
+        type: String,
+        default: 'unit'
+    },
+    // Net weight of a line sold by weight; unitPrice is then per kg
+    weightGrams: Number,
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+    grossAmount: {
+        type: Number,
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    netAmount: {
+        type: Number,
+        required: true
+    },
+    cashbackAmount: {
+        type: Number,
+        default: 0
+    },
+    promotion: {
+        promotionId: String,
+        name: String,
+        type: { type: String }
+    },
+    // GST included in netAmount
+    taxRate: {
+        type: Number,
+        required: true
+    },
+    taxAmount: {
+        type: Number,
+        required: true
+    }
+}, { _id: false });
+
+/**
+ * Tax included at one rate across the order
+ */
+const TaxLineSchema = new mongoose.Schema({
+    name: String,
+    rate: Number,
+    taxableAmount: Number,
+    taxAmount: Number
+}, { _id: false });
+
+/**
+ * Order Schema for checked-out baskets
+ */
+const OrderSchema = new mongoose.Schema({
+    orderId: {
+        type: String,
+        required: true,
+        unique: true,
+        default: () => crypto.randomUUID()
+    },
+    // Human-readable number printed on receipts, e.g. SGB-20260501-00042
+    orderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // One order per basket
+    basketId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    items: {
+        type: [OrderItemSchema],
+        default: []
+    },
+    itemCount: Number,
+    subtotal: Number,
+    discountTotal: Number,
+    total: Number,
+    cashbackTotal: Number,
+    taxTotal: Number,
+    taxLines: {
+        type: [TaxLineSchema],
+        default: []
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    placedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Calendar date (YYYYMMDD) in the store's time zone
+ */
+const storeDate = (date) => new Intl.DateTimeFormat('en-CA', { timeZone: config.store.timeZone })
+    .format(date)
+    .replace(/-/g, '');
+
+/**
+ * Allocate the next order number; numbering restarts every day
+ */
+OrderSchema.statics.nextOrderNumber = async function(date = new Date()) {
+    const day = storeDate(date);
+    const seq = await Counter.next(`order-${day}`);
+
+    return `${config.orderNumberPrefix}-${day}-${String(seq).padStart(5, '0')}`;
+};
+
+/**
+ * Create the order for a checked-out basket from its summary (see Basket#summarize)
+ */
+OrderSchema.statics.createFromSummary = async function(summary) {
+    const placedAt = new Date();
+
+    const categories = [...new Set(summary.items.map(line => line.category))];
+    const rates = new Map(await Promise.all(categories.map(async category => [category, await Category.taxRateFor(category)])));
+
+    const items = summary.items.map(line => {
+        const taxRate = rates.get(line.category);
+
+        return {
+            productId: line.productId,
+            name: line.name || line.productId,
+            category: line.category,
+            quantity: line.quantity,
+            pricingUnit: line.pricingUnit,
+            weightGrams: line.weightGrams || undefined,
+            unitPrice: line.unitPrice ?? 0,
+            grossAmount: line.lineTotal,
+            discountAmount: line.discountAmount,
+            netAmount: line.netTotal,
+            cashbackAmount: line.cashbackAmount,
+            promotion: line.promotion || undefined,
+            taxRate,
+            taxAmount: includedTax(line.netTotal, taxRate)
+        };
+    });
+
+    const taxByRate = new Map();
+    for (const item of items) {
+        const taxLine = taxByRate.get(item.taxRate) || { rate: item.taxRate, netAmount: 0, taxAmount: 0 };
+        taxLine.netAmount += item.netAmount;
+        taxLine.taxAmount += item.taxAmount;
+        taxByRate.set(item.taxRate, taxLine);
+    }
+
+    const taxLines = [...taxByRate.values()]
+        .sort((a, b) => a.rate - b.rate)
+        .map(({ rate, netAmount, taxAmount }) => ({
+            name: `GST ${rate}%`,
+            rate,
+            taxableAmount: roundAmount(netAmount - taxAmount),
+            taxAmount: roundAmount(taxAmount)
+        }));
+
+    return this.create({
+        orderNumber: await this.nextOrderNumber(placedAt),
+        basketId: summary.basketId,
+        items,
+        itemCount: summary.itemCount,
+        subtotal: summary.subtotal,
+        discountTotal: summary.discountTotal,
+        total: summary.total,
+        cashbackTotal: summary.cashbackTotal,
+        taxTotal: roundAmount(taxLines.reduce((sum, line) => sum + line.taxAmount, 0)),
+        taxLines,
+        placedAt
+    });
+};
+
+OrderSchema.index({ placedAt: -1 });
+
+module.exports = mongoose.model('Order', OrderSchema);
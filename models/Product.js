@@ -1,4 +1,125 @@
 const mongoose = require('mongoose');
+const { config } = require('../config');
+const { parseBarcode } = require('../utils/barcode');
+const { trigrams } = require('../utils/search');
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const events = require('../services/events');
+const Promotion = require('./Promotion');
+const StockMovement = require('./StockMovement');
+const Category = require('./Category');
+
+/**
+ * Barcode alias for a product
+ * One SKU can carry several GTINs (multipacks, manufacturer changes, store labels)
+ */
+const BarcodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Barcode is required'],
+        trim: true
+    },
+    format: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        enum: {
+            values: config.barcodeFormats,
+            message: 'Barcode format must be one of the supported formats'
+        },
+        required: [true, 'Barcode format is required']
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxLength: [100, 'Barcode label cannot exceed 100 characters']
+    }
+}, { _id: false });
+
+/**
+ * Stock lot (batch) for a product
+ * Stock of the same product arrives in lots that each carry their own expiry date
+ */
+const LotSchema = new mongoose.Schema({
+    lotNumber: {
+        type: String,
+        required: [true, 'Lot number is required'],
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Lot quantity is required'],
+        min: [0, 'Lot quantity cannot be negative']
+    },
+    expiryDate: {
+        type: Date
+    },
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+/**
+ * Format a date as YYYY-MM-DD
+ */
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Derive the stock total and earliest expiry from a list of lots
+ */
+const summarizeLots = (lots) => {
+    const stock = lots.reduce((sum, lot) => sum + (lot.quantity || 0), 0);
+    const expiries = lots
+        .filter(lot => lot.quantity > 0 && lot.expiryDate)
+        .map(lot => new Date(lot.expiryDate).getTime());
+    const nextExpiryDate = expiries.length > 0 ? new Date(Math.min(...expiries)) : undefined;
+
+    return {
+        stock,
+        nextExpiryDate,
+        expiryDate: nextExpiryDate ? toDateString(nextExpiryDate) : undefined
+    };
+};
+
+/**
+ * Take quantity out of lots, earliest expiry first (lots without expiry last)
+ * Returns a new array; the caller has already checked there is enough stock
+ */
+const consumeLots = (lots, quantity) => {
+    const remainingLots = lots.map(lot => ({ ...lot }));
+    const order = remainingLots
+        .map((lot, index) => ({ index, expiry: lot.expiryDate ? new Date(lot.expiryDate).getTime() : Infinity }))
+        .sort((a, b) => a.expiry - b.expiry);
+
+    let remaining = quantity;
+    for (const { index } of order) {
+        if (remaining === 0) break;
+        const taken = Math.min(remainingLots[index].quantity, remaining);
+        remainingLots[index].quantity -= taken;
+        remaining -= taken;
+    }
+
+    return remainingLots;
+};
+
+// How mrpPrice is quoted: per unit, or per kilogram for loose produce sold by weight
+const PRICING_UNITS = ['unit', 'kg'];
+
+// Reason codes accepted for manual stock adjustments
+const STOCK_REASONS = ['receipt', 'sale', 'return', 'spoilage', 'damage', 'theft', 'count_correction'];
+
+/**
+ * Create the error for a stock operation on a product that does not exist
+ */
+const productNotFound = (productId) => new NotFoundError(`No product found with ID: ${productId}`, {
+    code: ERROR_CODES.PRODUCT_NOT_FOUND
+});
+
+/**
+ * Create the error for a stock operation that would oversell
+ */
+const insufficientStock = (message) => new ConflictError(message, { code: ERROR_CODES.INSUFFICIENT_STOCK });
 
 /**
  * Product Schema for grocery items
@@ -13,6 +134,10 @@ const ProductSchema = new mongoose.Schema({
         trim: true,
         index: true // Add index for faster queries
     },
+    barcodes: {
+        type: [BarcodeSchema],
+        default: []
+    },
     name: { 
         type: String, 
         required: [true, 'Product name is required'],
@@ -30,27 +155,51 @@ const ProductSchema = new mongoose.Schema({
             message: 'Price must be a positive number'
         }
     },
+    pricingUnit: {
+        type: String,
+        enum: {
+            values: PRICING_UNITS,
+            message: `Pricing unit must be one of ${PRICING_UNITS.join(', ')}`
+        },
+        default: 'unit'
+    },
+    // Item code printed in variable-measure labels (the IIIII of "2P IIIII VVVVV C")
+    plu: {
+        type: String,
+        trim: true,
+        match: [/^\d{5}$/, 'PLU must be 5 digits']
+    },
     image: { 
         type: String,
         trim: true,
         default: 'https://via.placeholder.com/100' // Provide default image
     },
+    // Units on hand; grams for products sold by weight
     stock: { 
         type: Number, 
         required: [true, 'Stock quantity is required'],
         min: [0, 'Stock cannot be negative'],
         default: 0
     },
+    // Units held by baskets in checkout; only changed through the atomic stock statics
+    reservedStock: {
+        type: Number,
+        min: [0, 'Reserved stock cannot be negative'],
+        default: 0
+    },
     category: { 
         type: String,
         trim: true,
-        enum: {
-            values: ['Dairy', 'Fruits', 'Vegetables', 'Grocery', 'Bakery', 'Beverages', 'Snacks', 'Other'],
-            message: 'Category must be one of the predefined values'
+        // Categories are managed in the Category collection
+        validate: {
+            validator: function(v) {
+                return Category.isKnown(v);
+            },
+            message: props => `Category "${props.value}" does not exist`
         },
         default: 'Other'
     },
-    // Changed from Number to String to match frontend expectations
+    // Free-text discount kept for display; parsed into a legacy Promotion on save
     discounts: { 
         type: String, 
         default: '',
@@ -66,6 +215,30 @@ const ProductSchema = new mongoose.Schema({
             },
             message: 'Expiry date must be in YYYY-MM-DD format'
         }
+    },
+    // Expected net weight of one unit, checked against basket load-cell readings
+    netWeightGrams: {
+        type: Number,
+        min: [0, 'Net weight cannot be negative']
+    },
+    // Allowed deviation of one unit from netWeightGrams; a share of the net weight when unset
+    weightToleranceGrams: {
+        type: Number,
+        min: [0, 'Weight tolerance cannot be negative']
+    },
+    // Per-lot stock; when present, `stock` and `expiryDate` are derived from it
+    lots: {
+        type: [LotSchema],
+        default: []
+    },
+    // Earliest expiry of any stocked lot (or of `expiryDate`), stored so it can be queried
+    nextExpiryDate: {
+        type: Date
+    },
+    // Name trigrams for fuzzy search; maintained on save
+    searchGrams: {
+        type: [String],
+        select: false
     }
 }, {
     timestamps: true, // Automatically add createdAt and updatedAt fields
@@ -75,6 +248,7 @@ const ProductSchema = new mongoose.Schema({
             // Remove internal MongoDB fields from JSON output
             delete ret._id;
             delete ret.__v;
+            delete ret.searchGrams;
             return ret;
         }
     },
@@ -83,7 +257,12 @@ const ProductSchema = new mongoose.Schema({
 
 // Add virtual field for formatted price
 ProductSchema.virtual('formattedPrice').get(function() {
-    return `₹${this.mrpPrice.toFixed(2)}`;
+    return `₹${this.mrpPrice.toFixed(2)}${this.pricingUnit === 'kg' ? '/kg' : ''}`;
+});
+
+// Add virtual field for stock that is not reserved
+ProductSchema.virtual('availableStock').get(function() {
+    return this.stock - (this.reservedStock || 0);
 });
 
 // Add virtual field to check if product is in stock
@@ -93,13 +272,551 @@ ProductSchema.virtual('isInStock').get(function() {
 
 // Add virtual field to check if product is expired
 ProductSchema.virtual('isExpired').get(function() {
-    if (!this.expiryDate) return false;
-    const expiryDate = new Date(this.expiryDate);
+    if (!this.nextExpiryDate && !this.expiryDate) return false;
+    const expiryDate = this.nextExpiryDate || new Date(this.expiryDate);
     return expiryDate < new Date();
 });
 
+// Keep the fuzzy search trigrams in step with the name
+ProductSchema.pre('validate', function(next) {
+    if (this.isNew || this.isModified('name')) {
+        this.searchGrams = trigrams(this.name);
+    }
+    next();
+});
+
+// Derive stock and expiry from lots so the totals can never disagree with them
+ProductSchema.pre('validate', function(next) {
+    if (this.lots.length > 0) {
+        const derived = summarizeLots(this.lots);
+
+        if (this.isModified('stock') && !this.isModified('lots') && this.stock !== derived.stock) {
+            this.invalidate('stock', 'Stock is derived from lots; adjust lot quantities instead', this.stock);
+            return next();
+        }
+
+        this.set(derived);
+    } else {
+        const parsed = this.expiryDate ? new Date(this.expiryDate) : null;
+        this.nextExpiryDate = parsed && !isNaN(parsed) ? parsed : undefined;
+    }
+
+    if (this.stock < (this.reservedStock || 0)) {
+        this.invalidate('stock', `Stock cannot be lower than the ${this.reservedStock} reserved unit(s)`, this.stock);
+    }
+
+    next();
+});
+
+// Normalize barcode aliases so equivalent symbologies are stored under one code
+ProductSchema.pre('validate', function(next) {
+    const seen = new Set();
+
+    this.barcodes.forEach((barcode, index) => {
+        if (!barcode.code || !barcode.format) return;
+
+        const parsed = parseBarcode(barcode.code, barcode.format);
+        if (!parsed.valid) {
+            this.invalidate(`barcodes.${index}.code`, parsed.reason, barcode.code);
+            return;
+        }
+
+        barcode.code = parsed.normalized;
+
+        if (seen.has(parsed.normalized)) {
+            this.invalidate(`barcodes.${index}.code`, `Duplicate barcode: ${barcode.code}`, barcode.code);
+        }
+        seen.add(parsed.normalized);
+    });
+
+    next();
+});
+
+// Reject barcodes already used by another product, either as an alias or as its product ID
+ProductSchema.pre('save', async function() {
+    if (!this.isNew && !this.isModified('barcodes') && !this.isModified('productId')) return;
+
+    const aliasCodes = this.barcodes.map(barcode => barcode.code);
+
+    const conflict = await this.constructor.findOne({
+        _id: { $ne: this._id },
+        $or: [
+            { productId: { $in: aliasCodes } },
+            { 'barcodes.code': { $in: [this.productId, ...aliasCodes] } }
+        ]
+    });
+
+    if (conflict) {
+        throw new ConflictError(`Barcode is already assigned to product ${conflict.productId}`, {
+            code: ERROR_CODES.DUPLICATE_BARCODE
+        });
+    }
+});
+
+// Keep the structured promotion in step with the legacy discounts text
+ProductSchema.pre('save', function() {
+    this.$locals.syncDiscount = this.isNew || this.isModified('discounts');
+});
+
+ProductSchema.post('save', async function(doc) {
+    if (doc.$locals.syncDiscount) {
+        await Promotion.syncLegacyDiscount(doc);
+    }
+});
+
+/**
+ * Append a ledger entry without failing the stock change that already happened
+ */
+const recordMovement = async (movement) => {
+    try {
+        await StockMovement.record(movement);
+    } catch (error) {
+        logger.error(`Failed to record stock movement for ${movement.productId}`, { error: error.message });
+    }
+};
+
+// Remember the stock a document was loaded with so saves can be written to the ledger
+ProductSchema.post('init', function() {
+    this.$locals.loadedStock = this.stock;
+    this.$locals.loadedCategory = this.category;
+});
+
+/**
+ * Publish a product event to real-time subscribers
+ * Carries the fields a shopper-facing client needs to refresh prices and availability
+ */
+const publishProductEvent = (type, product, extra = {}) => {
+    events.publish(type, {
+        productId: product.productId,
+        category: product.category,
+        ...extra,
+        product: type === 'product.deleted' ? null : {
+            productId: product.productId,
+            name: product.name,
+            category: product.category,
+            mrpPrice: product.mrpPrice,
+            pricingUnit: product.pricingUnit,
+            formattedPrice: product.formattedPrice,
+            discounts: product.discounts,
+            stock: product.stock,
+            reservedStock: product.reservedStock || 0,
+            availableStock: product.availableStock,
+            isInStock: product.isInStock,
+            expiryDate: product.expiryDate
+        }
+    });
+};
+
+// Internal paths that change as a side effect and mean nothing to subscribers
+const UNPUBLISHED_PATHS = ['searchGrams', 'nextExpiryDate', 'updatedAt', 'createdAt', '__v'];
+
+// Paths whose edits are announced as product.stock_changed rather than product.updated
+const STOCK_PATHS = ['stock', 'lots', 'reservedStock'];
+
+/**
+ * Describe the next stock change made through save() for the ledger
+ * (type, reason, performedBy, lotNumber, reference, note)
+ */
+ProductSchema.methods.describeStockChange = function(movement) {
+    this.$locals.movement = movement;
+    return this;
+};
+
+ProductSchema.pre('save', function() {
+    const stockBefore = this.isNew ? 0 : (this.$locals.loadedStock ?? 0);
+
+    if (this.stock !== stockBefore) {
+        const defaults = this.isNew
+            ? { type: 'receipt', reason: 'initial_stock' }
+            : { type: 'adjustment', reason: 'manual_edit' };
+
+        this.$locals.pendingMovement = {
+            ...defaults,
+            ...this.$locals.movement,
+            productId: this.productId,
+            quantity: this.stock - stockBefore,
+            stockBefore,
+            stockAfter: this.stock
+        };
+    }
+});
+
+// Remember what a save changes so subscribers can be told once it is written
+ProductSchema.pre('save', function() {
+    if (this.isNew) {
+        this.$locals.pendingEvent = { type: 'product.created' };
+        return;
+    }
+
+    const changes = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))]
+        .filter(path => !UNPUBLISHED_PATHS.includes(path) && !STOCK_PATHS.includes(path));
+
+    this.$locals.pendingEvent = changes.length > 0
+        ? {
+            type: 'product.updated',
+            changes,
+            ...(changes.includes('category') && { previousCategory: this.$locals.loadedCategory })
+        }
+        : null;
+});
+
+ProductSchema.post('save', async function(doc) {
+    if (doc.$locals.pendingMovement) {
+        await recordMovement(doc.$locals.pendingMovement);
+    }
+
+    if (doc.$locals.pendingEvent) {
+        const { type, ...extra } = doc.$locals.pendingEvent;
+        publishProductEvent(type, doc, extra);
+    }
+
+    // A new product's stock is part of product.created
+    if (doc.$locals.pendingMovement && doc.$locals.pendingEvent?.type !== 'product.created') {
+        publishProductEvent('product.stock_changed', doc, { delta: doc.$locals.pendingMovement.quantity });
+    }
+
+    doc.$locals.loadedCategory = doc.category;
+    delete doc.$locals.pendingEvent;
+
+    doc.$locals.loadedStock = doc.stock;
+    delete doc.$locals.pendingMovement;
+    delete doc.$locals.movement;
+});
+
+/**
+ * Clean up after a product is deleted: drop its legacy promotion and write off its stock
+ */
+const afterProductDeleted = async (doc, movement = {}) => {
+    publishProductEvent('product.deleted', doc);
+    await Promotion.deleteOne({ promotionId: `legacy-${doc.productId}` });
+
+    if (doc.stock > 0) {
+        await recordMovement({
+            type: 'adjustment',
+            reason: 'product_deleted',
+            ...movement,
+            productId: doc.productId,
+            quantity: -doc.stock,
+            stockBefore: doc.stock,
+            stockAfter: 0
+        });
+    }
+};
+
+ProductSchema.post('findOneAndDelete', async function(doc) {
+    if (doc) {
+        await afterProductDeleted(doc);
+    }
+});
+
+ProductSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await afterProductDeleted(doc, doc.$locals.movement);
+});
+
+// Bulk deletes (e.g. a seed reset) are written to the ledger product by product
+ProductSchema.pre('deleteMany', async function() {
+    this._deletedProducts = await this.model.find(this.getFilter());
+});
+
+ProductSchema.post('deleteMany', async function() {
+    for (const doc of this._deletedProducts || []) {
+        await afterProductDeleted(doc);
+    }
+});
+
+/**
+ * Find a product by its product ID or any of its barcode aliases
+ * Numeric codes are normalized so UPC-E, UPC-A and EAN-13 forms all resolve
+ */
+ProductSchema.statics.findByCode = function(code, format) {
+    const trimmed = String(code).trim();
+    const parsed = parseBarcode(trimmed, format);
+    const codes = parsed.valid ? parsed.lookupCodes : [trimmed];
+
+    if (!codes.includes(trimmed)) {
+        codes.push(trimmed);
+    }
+
+    return this.findOne({
+        $or: [
+            { productId: { $in: codes } },
+            { 'barcodes.code': { $in: codes } }
+        ]
+    });
+};
+
+/**
+ * Resolve a scan to a product and, for variable-measure labels, the weighed amount
+ * Barcode aliases are tried first, so in-store codes in the 20-29 range that are catalogued
+ * as fixed barcodes keep working; otherwise the label's PLU selects a product sold by weight.
+ * Returns { barcode, product, measure } where measure is null or
+ * { plu, weightGrams, labelPrice? }; price labels are converted to a weight at the current price
+ */
+ProductSchema.statics.resolveScan = async function(code, format) {
+    const barcode = parseBarcode(code, format);
+    const product = await this.findByCode(code, format);
+
+    if (product || !barcode.valid || !barcode.variableMeasure) {
+        return { barcode, product, measure: null };
+    }
+
+    const { plu, weightGrams, price } = barcode.variableMeasure;
+    const weighed = await this.findOne({ plu });
+
+    if (!weighed) {
+        return { barcode, product: null, measure: null };
+    }
+
+    if (weighed.pricingUnit !== 'kg' || (weightGrams === undefined && !(weighed.mrpPrice > 0))) {
+        throw new ValidationError(`Product ${weighed.productId} is not sold by weight`, { code: ERROR_CODES.INVALID_BARCODE });
+    }
+
+    return {
+        barcode,
+        product: weighed,
+        measure: weightGrams !== undefined
+            ? { plu, weightGrams }
+            : { plu, weightGrams: Math.round(price / weighed.mrpPrice * 1000), labelPrice: price }
+    };
+};
+
+/**
+ * Resolve a failed conditional stock update into a not-found or insufficient-stock error
+ */
+ProductSchema.statics.stockFailure = async function(productId, message) {
+    const exists = await this.exists({ productId });
+    return exists
+        ? insufficientStock(message)
+        : productNotFound(productId);
+};
+
+/**
+ * Atomically change the reserved quantity of a product
+ * Positive deltas reserve and require enough unreserved stock; negative deltas release
+ */
+ProductSchema.statics.changeReservation = async function(productId, delta) {
+    const reserved = { $ifNull: ['$reservedStock', 0] };
+    const condition = delta > 0
+        ? { $gte: [{ $subtract: ['$stock', reserved] }, delta] }
+        : { $gte: [reserved, -delta] };
+
+    const product = await this.findOneAndUpdate(
+        { productId, $expr: condition },
+        { $inc: { reservedStock: delta } },
+        { new: true }
+    );
+
+    if (!product) {
+        throw await this.stockFailure(productId, delta > 0
+            ? `Insufficient stock to reserve ${delta} unit(s) of ${productId}`
+            : `Cannot release ${-delta} unit(s) of ${productId}; not enough reserved`);
+    }
+
+    publishProductEvent('product.stock_changed', product, { reservedDelta: delta });
+    return product;
+};
+
+/**
+ * Atomically change the stock of a product, optionally consuming reserved units
+ *
+ * The update only applies while stock stays at or above the remaining reservation,
+ * so stock can never go negative. Lot-tracked products take units from the
+ * earliest-expiring lot and are updated with a version check, retrying on conflict.
+ */
+ProductSchema.statics.changeStock = async function(productId, delta, { consumeReserved = 0, lotNumber, expiryDate, movement = {} } = {}) {
+    const reserved = { $ifNull: ['$reservedStock', 0] };
+
+    // Fast path: products without lots can be updated with a single conditional $inc
+    const product = await this.findOneAndUpdate(
+        {
+            productId,
+            'lots.0': { $exists: false },
+            $expr: {
+                $and: [
+                    { $gte: [reserved, consumeReserved] },
+                    { $gte: [{ $add: ['$stock', delta] }, { $subtract: [reserved, consumeReserved] }] }
+                ]
+            }
+        },
+        { $inc: { stock: delta, reservedStock: -consumeReserved } },
+        { new: true }
+    );
+
+    if (product) {
+        await recordMovement({
+            ...movement,
+            productId,
+            quantity: delta,
+            stockBefore: product.stock - delta,
+            stockAfter: product.stock
+        });
+        publishProductEvent('product.stock_changed', product, { delta });
+        return product;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const current = await this.findOne({ productId });
+
+        if (!current) {
+            throw productNotFound(productId);
+        }
+
+        const currentReserved = current.reservedStock || 0;
+        if (current.lots.length === 0 || currentReserved < consumeReserved ||
+            current.stock + delta < currentReserved - consumeReserved) {
+            throw insufficientStock(`Insufficient stock to remove ${-delta} unit(s) of ${productId}`);
+        }
+
+        let lots = current.lots.map(lot => lot.toObject());
+        let consumedLots = [];
+
+        if (delta < 0) {
+            const before = lots;
+            lots = consumeLots(lots, -delta);
+            consumedLots = lots
+                .map((lot, index) => ({ lotNumber: lot.lotNumber, quantity: before[index].quantity - lot.quantity }))
+                .filter(lot => lot.quantity > 0);
+        } else if (delta > 0) {
+            if (!lotNumber) {
+                throw new ValidationError('lotNumber is required to add stock to a lot-tracked product', {
+                    details: [{ location: 'body', field: 'lotNumber', message: 'lotNumber is required for lot-tracked products' }]
+                });
+            }
+
+            const lot = lots.find(existing => existing.lotNumber === lotNumber);
+            if (lot) {
+                lot.quantity += delta;
+            } else {
+                lots.push({ lotNumber, quantity: delta, expiryDate, receivedAt: new Date() });
+            }
+        }
+
+        const { stock, nextExpiryDate, expiryDate: derivedExpiry } = summarizeLots(lots);
+
+        const result = await this.updateOne(
+            { _id: current._id, __v: current.__v, reservedStock: current.reservedStock ?? null },
+            {
+                $set: { lots, stock, nextExpiryDate, expiryDate: derivedExpiry },
+                $inc: { reservedStock: -consumeReserved, __v: 1 }
+            }
+        );
+
+        if (result.modifiedCount === 1) {
+            await recordMovement({
+                ...movement,
+                productId,
+                quantity: delta,
+                stockBefore: current.stock,
+                stockAfter: stock,
+                lotNumber: movement.lotNumber || lotNumber
+            });
+
+            const updated = await this.findById(current._id);
+            // Lets callers put removed units back into the lots they came from
+            updated.$locals.consumedLots = consumedLots;
+            publishProductEvent('product.stock_changed', updated, { delta });
+            return updated;
+        }
+    }
+
+    throw new ConflictError(`Stock of ${productId} is being changed concurrently; please retry`, {
+        code: ERROR_CODES.STOCK_CONFLICT
+    });
+};
+
+/**
+ * Hold units for a checkout so they cannot be sold twice
+ */
+ProductSchema.statics.reserveStock = function(productId, quantity) {
+    return this.changeReservation(productId, quantity);
+};
+
+/**
+ * Return previously reserved units to available stock
+ */
+ProductSchema.statics.releaseStock = function(productId, quantity) {
+    return this.changeReservation(productId, -quantity);
+};
+
+/**
+ * Turn reserved units into a sale, removing them from stock
+ */
+ProductSchema.statics.commitStock = function(productId, quantity, movement = {}) {
+    return this.changeStock(productId, -quantity, {
+        consumeReserved: quantity,
+        movement: { type: 'sale', reason: 'sale', ...movement }
+    });
+};
+
+/**
+ * Apply a manual stock delta with a reason code
+ * options: { lotNumber, expiryDate, movement: { performedBy, note } }
+ */
+ProductSchema.statics.adjustStock = function(productId, delta, reason, options = {}) {
+    if (!STOCK_REASONS.includes(reason)) {
+        return Promise.reject(new ValidationError(`Reason must be one of: ${STOCK_REASONS.join(', ')}`, {
+            details: [{ location: 'body', field: 'reason', message: `reason must be one of [${STOCK_REASONS.join(', ')}]` }]
+        }));
+    }
+
+    return this.changeStock(productId, delta, {
+        ...options,
+        movement: { reason, ...options.movement }
+    });
+};
+
+/**
+ * Move every product in one category to another, announcing each move to subscribers
+ * Works in batches of IDs so the update is a bulk write but the events name each product.
+ * Returns the number of products moved.
+ */
+ProductSchema.statics.moveCategory = async function(from, to) {
+    let moved = 0;
+
+    for (;;) {
+        const ids = (await this.find({ category: from }, { _id: 1 }).limit(500).lean()).map(doc => doc._id);
+
+        if (ids.length === 0) {
+            return moved;
+        }
+
+        const { modifiedCount } = await this.updateMany({ _id: { $in: ids }, category: from }, { $set: { category: to } });
+        moved += modifiedCount;
+
+        for (const product of await this.find({ _id: { $in: ids }, category: to })) {
+            publishProductEvent('product.updated', product, { changes: ['category'], previousCategory: from });
+        }
+    }
+};
+
+/**
+ * Build a filter for products holding stock that expires in [from, to)
+ * Lot-tracked products match on any stocked lot; others on their single expiry date
+ */
+ProductSchema.statics.expiryFilter = function({ from, to }) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lt = to;
+
+    return {
+        $or: [
+            { lots: { $elemMatch: { quantity: { $gt: 0 }, expiryDate: range } } },
+            { lots: { $size: 0 }, stock: { $gt: 0 }, nextExpiryDate: range }
+        ]
+    };
+};
+
 // Index for better query performance
 ProductSchema.index({ category: 1, stock: 1 });
-ProductSchema.index({ name: 'text', category: 'text' }); // Text search index
+ProductSchema.index({ nextExpiryDate: 1 });
+ProductSchema.index({ 'lots.expiryDate': 1 });
+ProductSchema.index(
+    { 'barcodes.code': 1 },
+    { unique: true, partialFilterExpression: { 'barcodes.code': { $exists: true } } }
+);
+ProductSchema.index({ searchGrams: 1 }); // Fuzzy search index
+ProductSchema.index({ plu: 1 }, { unique: true, partialFilterExpression: { plu: { $type: 'string' } } });
 
 module.exports = mongoose.model('Product', ProductSchema);
+module.exports.STOCK_REASONS = STOCK_REASONS;
+module.exports.PRICING_UNITS = PRICING_UNITS;
@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Category = require('./Category');
+const { parseDiscountText } = require('../utils/pricing');
+
+const PROMOTION_TYPES = ['percentage', 'flat', 'buy_x_get_y', 'cashback'];
+
+/**
+ * Promotion Schema for structured discounts
+ * Replaces the free-text Product.discounts string with rules that can be priced
+ *
+ * - percentage:  `value` percent off the line amount
+ * - flat:        `value` rupees off each unit
+ * - buy_x_get_y: for every `buyQuantity` paid units, `getQuantity` more are free
+ * - cashback:    `value` percent of the amount paid is credited back after purchase
+ */
+const PromotionSchema = new mongoose.Schema({
+    promotionId: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        default: () => crypto.randomUUID()
+    },
+    name: {
+        type: String,
+        required: [true, 'Promotion name is required'],
+        trim: true,
+        maxLength: [200, 'Promotion name cannot exceed 200 characters']
+    },
+    type: {
+        type: String,
+        required: [true, 'Promotion type is required'],
+        enum: {
+            values: PROMOTION_TYPES,
+            message: `Promotion type must be one of ${PROMOTION_TYPES.join(', ')}`
+        }
+    },
+    value: {
+        type: Number,
+        min: [0, 'Promotion value cannot be negative'],
+        default: 0
+    },
+    buyQuantity: {
+        type: Number,
+        min: [1, 'Buy quantity must be at least 1']
+    },
+    getQuantity: {
+        type: Number,
+        min: [1, 'Get quantity must be at least 1']
+    },
+    minQuantity: {
+        type: Number,
+        min: [1, 'Minimum quantity must be at least 1'],
+        default: 1
+    },
+    // Targeting: a promotion with no products and no categories applies to everything
+    productIds: {
+        type: [String],
+        default: []
+    },
+    categories: {
+        type: [{
+            type: String,
+            validate: {
+                validator: function(v) {
+                    return Category.isKnown(v);
+                },
+                message: props => `Category "${props.value}" does not exist`
+            }
+        }],
+        default: []
+    },
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    // Where the promotion came from; "legacy" ones are parsed from Product.discounts
+    source: {
+        type: String,
+        enum: ['manual', 'legacy'],
+        default: 'manual'
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Type-specific validation that cannot be expressed per field
+PromotionSchema.pre('validate', function(next) {
+    if (['percentage', 'cashback'].includes(this.type) && !(this.value > 0 && this.value <= 100)) {
+        this.invalidate('value', 'Percentage value must be greater than 0 and at most 100', this.value);
+    }
+
+    if (this.type === 'flat' && !(this.value > 0)) {
+        this.invalidate('value', 'Flat discount value must be greater than 0', this.value);
+    }
+
+    if (this.type === 'buy_x_get_y') {
+        if (!this.buyQuantity) this.invalidate('buyQuantity', 'Buy quantity is required for buy_x_get_y promotions');
+        if (!this.getQuantity) this.invalidate('getQuantity', 'Get quantity is required for buy_x_get_y promotions');
+    }
+
+    if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+        this.invalidate('endsAt', 'End date must be after start date', this.endsAt);
+    }
+
+    next();
+});
+
+// Add virtual field to check if the promotion is running right now
+PromotionSchema.virtual('isCurrent').get(function() {
+    const now = new Date();
+    return this.active
+        && (!this.startsAt || this.startsAt <= now)
+        && (!this.endsAt || this.endsAt > now);
+});
+
+/**
+ * Filter for active promotions within their validity window
+ */
+const currentFilter = (at) => ({
+    active: true,
+    $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: at } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] }
+    ]
+});
+
+/**
+ * Resolve the category targets of promotions to those categories and all their subcategories
+ * The result is kept in $locals.targetCategories, which isPromotionApplicable matches products against
+ */
+PromotionSchema.statics.resolveCategoryTargets = async function(promotions) {
+    const names = [...new Set(promotions.flatMap(promotion => promotion.categories))];
+    const descendants = new Map(await Promise.all(names.map(async name => [name, await Category.descendantNames(name)])));
+
+    for (const promotion of promotions) {
+        promotion.$locals.targetCategories = promotion.categories.flatMap(name => [name, ...descendants.get(name)]);
+    }
+
+    return promotions;
+};
+
+/**
+ * Find active promotions within their validity window that target any of the given products
+ * A promotion on a category also covers its subcategories
+ */
+PromotionSchema.statics.findApplicable = async function(products, at = new Date()) {
+    const productIds = products.map(product => product.productId);
+    const categories = await Category.withAncestors(products.map(product => product.category));
+    const filter = currentFilter(at);
+
+    filter.$and.push({
+        $or: [
+            { productIds: { $in: productIds } },
+            { categories: { $in: categories } },
+            { productIds: { $size: 0 }, categories: { $size: 0 } }
+        ]
+    });
+
+    return this.resolveCategoryTargets(await this.find(filter));
+};
+
+/**
+ * Build a product filter matching every product with a promotion running right now
+ * Returns null when a store-wide promotion makes every product discounted
+ */
+PromotionSchema.statics.discountedProductFilter = async function(at = new Date()) {
+    const promotions = await this.find(currentFilter(at)).select('productIds categories');
+
+    if (promotions.some(promotion => promotion.productIds.length === 0 && promotion.categories.length === 0)) {
+        return null;
+    }
+
+    const categories = await Category.withDescendants([...new Set(promotions.flatMap(promotion => promotion.categories))]);
+
+    return {
+        $or: [
+            { productId: { $in: [...new Set(promotions.flatMap(promotion => promotion.productIds))] } },
+            { category: { $in: categories } }
+        ]
+    };
+};
+
+/**
+ * Create, update or remove the promotion parsed from a product's legacy discounts text
+ * Legacy promotions are keyed by product so re-running the sync is idempotent
+ */
+PromotionSchema.statics.syncLegacyDiscount = async function(product) {
+    const promotionId = `legacy-${product.productId}`;
+    const parsed = parseDiscountText(product.discounts);
+
+    if (!parsed) {
+        await this.deleteOne({ promotionId });
+        return null;
+    }
+
+    const promotion = await this.findOne({ promotionId }) || new this({ promotionId, source: 'legacy' });
+
+    promotion.set({
+        value: 0,
+        buyQuantity: undefined,
+        getQuantity: undefined,
+        ...parsed,
+        productIds: [product.productId],
+        categories: [],
+        active: true
+    });
+
+    return promotion.save();
+};
+
+PromotionSchema.index({ active: 1, startsAt: 1, endsAt: 1 });
+PromotionSchema.index({ productIds: 1 });
+PromotionSchema.index({ categories: 1 });
+
+module.exports = mongoose.model('Promotion', PromotionSchema);
+module.exports.PROMOTION_TYPES = PROMOTION_TYPES;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// Movement types and the adjustment reason codes that map onto them
+const MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'spoilage', 'return'];
+const TYPE_BY_REASON = {
+    receipt: 'receipt',
+    sale: 'sale',
+    return: 'return',
+    spoilage: 'spoilage'
+};
+
+/**
+ * StockMovement Schema for the inventory ledger
+ * One append-only entry per stock change, recording who changed it, why and what it was before
+ */
+const StockMovementSchema = new mongoose.Schema({
+    productId: {
+        type: String,
+        required: [true, 'Product ID is required'],
+        trim: true
+    },
+    type: {
+        type: String,
+        required: [true, 'Movement type is required'],
+        enum: {
+            values: MOVEMENT_TYPES,
+            message: `Movement type must be one of ${MOVEMENT_TYPES.join(', ')}`
+        }
+    },
+    // Finer-grained reason code, e.g. "damage", "count_correction", "initial_stock"
+    reason: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required']
+    },
+    stockBefore: {
+        type: Number,
+        required: true
+    },
+    stockAfter: {
+        type: Number,
+        required: true
+    },
+    lotNumber: {
+        type: String,
+        trim: true
+    },
+    // Related document, e.g. the basket that was checked out
+    reference: {
+        type: String,
+        trim: true
+    },
+    performedBy: {
+        userId: String,
+        email: String,
+        role: String
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxLength: [500, 'Note cannot exceed 500 characters']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            ret.movementId = ret._id.toString();
+            delete ret._id;
+            delete ret.__v;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// The ledger is append-only: refuse every update and delete
+const rejectChange = function() {
+    throw new Error('Stock movements are append-only and cannot be modified or deleted');
+};
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+    StockMovementSchema.pre(operation, rejectChange);
+});
+
+StockMovementSchema.pre('save', function() {
+    if (!this.isNew) rejectChange();
+});
+
+/**
+ * Map an adjustment reason code to its movement type
+ */
+StockMovementSchema.statics.typeForReason = function(reason) {
+    return TYPE_BY_REASON[reason] || 'adjustment';
+};
+
+/**
+ * Append a movement for a stock change
+ * `performedBy` may be a User document; only its identity is snapshotted
+ */
+StockMovementSchema.statics.record = function({ productId, type, reason, quantity, stockBefore, stockAfter, lotNumber, reference, performedBy, note }) {
+    return this.create({
+        productId,
+        type: type || this.typeForReason(reason),
+        reason,
+        quantity,
+        stockBefore,
+        stockAfter,
+        lotNumber,
+        reference,
+        performedBy: performedBy
+            ? { userId: performedBy._id?.toString() || performedBy.userId, email: performedBy.email, role: performedBy.role }
+            : undefined,
+        note
+    });
+};
+
+StockMovementSchema.index({ productId: 1, createdAt: -1 });
+StockMovementSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege
+const USER_ROLES = ['shopper', 'staff', 'admin'];
+
+/**
+ * User Schema for API accounts
+ * Shoppers use baskets; staff and admins manage the catalog
+ */
+const UserSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxLength: [100, 'Name cannot exceed 100 characters']
+    },
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: {
+            values: USER_ROLES,
+            message: `Role must be one of ${USER_ROLES.join(', ')}`
+        },
+        default: 'shopper'
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            ret.userId = ret._id.toString();
+            delete ret._id;
+            delete ret.__v;
+            delete ret.passwordHash;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+/**
+ * Hash and store a new password (scrypt with a random salt)
+ */
+UserSchema.methods.setPassword = async function(password) {
+    if (typeof password !== 'string' || password.length < 8) {
+        this.invalidate('password', 'Password must be at least 8 characters long');
+        return;
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, 64);
+    this.passwordHash = `${salt}:${derivedKey.toString('hex')}`;
+};
+
+/**
+ * Check a password against the stored hash in constant time
+ */
+UserSchema.methods.verifyPassword = async function(password) {
+    if (!this.passwordHash || typeof password !== 'string') return false;
+
+    const [salt, hash] = this.passwordHash.split(':');
+    const derivedKey = await scrypt(password, salt, 64);
+    const storedKey = Buffer.from(hash, 'hex');
+
+    return storedKey.length === derivedKey.length && crypto.timingSafeEqual(storedKey, derivedKey);
+};
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.USER_ROLES = USER_ROLES;
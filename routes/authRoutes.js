@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { signToken, authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/authSchemas');
+const { ERROR_CODES, AuthenticationError, ConflictError, asyncHandler } = require('../utils/errors');
+
+/**
+ * Create a user from a request body, returning the saved user
+ */
+const createUser = async ({ email, name, password, role }) => {
+    const user = new User({ email, name, role });
+    await user.setPassword(password);
+
+    try {
+        return await user.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('User with this email already exists', { code: ERROR_CODES.DUPLICATE_RESOURCE, cause: error });
+        }
+
+        // A rejected password also leaves passwordHash empty; report only the password problem
+        if (error.errors && error.errors.password) {
+            delete error.errors.passwordHash;
+        }
+        throw error;
+    }
+};
+
+/**
+ * @desc    Register a shopper account
+ * @route   POST /api/auth/register
+ * @access  Public
+ */
+router.post('/register', validate({ body: schemas.registerBody }), asyncHandler(async (req, res) => {
+    const { email, name, password } = req.body;
+
+    // Self-registration always creates shoppers; staff accounts are created by admins
+    const user = await createUser({ email, name, password, role: 'shopper' });
+
+    res.status(201).json({
+        success: true,
+        data: {
+            user,
+            token: signToken(user)
+        },
+        message: 'Account created successfully'
+    });
+}));
+
+/**
+ * @desc    Log in and receive an access token
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+router.post('/login', validate({ body: schemas.loginBody }), asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email }).select('+passwordHash');
+
+    if (!user || !user.active || !(await user.verifyPassword(password))) {
+        throw new AuthenticationError('Invalid email or password', { code: ERROR_CODES.INVALID_CREDENTIALS });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+        success: true,
+        data: {
+            user,
+            token: signToken(user)
+        }
+    });
+}));
+
+/**
+ * @desc    Get the authenticated user
+ * @route   GET /api/auth/me
+ * @access  Authenticated
+ */
+router.get('/me', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+});
+
+/**
+ * @desc    Create a user with any role
+ * @route   POST /api/auth/users
+ * @access  Admin
+ */
+router.post('/users', authenticate, authorize('admin'), validate({ body: schemas.createUserBody }), asyncHandler(async (req, res) => {
+    const { email, name, password, role } = req.body;
+
+    const user = await createUser({ email, name, password, role });
+
+    res.status(201).json({
+        success: true,
+        data: user,
+        message: 'User created successfully'
+    });
+}));
+
+/**
+ * @desc    List users
+ * @route   GET /api/auth/users
+ * @access  Admin
+ */
+router.get('/users', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+    const users = await User.find({}).sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        data: users
+    });
+}));
+
+module.exports = router;
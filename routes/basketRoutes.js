@@ -0,0 +1,331 @@
+const express = require('express');
+const router = express.Router();
+const Basket = require('../models/Basket');
+const Product = require('../models/Product');
+const Device = require('../models/Device');
+const Order = require('../models/Order');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/basketSchemas');
+const { verifyWeight } = require('../utils/weight');
+const { ERROR_CODES, AppError, ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * @desc    Create a new basket
+ * @route   POST /api/baskets
+ * @access  Public
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const basket = await new Basket().save();
+
+    res.status(201).json({
+        success: true,
+        data: await basket.summarize(),
+        message: 'Basket created successfully'
+    });
+}));
+
+/**
+ * @desc    Get a basket with computed totals
+ * @route   GET /api/baskets/:id
+ * @access  Public
+ */
+router.get('/:id', validate({ params: schemas.basketParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const basket = await Basket.findOne({ basketId: id });
+
+    if (!basket) {
+        throw new NotFoundError(`No basket found with ID: ${id}`, { code: ERROR_CODES.BASKET_NOT_FOUND });
+    }
+
+    res.json({
+        success: true,
+        data: await basket.summarize()
+    });
+}));
+
+/**
+ * @desc    Add a product to a basket, incrementing the quantity if already present
+ * @route   POST /api/baskets/:id/items
+ * @access  Public
+ */
+router.post('/:id/items', validate({ params: schemas.basketParams, body: schemas.addItemBody }), asyncHandler(async (req, res) => {
+    const { productId, quantity, weightGrams } = req.body;
+
+    const basket = await Basket.loadActive(req.params.id);
+
+    // Scanned barcode aliases resolve to the canonical product ID; weighed labels also carry the weight
+    const { product, measure } = await Product.resolveScan(productId);
+    if (!product) {
+        throw new NotFoundError(`No product found with ID: ${productId}`, { code: ERROR_CODES.PRODUCT_NOT_FOUND });
+    }
+
+    basket.addItem(product, quantity, measure ? measure.weightGrams * quantity : weightGrams);
+    await basket.save();
+
+    res.json({
+        success: true,
+        data: await basket.summarize(),
+        message: 'Item added to basket'
+    });
+}));
+
+/**
+ * @desc    Set the quantity of a basket line item (0 removes it)
+ * @route   PUT /api/baskets/:id/items/:productId
+ * @access  Public
+ */
+router.put('/:id/items/:productId', validate({ params: schemas.basketItemParams, body: schemas.setQuantityBody }), asyncHandler(async (req, res) => {
+    const { productId } = req.params;
+    const { quantity } = req.body;
+
+    const basket = await Basket.loadActive(req.params.id);
+
+    const item = basket.findItem(productId);
+    if (!item) {
+        throw new NotFoundError(`Product ${productId} is not in this basket`, { code: ERROR_CODES.BASKET_ITEM_NOT_FOUND });
+    }
+
+    // The weight of each label is not kept, so a weighed line can only be removed as a whole
+    if (item.weightGrams && quantity !== 0) {
+        const message = 'The quantity of a weighed item cannot be changed; remove it and scan the labels again';
+        throw new ValidationError(message, { details: [{ location: 'body', field: 'quantity', message }] });
+    }
+
+    if (quantity === 0) {
+        basket.items.pull(item);
+    } else {
+        item.quantity = quantity;
+    }
+
+    await basket.save();
+
+    res.json({
+        success: true,
+        data: await basket.summarize(),
+        message: quantity === 0 ? 'Item removed from basket' : 'Item quantity updated'
+    });
+}));
+
+/**
+ * @desc    Remove a product from a basket
+ * @route   DELETE /api/baskets/:id/items/:productId
+ * @access  Public
+ */
+router.delete('/:id/items/:productId', validate({ params: schemas.basketItemParams }), asyncHandler(async (req, res) => {
+    const { productId } = req.params;
+
+    const basket = await Basket.loadActive(req.params.id);
+
+    const item = basket.findItem(productId);
+    if (!item) {
+        throw new NotFoundError(`Product ${productId} is not in this basket`, { code: ERROR_CODES.BASKET_ITEM_NOT_FOUND });
+    }
+
+    basket.items.pull(item);
+    await basket.save();
+
+    res.json({
+        success: true,
+        data: await basket.summarize(),
+        message: 'Item removed from basket'
+    });
+}));
+
+/**
+ * @desc    Check a measured weight against the items scanned into a basket
+ * @route   POST /api/baskets/:id/verify-weight
+ * @access  Public
+ */
+router.post('/:id/verify-weight', validate({ params: schemas.basketParams, body: schemas.verifyWeightBody }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const basket = await Basket.findOne({ basketId: id });
+
+    if (!basket) {
+        throw new NotFoundError(`No basket found with ID: ${id}`, { code: ERROR_CODES.BASKET_NOT_FOUND });
+    }
+
+    let { measuredGrams } = req.body;
+    let reading = { source: 'request' };
+
+    // Fall back to the load cell of a device scanning into this basket, using only a reading
+    // taken during the current session
+    if (measuredGrams === undefined) {
+        const device = await Device.findOne({
+            basketId: basket.basketId,
+            'lastWeight.basketId': basket.basketId,
+            'lastWeight.grams': { $ne: null }
+        })
+            .sort({ 'lastWeight.measuredAt': -1 });
+
+        if (!device) {
+            throw new ValidationError('measuredGrams is required when no linked device has reported a weight', {
+                details: [{ location: 'body', field: 'measuredGrams', message: 'measuredGrams is required' }]
+            });
+        }
+
+        measuredGrams = device.lastWeight.grams;
+        reading = { source: 'device', deviceId: device.deviceId, measuredAt: device.lastWeight.measuredAt };
+    }
+
+    const products = await Product.find({ productId: { $in: basket.items.map(item => item.productId) } });
+    const productsById = new Map(products.map(product => [product.productId, product]));
+
+    const result = verifyWeight(basket.items, productsById, { measuredGrams, tareGrams: req.body.tareGrams });
+
+    res.json({
+        success: true,
+        data: {
+            basketId: basket.basketId,
+            ...result,
+            reading
+        }
+    });
+}));
+
+/**
+ * Release the stock reserved for basket lines, logging (not throwing) individual failures
+ */
+const releaseBasketStock = (items) => Promise.all(items.map(item =>
+    Product.releaseStock(item.productId, item.stockQuantity()).catch(releaseError =>
+        logger.error(`Failed to release reservation for ${item.productId}`, { error: releaseError.message })
+    )
+));
+
+/**
+ * Reserve stock for every basket line, releasing what was already reserved if any line fails
+ */
+const reserveBasketStock = async (items) => {
+    const reserved = [];
+
+    try {
+        for (const item of items) {
+            await Product.reserveStock(item.productId, item.stockQuantity());
+            reserved.push(item);
+        }
+    } catch (error) {
+        await releaseBasketStock(reserved);
+        throw error;
+    }
+};
+
+/**
+ * Put back the units of lines already committed when a checkout is abandoned
+ * Lot-tracked units return to the lots they were taken from
+ */
+const returnBasketStock = (committed, reference) => Promise.all(committed.map(async ({ item, product }) => {
+    const movement = { reference, note: 'Checkout rolled back' };
+
+    try {
+        const lots = product.$locals.consumedLots || [];
+
+        if (lots.length === 0) {
+            await Product.adjustStock(item.productId, item.stockQuantity(), 'return', { movement });
+        }
+
+        for (const lot of lots) {
+            await Product.adjustStock(item.productId, lot.quantity, 'return', { lotNumber: lot.lotNumber, movement });
+        }
+    } catch (returnError) {
+        logger.error(`Failed to return committed stock for ${item.productId}`, { error: returnError.message });
+    }
+}));
+
+/**
+ * Put a claimed basket back in play after a failed checkout
+ */
+const reopenBasket = (basketId) => Basket.updateOne(
+    { basketId },
+    { status: 'active', $unset: { checkedOutAt: 1 } }
+);
+
+/**
+ * @desc    Check out a basket, atomically taking its items out of stock and recording the order
+ * @route   POST /api/baskets/:id/checkout
+ * @access  Public
+ */
+router.post('/:id/checkout', validate({ params: schemas.basketParams }), asyncHandler(async (req, res) => {
+    const basket = await Basket.loadActive(req.params.id);
+
+    if (basket.items.length === 0) {
+        throw new ValidationError('Cannot check out an empty basket', { code: ERROR_CODES.BASKET_EMPTY });
+    }
+
+    // Claim the basket first so concurrent checkouts of the same basket cannot both take stock
+    const claimed = await Basket.findOneAndUpdate(
+        { basketId: basket.basketId, status: 'active' },
+        { status: 'checked_out', checkedOutAt: new Date() },
+        { new: true }
+    );
+
+    if (!claimed) {
+        throw new ConflictError('Basket is already being checked out', { code: ERROR_CODES.BASKET_NOT_ACTIVE });
+    }
+
+    try {
+        await reserveBasketStock(claimed.items);
+    } catch (error) {
+        await reopenBasket(claimed.basketId);
+
+        // A product that vanished is as unavailable as one that sold out
+        if (error instanceof AppError && [ERROR_CODES.INSUFFICIENT_STOCK, ERROR_CODES.PRODUCT_NOT_FOUND].includes(error.code)) {
+            throw new ConflictError('Some items are unavailable in the requested quantity', {
+                code: ERROR_CODES.INSUFFICIENT_STOCK,
+                details: [{ location: 'basket', field: 'items', message: error.message }],
+                cause: error
+            });
+        }
+        throw error;
+    }
+
+    // Snapshot prices and promotions now, while the reservations hold, so later catalog edits cannot change the order
+    const summary = await claimed.summarize();
+    let order;
+
+    try {
+        order = await Order.createFromSummary(summary);
+    } catch (error) {
+        await releaseBasketStock(claimed.items);
+        await reopenBasket(claimed.basketId);
+        throw error;
+    }
+
+    // Reserved units are guaranteed to be in stock, but a lot-tracked commit can still lose a race
+    // (STOCK_CONFLICT); undo everything so the basket can simply be checked out again
+    const committed = [];
+
+    try {
+        for (const item of claimed.items) {
+            const product = await Product.commitStock(item.productId, item.stockQuantity(), { reference: claimed.basketId });
+            committed.push({ item, product });
+        }
+    } catch (error) {
+        await releaseBasketStock(claimed.items.slice(committed.length));
+        await returnBasketStock(committed, claimed.basketId);
+        await Order.deleteOne({ orderId: order.orderId });
+        await reopenBasket(claimed.basketId);
+
+        if (error instanceof AppError && [ERROR_CODES.STOCK_CONFLICT, ERROR_CODES.PRODUCT_NOT_FOUND].includes(error.code)) {
+            throw new ConflictError('Checkout could not be completed; please retry', {
+                code: ERROR_CODES.STOCK_CONFLICT,
+                details: [{ location: 'basket', field: 'items', message: error.message }],
+                cause: error
+            });
+        }
+        throw error;
+    }
+
+    res.json({
+        success: true,
+        data: {
+            ...summary,
+            order: {
+                orderId: order.orderId,
+                orderNumber: order.orderNumber
+            }
+        },
+        message: 'Basket checked out successfully'
+    });
+}));
+
+module.exports = router;
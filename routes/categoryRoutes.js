@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const { requireStaff } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/categorySchemas');
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Look up a category by slug, or by name as a fallback
+ */
+const findCategory = (id) => Category.findOne({ $or: [{ slug: id }, { name: id }] });
+
+/**
+ * Move products, subcategories and promotion targets from one category name to another
+ */
+const reassignCategory = async (from, to) => {
+    const [movedProducts] = await Promise.all([
+        Product.moveCategory(from, to),
+        Promotion.updateMany({ categories: from }, { $set: { 'categories.$[match]': to } }, { arrayFilters: [{ match: from }] })
+    ]);
+
+    return movedProducts;
+};
+
+/**
+ * Move products, promotion targets and subcategories of a renamed category to its new name
+ */
+const moveRenamedReferences = (from, to) => Promise.all([
+    reassignCategory(from, to),
+    Category.updateMany({ parent: from }, { $set: { parent: to } })
+]);
+
+/**
+ * Carry a rename over to everything that refers to the category by name
+ * The category was saved with `renamedFrom`, so products written under the old name in the
+ * meantime still validate. If the move fails, what was moved goes back and the category gets
+ * its old name again.
+ */
+const completeRename = async (category, previousName) => {
+    try {
+        await moveRenamedReferences(previousName, category.name);
+    } catch (error) {
+        try {
+            await moveRenamedReferences(category.name, previousName);
+            category.set({ name: previousName, renamedFrom: undefined });
+            await category.save();
+        } catch (rollbackError) {
+            logger.error(`Failed to roll back the rename of category ${previousName} to ${category.name}`, { error: rollbackError.message });
+        }
+        throw error;
+    }
+
+    category.renamedFrom = undefined;
+    await category.save();
+
+    // Products saved under the old name while it was still accepted
+    await Product.moveCategory(previousName, category.name);
+};
+
+/**
+ * Save a category, reporting a taken name (or the slug derived from it) as a conflict
+ */
+const saveCategory = async (category) => {
+    try {
+        return await category.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('Category with this name already exists', { code: ERROR_CODES.DUPLICATE_RESOURCE, cause: error });
+        }
+        throw error;
+    }
+};
+
+/**
+ * Build the 400 error for an unusable reassignTo target
+ */
+const reassignError = (message) => new ValidationError(message, {
+    details: [{ location: 'query', field: 'reassignTo', message }]
+});
+
+/**
+ * @desc    Get all categories as a flat list or a nested tree
+ * @route   GET /api/categories?tree=true
+ * @access  Public
+ */
+router.get('/', validate({ query: schemas.listCategoriesQuery }), asyncHandler(async (req, res) => {
+    const categories = await Category.find({}).sort({ displayOrder: 1, name: 1 });
+
+    res.json({
+        success: true,
+        data: req.query.tree ? Category.buildTree(categories) : categories
+    });
+}));
+
+/**
+ * @desc    Get a single category with its direct subcategories and product count
+ * @route   GET /api/categories/:id
+ * @access  Public
+ */
+router.get('/:id', validate({ params: schemas.categoryParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const category = await findCategory(id);
+
+    if (!category) {
+        throw new NotFoundError(`No category found with ID: ${id}`, { code: ERROR_CODES.CATEGORY_NOT_FOUND });
+    }
+
+    const [children, productCount] = await Promise.all([
+        Category.find({ parent: category.name }).sort({ displayOrder: 1, name: 1 }),
+        Product.countDocuments({ category: category.name })
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            ...category.toJSON(),
+            children,
+            productCount
+        }
+    });
+}));
+
+/**
+ * @desc    Create a category
+ * @route   POST /api/categories
+ * @access  Staff, Admin
+ */
+router.post('/', requireStaff, validate({ body: schemas.createCategoryBody }), asyncHandler(async (req, res) => {
+    const { name, parent, displayOrder, icon, taxRate } = req.body;
+
+    const category = await saveCategory(new Category({ name, parent: parent || null, displayOrder, icon, taxRate }));
+
+    res.status(201).json({
+        success: true,
+        data: category,
+        message: 'Category created successfully'
+    });
+}));
+
+/**
+ * @desc    Update a category; renaming carries its products and subcategories along
+ * @route   PUT /api/categories/:id
+ * @access  Staff, Admin
+ */
+router.put('/:id', requireStaff, validate({ params: schemas.categoryParams, body: schemas.updateCategoryBody }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const category = await findCategory(id);
+
+    if (!category) {
+        throw new NotFoundError(`No category found with ID: ${id}`, { code: ERROR_CODES.CATEGORY_NOT_FOUND });
+    }
+
+    const { name, parent, displayOrder, icon, taxRate } = req.body;
+    const previousName = category.name;
+    const renamed = name !== undefined && name !== previousName;
+
+    category.set({
+        ...(renamed && { name, renamedFrom: previousName }),
+        ...(parent !== undefined && { parent: parent || null }),
+        ...(displayOrder !== undefined && { displayOrder }),
+        ...(icon !== undefined && { icon }),
+        ...(taxRate !== undefined && { taxRate })
+    });
+
+    const updatedCategory = await saveCategory(category);
+
+    if (renamed) {
+        await completeRename(updatedCategory, previousName);
+    }
+
+    res.json({
+        success: true,
+        data: updatedCategory,
+        message: 'Category updated successfully'
+    });
+}));
+
+/**
+ * @desc    Delete a category, migrating its products to another category
+ * @route   DELETE /api/categories/:id?reassignTo=<name>
+ * @access  Staff, Admin
+ */
+router.delete('/:id', requireStaff, validate({ params: schemas.categoryParams, query: schemas.deleteCategoryQuery }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reassignTo } = req.query;
+    const category = await findCategory(id);
+
+    if (!category) {
+        throw new NotFoundError(`No category found with ID: ${id}`, { code: ERROR_CODES.CATEGORY_NOT_FOUND });
+    }
+
+    const productCount = await Product.countDocuments({ category: category.name });
+
+    if (productCount > 0 && !reassignTo) {
+        throw new ConflictError(`${productCount} product(s) use this category; pass ?reassignTo=<category> to move them`, {
+            code: ERROR_CODES.CATEGORY_IN_USE
+        });
+    }
+
+    let target = null;
+    if (reassignTo) {
+        target = await findCategory(reassignTo);
+
+        if (!target || target.name === category.name) {
+            throw reassignError('reassignTo must be another existing category');
+        }
+
+        const descendants = await Category.descendantNames(category.name);
+        if (descendants.includes(target.name)) {
+            throw reassignError('Products cannot be reassigned to a subcategory of the deleted category');
+        }
+    }
+
+    const movedProducts = target ? await reassignCategory(category.name, target.name) : 0;
+
+    // Subcategories move up one level instead of being orphaned
+    await Category.updateMany({ parent: category.name }, { $set: { parent: category.parent } });
+    await Promotion.updateMany({ categories: category.name }, { $pull: { categories: category.name } });
+    await category.deleteOne();
+
+    res.json({
+        success: true,
+        message: 'Category deleted successfully',
+        data: {
+            category,
+            movedProducts,
+            reassignedTo: target ? target.name : null
+        }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const Basket = require('../models/Basket');
+const Device = require('../models/Device');
+const { requireStaff, authenticateDevice } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/deviceSchemas');
+const { ingestEvents } = require('../services/deviceIngestion');
+const { config } = require('../config');
+const { ERROR_CODES, NotFoundError, ConflictError, asyncHandler } = require('../utils/errors');
+
+/**
+ * Smart-basket devices
+ * Devices call the /me routes with their own key in X-Device-Key; staff register and manage
+ * devices with a bearer token.
+ */
+
+/**
+ * Load a device by ID
+ */
+const findDevice = async (deviceId) => {
+    const device = await Device.findOne({ deviceId });
+
+    if (!device) {
+        throw new NotFoundError(`No device found with ID: ${deviceId}`, { code: ERROR_CODES.DEVICE_NOT_FOUND });
+    }
+
+    return device;
+};
+
+/**
+ * Link a device to an active basket, starting a new basket when none is given
+ * The last weight belongs to the previous session, so it is cleared
+ */
+const linkSession = async (device, basketId) => {
+    const basket = basketId ? await Basket.loadActive(basketId) : await new Basket().save();
+
+    device.basketId = basket.basketId;
+    device.linkedAt = new Date();
+    device.lastWeight = undefined;
+    await device.save();
+
+    return {
+        device,
+        basket: await basket.summarize()
+    };
+};
+
+/**
+ * Unlink a device from its basket; the basket itself is left as it is
+ */
+const unlinkSession = async (device) => {
+    if (!device.basketId) {
+        throw new ConflictError('Device is not linked to a basket', { code: ERROR_CODES.DEVICE_NOT_LINKED });
+    }
+
+    device.basketId = null;
+    device.linkedAt = undefined;
+    device.lastWeight = undefined;
+    return device.save();
+};
+
+/**
+ * @desc    Report that the device is alive, with optional firmware and battery details
+ * @route   POST /api/devices/me/heartbeat
+ * @access  Device
+ */
+router.post('/me/heartbeat', authenticateDevice, validate({ body: schemas.heartbeatBody }), asyncHandler(async (req, res) => {
+    // authenticateDevice has already recorded lastSeenAt
+    Object.assign(req.device, req.body);
+    await req.device.save();
+
+    res.json({
+        success: true,
+        data: req.device
+    });
+}));
+
+/**
+ * @desc    Get the calling device, including its linked basket
+ * @route   GET /api/devices/me
+ * @access  Device
+ */
+router.get('/me', authenticateDevice, (req, res) => {
+    res.json({
+        success: true,
+        data: req.device
+    });
+});
+
+/**
+ * @desc    Link the calling device to a basket (or a new one when basketId is omitted)
+ * @route   PUT /api/devices/me/session
+ * @access  Device
+ */
+router.put('/me/session', authenticateDevice, validate({ body: schemas.linkSessionBody }), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await linkSession(req.device, req.body.basketId),
+        message: 'Device linked to basket'
+    });
+}));
+
+/**
+ * @desc    Unlink the calling device from its basket
+ * @route   DELETE /api/devices/me/session
+ * @access  Device
+ */
+router.delete('/me/session', authenticateDevice, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await unlinkSession(req.device),
+        message: 'Device unlinked from basket'
+    });
+}));
+
+/**
+ * @desc    Ingest a batch of scan and weight events, skipping ones already received
+ * @route   POST /api/devices/me/events
+ * @access  Device
+ */
+router.post('/me/events', authenticateDevice, validate({ body: schemas.ingestEventsBody }), asyncHandler(async (req, res) => {
+    const report = await ingestEvents(req.device, req.body.events);
+
+    res.json({
+        success: true,
+        data: report,
+        message: `Processed ${report.summary.total - report.summary.duplicates} new and ${report.summary.duplicates} duplicate events`
+    });
+}));
+
+/**
+ * @desc    Register a device and issue its API key
+ * @route   POST /api/devices
+ * @access  Staff, Admin
+ */
+router.post('/', requireStaff, validate({ body: schemas.registerDeviceBody }), asyncHandler(async (req, res) => {
+    const device = new Device(req.body);
+    const apiKey = device.issueApiKey();
+
+    try {
+        await device.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('Device with this ID already exists', { code: ERROR_CODES.DUPLICATE_RESOURCE, cause: error });
+        }
+        throw error;
+    }
+
+    res.status(201).json({
+        success: true,
+        data: {
+            device,
+            apiKey
+        },
+        message: 'Device registered; store the API key now, it is not shown again'
+    });
+}));
+
+/**
+ * @desc    List devices with their last-seen status
+ * @route   GET /api/devices?status=online|offline&active=&linked=
+ * @access  Staff, Admin
+ */
+router.get('/', requireStaff, validate({ query: schemas.listDevicesQuery }), asyncHandler(async (req, res) => {
+    const { status, active, linked, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = status ? Device.onlineFilter(status === 'online') : {};
+
+    if (active !== undefined) {
+        filter.active = active;
+    }
+
+    if (linked !== undefined) {
+        filter.basketId = linked ? { $ne: null } : null;
+    }
+
+    const [devices, total, online] = await Promise.all([
+        Device.find(filter)
+            .sort({ lastSeenAt: -1, deviceId: 1 })
+            .skip(skip)
+            .limit(limit),
+        Device.countDocuments(filter),
+        Device.countDocuments(Device.onlineFilter(true))
+    ]);
+
+    res.json({
+        success: true,
+        data: devices,
+        summary: {
+            online,
+            offlineAfterSeconds: config.deviceOfflineAfterSeconds
+        },
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+/**
+ * @desc    Get a device's status
+ * @route   GET /api/devices/:deviceId
+ * @access  Staff, Admin
+ */
+router.get('/:deviceId', requireStaff, validate({ params: schemas.deviceParams }), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await findDevice(req.params.deviceId)
+    });
+}));
+
+/**
+ * @desc    Rename, disable or re-enable a device
+ * @route   PUT /api/devices/:deviceId
+ * @access  Staff, Admin
+ */
+router.put('/:deviceId', requireStaff, validate({ params: schemas.deviceParams, body: schemas.updateDeviceBody }), asyncHandler(async (req, res) => {
+    const device = await findDevice(req.params.deviceId);
+
+    Object.assign(device, req.body);
+    await device.save();
+
+    res.json({
+        success: true,
+        data: device,
+        message: 'Device updated successfully'
+    });
+}));
+
+/**
+ * @desc    Replace a device's API key; the old key stops working immediately
+ * @route   POST /api/devices/:deviceId/api-key
+ * @access  Staff, Admin
+ */
+router.post('/:deviceId/api-key', requireStaff, validate({ params: schemas.deviceParams }), asyncHandler(async (req, res) => {
+    const device = await findDevice(req.params.deviceId);
+    const apiKey = device.issueApiKey();
+    await device.save();
+
+    res.json({
+        success: true,
+        data: {
+            device,
+            apiKey
+        },
+        message: 'API key rotated; store the new key now, it is not shown again'
+    });
+}));
+
+/**
+ * @desc    Link a device to a basket (or a new one when basketId is omitted)
+ * @route   PUT /api/devices/:deviceId/session
+ * @access  Staff, Admin
+ */
+router.put('/:deviceId/session', requireStaff, validate({ params: schemas.deviceParams, body: schemas.linkSessionBody }), asyncHandler(async (req, res) => {
+    const device = await findDevice(req.params.deviceId);
+
+    res.json({
+        success: true,
+        data: await linkSession(device, req.body.basketId),
+        message: 'Device linked to basket'
+    });
+}));
+
+/**
+ * @desc    Unlink a device from its basket
+ * @route   DELETE /api/devices/:deviceId/session
+ * @access  Staff, Admin
+ */
+router.delete('/:deviceId/session', requireStaff, validate({ params: schemas.deviceParams }), asyncHandler(async (req, res) => {
+    const device = await findDevice(req.params.deviceId);
+
+    res.json({
+        success: true,
+        data: await unlinkSession(device),
+        message: 'Device unlinked from basket'
+    });
+}));
+
+module.exports = router;
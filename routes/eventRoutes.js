@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const events = require('../services/events');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/eventSchemas');
+const { config } = require('../config');
+const { asyncHandler } = require('../utils/errors');
+
+// How long EventSource waits before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+/**
+ * Build the predicate selecting the events a client subscribed to
+ * With no products or categories every product is included; a category change
+ * reaches subscribers of both the old and the new category. `categories` should already
+ * include subcategories (see the route)
+ */
+const eventFilter = ({ products, categories, types }) => {
+    const productSet = products && products.length > 0 ? new Set(products) : null;
+    const categorySet = categories && categories.length > 0 ? new Set(categories) : null;
+    const typeSet = types && types.length > 0 ? new Set(types) : null;
+
+    return (event) => {
+        if (typeSet && !typeSet.has(event.type)) return false;
+        if (!productSet && !categorySet) return true;
+
+        return Boolean(
+            (productSet && productSet.has(event.productId)) ||
+            (categorySet && (categorySet.has(event.category) || categorySet.has(event.previousCategory)))
+        );
+    };
+};
+
+/**
+ * Format one Server-Sent Events frame
+ */
+const frame = ({ id, event, data }) => `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * @desc    Stream product changes as Server-Sent Events
+ * @route   GET /api/events?products=A,B&categories=Dairy&types=product.updated
+ * @access  Public
+ */
+router.get('/', validate({ query: schemas.eventStreamQuery }), asyncHandler(async (req, res) => {
+    // Subscribing to a category covers its subcategories as they are at connection time
+    const categories = req.query.categories && await Category.withDescendants(req.query.categories);
+    const matches = eventFilter({ ...req.query, categories });
+    const send = (event) => res.write(frame({ id: event.id, event: event.type, data: event }));
+
+    res.set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop reverse proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Replay what a reconnecting client missed, or tell it to refetch when that is no longer possible
+    const resumeFrom = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (resumeFrom) {
+        const missed = events.eventsSince(resumeFrom);
+
+        if (missed === null) {
+            res.write(frame({ event: 'reset', data: { reason: 'Cannot resume from this event ID; refetch current state' } }));
+        } else {
+            missed.filter(matches).forEach(send);
+        }
+    }
+
+    res.write(frame({
+        event: 'ready',
+        data: {
+            products: req.query.products || [],
+            categories: req.query.categories || [],
+            types: req.query.types || events.PRODUCT_EVENTS
+        }
+    }));
+
+    const unsubscribe = events.subscribe(event => {
+        if (matches(event)) send(event);
+    });
+
+    // Comments keep idle connections open through proxies and load balancers
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), config.eventHeartbeatMs);
+
+    const stopOnShutdown = events.onShutdown(() => res.end());
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        stopOnShutdown();
+    });
+}));
+
+module.exports = router;
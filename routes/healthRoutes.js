@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { config } = require('../config');
+const { getConnectionStatus, pingDB } = require('../config/database');
+const { asyncHandler } = require('../utils/errors');
+const { version } = require('../package.json');
+
+const SERVICE_NAME = 'Smart Grocery Basket API';
+
+/**
+ * Fields shared by every health response
+ */
+const baseReport = () => ({
+    service: SERVICE_NAME,
+    version,
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+});
+
+/**
+ * Check the database with a ping and report its status and latency
+ */
+const checkDatabase = async () => {
+    const { state } = getConnectionStatus();
+
+    try {
+        const latencyMs = await pingDB(config.healthCheckTimeoutMs);
+        return { status: 'up', state, latencyMs: Math.round(latencyMs * 10) / 10 };
+    } catch (error) {
+        return { status: 'down', state, error: error.message };
+    }
+};
+
+/**
+ * Readiness report: 200 when every dependency is up, 503 otherwise
+ */
+const readiness = asyncHandler(async (req, res) => {
+    const components = { database: await checkDatabase() };
+    const ready = Object.values(components).every(component => component.status === 'up');
+
+    res.set('Cache-Control', 'no-store');
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ok' : 'unavailable',
+        ...baseReport(),
+        components
+    });
+});
+
+/**
+ * @desc    Liveness probe; the process is up and serving requests
+ * @route   GET /health/live
+ * @access  Public
+ */
+router.get('/live', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+        status: 'ok',
+        ...baseReport()
+    });
+});
+
+/**
+ * @desc    Readiness probe; checks every dependency the API needs to serve traffic
+ * @route   GET /health/ready
+ * @access  Public
+ */
+router.get('/ready', readiness);
+
+/**
+ * @desc    Overall health, same report as the readiness probe
+ * @route   GET /health
+ * @access  Public
+ */
+router.get('/', readiness);
+
+module.exports = router;
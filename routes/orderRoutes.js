@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const { requireStaff } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/orderSchemas');
+const { renderTextReceipt, renderHtmlReceipt } = require('../utils/receipt');
+const { ERROR_CODES, NotFoundError, asyncHandler } = require('../utils/errors');
+
+/**
+ * Orders recorded at checkout
+ * Customers fetch their own order by its unguessable orderId; staff can list and search by order number.
+ */
+
+/**
+ * Load an order by its orderId
+ */
+const loadOrder = async (orderId) => {
+    const order = await Order.findOne({ orderId });
+
+    if (!order) {
+        throw new NotFoundError(`No order found with ID: ${orderId}`, { code: ERROR_CODES.ORDER_NOT_FOUND });
+    }
+
+    return order;
+};
+
+/**
+ * @desc    List orders, newest first
+ * @route   GET /api/orders
+ * @access  Staff, Admin
+ */
+router.get('/', requireStaff, validate({ query: schemas.listOrdersQuery }), asyncHandler(async (req, res) => {
+    const { orderNumber, basketId, from, to, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (orderNumber) {
+        filter.orderNumber = orderNumber.toUpperCase();
+    }
+
+    if (basketId) {
+        filter.basketId = basketId;
+    }
+
+    if (from || to) {
+        filter.placedAt = {};
+        if (from) filter.placedAt.$gte = from;
+        if (to) filter.placedAt.$lt = to;
+    }
+
+    const [orders, total] = await Promise.all([
+        Order.find(filter)
+            .sort({ placedAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        Order.countDocuments(filter)
+    ]);
+
+    res.json({
+        success: true,
+        data: orders,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+/**
+ * @desc    Get an order
+ * @route   GET /api/orders/:id
+ * @access  Public
+ */
+router.get('/:id', validate({ params: schemas.orderParams }), asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await loadOrder(req.params.id)
+    });
+}));
+
+/**
+ * @desc    Get an order's printable receipt as plain text (default) or HTML
+ * @route   GET /api/orders/:id/receipt
+ * @access  Public
+ */
+router.get('/:id/receipt', validate({ params: schemas.orderParams, query: schemas.receiptQuery }), asyncHandler(async (req, res) => {
+    const order = await loadOrder(req.params.id);
+
+    if (req.query.format === 'html') {
+        res.type('html').send(renderHtmlReceipt(order));
+        return;
+    }
+
+    res.type('text').send(renderTextReceipt(order));
+}));
+
+module.exports = router;
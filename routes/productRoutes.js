@@ -1,268 +1,577 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const StockMovement = require('../models/StockMovement');
+const Category = require('../models/Category');
+const { calculatePrice } = require('../utils/pricing');
+const { searchConditions, relevanceExpression, escapeRegex } = require('../utils/search');
+const { parsePagination, encodeCursor, cursorFilter, reverseSort } = require('../utils/pagination');
+const { validate } = require('../middleware/validate');
+const { ERROR_CODES, ValidationError, NotFoundError, ConflictError, asyncHandler } = require('../utils/errors');
+const schemas = require('../validation/productSchemas');
+const { requireStaff } = require('../middleware/auth');
+const { parseImportPayload, importProducts, exportProducts } = require('../services/productTransfer');
+
+// Lower bounds of the price facet buckets (₹); prices from the last bound up share one open-ended bucket
+const PRICE_BUCKETS = [0, 50, 100, 200, 500, 1000];
+
+// Sort orders accepted by the list endpoint (names are validated by PRODUCT_SORTS)
+const SORT_OPTIONS = {
+    relevance: { relevance: -1, createdAt: -1, _id: -1 },
+    newest: { createdAt: -1, _id: -1 },
+    price_asc: { mrpPrice: 1, _id: 1 },
+    price_desc: { mrpPrice: -1, _id: -1 },
+    name_asc: { name: 1, _id: 1 },
+    name_desc: { name: -1, _id: -1 }
+};
+
+/**
+ * Build the product query filter from validated list query parameters
+ * Shared by the list and export endpoints so both honor the same filters
+ */
+const buildProductFilter = async ({ category, inStock, search, expired, minPrice, maxPrice, expiringWithinDays, discounted }) => {
+    const conditions = [];
+    
+    // A category also matches every product in its subcategories
+    if (category) {
+        const descendants = await Category.descendantNames(category);
+        conditions.push({ category: descendants.length > 0 ? { $in: [category, ...descendants] } : category });
+    }
+    
+    if (inStock) {
+        conditions.push({ stock: { $gt: 0 } });
+    }
+    
+    if (search) {
+        // Nothing searchable (e.g. only punctuation) matches nothing
+        conditions.push(searchConditions(search) || { _id: null });
+    }
+    
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        conditions.push({
+            mrpPrice: {
+                ...(minPrice !== undefined && { $gte: minPrice }),
+                ...(maxPrice !== undefined && { $lte: maxPrice })
+            }
+        });
+    }
+    
+    if (expired) {
+        conditions.push(Product.expiryFilter({ to: new Date() }));
+    }
+    
+    if (expiringWithinDays !== undefined) {
+        const now = new Date();
+        conditions.push(Product.expiryFilter({ from: now, to: new Date(now.getTime() + expiringWithinDays * 24 * 60 * 60 * 1000) }));
+    }
+    
+    if (discounted) {
+        const discountedFilter = await Promotion.discountedProductFilter();
+        if (discountedFilter) conditions.push(discountedFilter);
+    }
+    
+    return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Shape the category and price bucket facets returned by the list aggregation
+ */
+const formatFacets = ({ categories, priceBuckets }) => ({
+    categories: categories.map(({ _id, count }) => ({ category: _id, count })),
+    priceRanges: priceBuckets.map(({ _id, count }) => {
+        const index = PRICE_BUCKETS.indexOf(_id);
+        return {
+            min: index === -1 ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : _id,
+            max: index === -1 ? null : PRICE_BUCKETS[index + 1],
+            count
+        };
+    })
+});
 
 /**
  * @desc    Create a new product
  * @route   POST /api/products
- * @access  Public
+ * @access  Staff, Admin
  */
-router.post('/', async (req, res) => {
-    try {
-        // Validate required fields
-        const { productId, name, mrpPrice, stock } = req.body;
-        
-        if (!productId || !name || mrpPrice === undefined || stock === undefined) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields: productId, name, mrpPrice, and stock are required'
-            });
-        }
+router.post('/', requireStaff, validate({ body: schemas.createProductBody }), asyncHandler(async (req, res) => {
+    const { productId } = req.body;
 
-        // Check if product with same ID already exists
-        const existingProduct = await Product.findOne({ productId });
-        if (existingProduct) {
-            return res.status(409).json({
-                success: false,
-                error: 'Product with this ID already exists'
-            });
-        }
+    // Check if product with same ID already exists
+    const existingProduct = await Product.findOne({ productId });
+    if (existingProduct) {
+        throw new ConflictError('Product with this ID already exists', { code: ERROR_CODES.DUPLICATE_RESOURCE });
+    }
 
-        const newProduct = new Product(req.body);
-        const savedProduct = await newProduct.save();
-        
-        res.status(201).json({
-            success: true,
-            data: savedProduct,
-            message: 'Product created successfully'
+    const newProduct = new Product(req.body).describeStockChange({ performedBy: req.user });
+    const savedProduct = await newProduct.save();
+    
+    res.status(201).json({
+        success: true,
+        data: savedProduct,
+        message: 'Product created successfully'
+    });
+}));
+
+/**
+ * @desc    Import products from CSV or a JSON array, upserting by productId
+ * @route   POST /api/products/import?dryRun=true
+ * @access  Staff, Admin
+ */
+router.post('/import', requireStaff, validate({ query: schemas.importProductsQuery }), asyncHandler(async (req, res) => {
+    let records;
+    
+    try {
+        records = parseImportPayload(req.body);
+    } catch (parseError) {
+        throw new ValidationError('Invalid import payload', {
+            code: ERROR_CODES.INVALID_IMPORT,
+            details: [{ location: 'body', field: null, message: parseError.message }]
         });
-    } catch (error) {
-        console.error('Create product error:', error);
-        
-        // Handle validation errors
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                success: false,
-                error: 'Validation failed',
-                details: errors
-            });
-        }
-        
-        // Handle duplicate key errors
-        if (error.code === 11000) {
-            return res.status(409).json({
-                success: false,
-                error: 'Product with this ID already exists'
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error while creating product'
+    }
+    
+    if (records.length === 0) {
+        throw new ValidationError('Import contains no rows', { code: ERROR_CODES.INVALID_IMPORT });
+    }
+    
+    const dryRun = req.query.dryRun || req.body.dryRun === true;
+    const report = await importProducts(records, { dryRun, performedBy: req.user });
+    
+    // Partial failures are reported per row; only a fully failed import is an error
+    if (report.summary.failed === report.summary.total) {
+        throw new ValidationError('Every row of the import failed validation', {
+            code: ERROR_CODES.INVALID_IMPORT,
+            details: report.rows
         });
     }
-});
+    
+    res.json({
+        success: true,
+        data: report,
+        message: dryRun
+            ? 'Dry run completed; no changes were saved'
+            : `Imported ${report.summary.created} new and ${report.summary.updated} updated products`
+    });
+}));
 
 /**
  * @desc    Get all products with optional filtering and pagination
- * @route   GET /api/products
+ * @route   GET /api/products?page=N&limit=N | ?cursor=<cursor>&limit=N
  * @access  Public
  */
-router.get('/', async (req, res) => {
-    try {
-        const { category, inStock, page = 1, limit = 50, search } = req.query;
-        
-        // Build filter object
-        const filter = {};
-        
-        if (category) {
-            filter.category = category;
-        }
-        
-        if (inStock === 'true') {
-            filter.stock = { $gt: 0 };
-        }
-        
-        if (search) {
-            filter.$text = { $search: search };
-        }
-        
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        
-        // Execute query with pagination
-        const [products, total] = await Promise.all([
-            Product.find(filter)
-                .skip(skip)
-                .limit(parseInt(limit))
-                .sort({ createdAt: -1 }),
-            Product.countDocuments(filter)
-        ]);
-        
-        res.json({
-            success: true,
-            data: products,
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total,
-                pages: Math.ceil(total / parseInt(limit))
-            }
+router.get('/', validate({ query: schemas.listProductsQuery }), asyncHandler(async (req, res) => {
+    const { search } = req.query;
+    const sort = req.query.sort || (search ? 'relevance' : 'newest');
+    
+    const pagination = parsePagination(req.query, req.app.get('config'));
+    const { cursor, limit } = pagination;
+    
+    if (cursor && cursor.sortName !== sort) {
+        throw new ValidationError('Cursor was issued for a different sort order', {
+            code: ERROR_CODES.INVALID_CURSOR,
+            details: [{ location: 'query', field: 'cursor', message: `cursor belongs to sort=${cursor.sortName}` }]
         });
-    } catch (error) {
-        console.error('Get products error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error while fetching products'
+    }
+    
+    // Build filter object
+    const filter = await buildProductFilter(req.query);
+    
+    // Walking backwards reads the reversed order and flips the page afterwards
+    const backwards = Boolean(cursor) && cursor.direction === 'prev';
+    const sortSpec = SORT_OPTIONS[sort];
+    
+    // One extra row tells whether another page exists in the direction of travel
+    const pageStages = cursor
+        ? [
+            { $match: cursorFilter(cursor, sortSpec) },
+            { $sort: backwards ? reverseSort(sortSpec) : sortSpec },
+            { $limit: limit + 1 }
+        ]
+        : [
+            { $sort: sortSpec },
+            { $skip: pagination.skip },
+            { $limit: limit + 1 }
+        ];
+    
+    // One round trip for the page, the total and the facets over the whole result set
+    const [result] = await Product.aggregate([
+        { $match: filter },
+        ...(search ? [{ $addFields: { relevance: relevanceExpression(search) } }] : []),
+        {
+            $facet: {
+                data: pageStages,
+                total: [{ $count: 'count' }],
+                categories: [
+                    { $group: { _id: '$category', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } }
+                ],
+                priceBuckets: [
+                    {
+                        $bucket: {
+                            groupBy: '$mrpPrice',
+                            boundaries: PRICE_BUCKETS,
+                            default: 'above',
+                            output: { count: { $sum: 1 } }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+    
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    const hasMore = result.data.length > limit;
+    const docs = result.data.slice(0, limit);
+    if (backwards) docs.reverse();
+    
+    const hasNext = backwards ? Boolean(cursor) : hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(cursor) || pagination.skip > 0;
+    
+    // Hydrate so virtuals and the JSON transform apply as with find()
+    const products = docs.map(doc => ({
+        ...Product.hydrate(doc).toJSON(),
+        ...(search && { relevance: Math.round(doc.relevance * 100) / 100 })
+    }));
+    
+    res.json({
+        success: true,
+        data: products,
+        pagination: {
+            ...(!cursor && {
+                page: pagination.page,
+                pages: Math.ceil(total / limit)
+            }),
+            limit,
+            total,
+            hasNext,
+            hasPrev,
+            nextCursor: hasNext && docs.length > 0 ? encodeCursor(docs[docs.length - 1], sortSpec, sort, 'next') : null,
+            prevCursor: hasPrev && docs.length > 0 ? encodeCursor(docs[0], sortSpec, sort, 'prev') : null
+        },
+        sort,
+        facets: formatFacets(result)
+    });
+}));
+
+/**
+ * @desc    Autocomplete product names and categories as the shopper types
+ * @route   GET /api/products/suggest?q=<text>&limit=N
+ * @access  Public
+ */
+router.get('/suggest', validate({ query: schemas.suggestQuery }), asyncHandler(async (req, res) => {
+    const { q, limit } = req.query;
+    const conditions = searchConditions(q);
+    
+    if (!conditions) {
+        throw new ValidationError('Validation failed', {
+            details: [{ location: 'query', field: 'q', message: 'q must contain letters or digits' }]
         });
     }
-});
+    
+    const [products, categories] = await Promise.all([
+        Product.aggregate([
+            { $match: conditions },
+            { $addFields: { relevance: relevanceExpression(q) } },
+            { $sort: { relevance: -1, name: 1 } },
+            { $limit: limit },
+            { $project: { _id: 0, productId: 1, name: 1, category: 1, image: 1, mrpPrice: 1 } }
+        ]),
+        Category.find({ name: { $regex: `(^|\\s)${escapeRegex(q)}`, $options: 'i' } })
+            .sort({ displayOrder: 1, name: 1 })
+            .limit(5)
+            .select('name slug')
+    ]);
+    
+    res.json({
+        success: true,
+        data: {
+            products,
+            categories: categories.map(({ name, slug }) => ({ name, slug }))
+        }
+    });
+}));
 
 /**
- * @desc    Get a single product by ID
- * @route   GET /api/products/:id
+ * @desc    Export products as CSV or JSON, honoring the list filters
+ * @route   GET /api/products/export?format=csv|json
+ * @access  Staff, Admin
+ */
+router.get('/export', requireStaff, validate({ query: schemas.exportProductsQuery }), asyncHandler(async (req, res) => {
+    const { format } = req.query;
+    
+    const filter = await buildProductFilter(req.query);
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    
+    await exportProducts(filter, format, res);
+}));
+
+/**
+ * @desc    Get products with stock expiring within N days, or already expired
+ * @route   GET /api/products/expiring?withinDays=N | ?expired=true
  * @access  Public
  */
-router.get('/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
+router.get('/expiring', validate({ query: schemas.expiringQuery }), asyncHandler(async (req, res) => {
+    const { withinDays, expired } = req.query;
+    const now = new Date();
+    const range = expired
+        ? { to: now }
+        : { from: now, to: new Date(now.getTime() + withinDays * 24 * 60 * 60 * 1000) };
+    
+    const products = await Product.find(Product.expiryFilter(range)).sort({ nextExpiryDate: 1 });
+    
+    // Report which lots fall inside the window so staff know what to pull
+    const data = products.map(product => {
+        const lots = product.lots.filter(lot =>
+            lot.quantity > 0 && lot.expiryDate &&
+            (!range.from || lot.expiryDate >= range.from) && lot.expiryDate < range.to
+        );
         
-        if (!id || id.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Product ID is required'
-            });
+        return {
+            ...product.toJSON(),
+            matchingLots: lots,
+            quantityAffected: product.lots.length > 0
+                ? lots.reduce((sum, lot) => sum + lot.quantity, 0)
+                : product.stock
+        };
+    });
+    
+    res.json({
+        success: true,
+        data,
+        window: {
+            from: range.from || null,
+            to: range.to
         }
-        
-        const product = await Product.findOne({ productId: id.trim() });
-        
-        if (!product) {
-            return res.status(404).json({
-                success: false,
-                error: 'Product not found',
-                message: `No product found with ID: ${id}`
-            });
+    });
+}));
+
+/**
+ * @desc    Get a single product by ID or barcode alias
+ * @route   GET /api/products/:id
+ * @access  Public
+ */
+router.get('/:id', validate({ params: schemas.productParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    // Resolve through the product ID and any barcode aliases
+    const product = await Product.findByCode(id);
+    
+    if (!product) {
+        throw new NotFoundError(`No product found with ID: ${id}`, { code: ERROR_CODES.PRODUCT_NOT_FOUND });
+    }
+    
+    res.json({
+        success: true,
+        data: product
+    });
+}));
+
+/**
+ * @desc    Get the effective price of a product for a quantity after promotions
+ * @route   GET /api/products/:id/price
+ * @access  Public
+ */
+router.get('/:id/price', validate({ params: schemas.productParams, query: schemas.priceQuery }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { quantity } = req.query;
+    
+    const product = await Product.findByCode(id);
+    
+    if (!product) {
+        throw new NotFoundError(`No product found with ID: ${id}`, { code: ERROR_CODES.PRODUCT_NOT_FOUND });
+    }
+    
+    const promotions = await Promotion.findApplicable([product]);
+    
+    res.json({
+        success: true,
+        // For products sold by weight the quantity is kilograms in one weighed pack
+        data: calculatePrice(product, quantity, promotions, new Date(), product.pricingUnit === 'kg' ? 1 : quantity)
+    });
+}));
+
+/**
+ * @desc    Get the stock movement history of a product
+ * @route   GET /api/products/:id/movements?from=&to=&type=
+ * @access  Staff, Admin
+ */
+router.get('/:id/movements', requireStaff, validate({ params: schemas.productParams, query: schemas.movementsQuery }), asyncHandler(async (req, res) => {
+    const productId = req.params.id;
+    const { from, to, type, page, limit } = req.query;
+    const skip = (page - 1) * limit;
+    
+    const filter = { productId };
+    
+    if (type) {
+        filter.type = type;
+    }
+    
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) filter.createdAt.$lte = to;
+    }
+    
+    const [movements, total] = await Promise.all([
+        StockMovement.find(filter)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        StockMovement.countDocuments(filter)
+    ]);
+    
+    res.json({
+        success: true,
+        data: movements,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
         }
-        
-        res.json({
-            success: true,
-            data: product
-        });
-    } catch (error) {
-        console.error('Get product by ID error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error while fetching product'
+    });
+}));
+
+/**
+ * @desc    Receive a new stock lot for a product
+ * @route   POST /api/products/:id/lots
+ * @access  Staff, Admin
+ */
+router.post('/:id/lots', requireStaff, validate({ params: schemas.productParams, body: schemas.receiveLotBody }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { lotNumber, quantity, expiryDate } = req.body;
+    
+    const product = await Product.findOne({ productId: id });
+    
+    if (!product) {
+        throw new NotFoundError(`No product found with ID: ${id}`, { code: ERROR_CODES.PRODUCT_NOT_FOUND });
+    }
+    
+    if (product.lots.some(lot => lot.lotNumber === lotNumber)) {
+        throw new ConflictError('Lot with this number already exists for the product', { code: ERROR_CODES.DUPLICATE_RESOURCE });
+    }
+    
+    // Existing untracked stock becomes an opening lot so the derived total stays correct
+    if (product.lots.length === 0 && product.stock > 0) {
+        product.lots.push({
+            lotNumber: 'OPENING',
+            quantity: product.stock,
+            expiryDate: product.nextExpiryDate
         });
     }
-});
+    
+    product.lots.push({ lotNumber, quantity, expiryDate });
+    product.describeStockChange({ type: 'receipt', reason: 'receipt', lotNumber, performedBy: req.user });
+    const updatedProduct = await product.save();
+    
+    res.status(201).json({
+        success: true,
+        data: updatedProduct,
+        message: 'Lot received successfully'
+    });
+}));
+
+/**
+ * @desc    Apply an atomic stock operation (delta adjustment, reserve, release or commit)
+ * @route   PATCH /api/products/:id/stock
+ * @access  Staff, Admin
+ */
+router.patch('/:id/stock', requireStaff, validate({ params: schemas.productParams, body: schemas.stockOperationBody }), asyncHandler(async (req, res) => {
+    const productId = req.params.id;
+    const { operation, reason, lotNumber, expiryDate, note } = req.body;
+    const movement = { performedBy: req.user, note };
+    const amount = operation === 'adjust' ? req.body.delta : req.body.quantity;
+    
+    let product;
+    
+    switch (operation) {
+        case 'adjust':
+            product = await Product.adjustStock(productId, amount, reason, { lotNumber, expiryDate, movement });
+            break;
+        case 'reserve':
+            product = await Product.reserveStock(productId, amount);
+            break;
+        case 'release':
+            product = await Product.releaseStock(productId, amount);
+            break;
+        case 'commit':
+            product = await Product.commitStock(productId, amount, movement);
+            break;
+    }
+    
+    res.json({
+        success: true,
+        data: product,
+        message: 'Stock updated successfully'
+    });
+}));
 
 /**
  * @desc    Update a product
  * @route   PUT /api/products/:id
- * @access  Public
+ * @access  Staff, Admin
  */
-router.put('/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        if (!id || id.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Product ID is required'
-            });
-        }
-        
-        // Prevent updating productId to avoid conflicts
-        if (req.body.productId && req.body.productId !== id) {
-            return res.status(400).json({
-                success: false,
-                error: 'Cannot change product ID'
-            });
-        }
-        
-        const updatedProduct = await Product.findOneAndUpdate(
-            { productId: id.trim() },
-            { ...req.body, productId: id.trim() }, // Ensure productId remains unchanged
-            { 
-                new: true, 
-                runValidators: true,
-                context: 'query'
-            }
-        );
-        
-        if (!updatedProduct) {
-            return res.status(404).json({
-                success: false,
-                error: 'Product not found',
-                message: `No product found with ID: ${id}`
-            });
-        }
-        
-        res.json({
-            success: true,
-            data: updatedProduct,
-            message: 'Product updated successfully'
-        });
-    } catch (error) {
-        console.error('Update product error:', error);
-        
-        // Handle validation errors
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                success: false,
-                error: 'Validation failed',
-                details: errors
-            });
-        }
-        
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error while updating product'
+router.put('/:id', requireStaff, validate({ params: schemas.productParams, body: schemas.updateProductBody }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    // Prevent updating productId to avoid conflicts
+    if (req.body.productId && req.body.productId !== id) {
+        throw new ValidationError('Cannot change product ID', {
+            details: [{ location: 'body', field: 'productId', message: 'productId must match the product being updated' }]
         });
     }
-});
+    
+    const product = await Product.findOne({ productId: id });
+    
+    if (!product) {
+        throw new NotFoundError(`No product found with ID: ${id}`, { code: ERROR_CODES.PRODUCT_NOT_FOUND });
+    }
+    
+    // Only schema-declared fields reach this point; stock and reservations are never set here
+    // Save through the document so barcode normalization and uniqueness hooks run
+    product.set({ ...req.body, productId: id }); // Ensure productId remains unchanged
+    const updatedProduct = await product.save();
+    
+    res.json({
+        success: true,
+        data: updatedProduct,
+        message: 'Product updated successfully'
+    });
+}));
 
 /**
  * @desc    Delete a product
  * @route   DELETE /api/products/:id
- * @access  Public
+ * @access  Staff, Admin
  */
-router.delete('/:id', async (req, res) => {
-    try {
-        const { id } = req.params;
-        
-        if (!id || id.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Product ID is required'
-            });
-        }
-        
-        const deletedProduct = await Product.findOneAndDelete({ productId: id.trim() });
-        
-        if (!deletedProduct) {
-            return res.status(404).json({
-                success: false,
-                error: 'Product not found',
-                message: `No product found with ID: ${id}`
-            });
-        }
-        
-        res.json({
-            success: true,
-            message: 'Product deleted successfully',
-            data: deletedProduct
-        });
-    } catch (error) {
-        console.error('Delete product error:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error while deleting product'
+router.delete('/:id', requireStaff, validate({ params: schemas.productParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    const deletedProduct = await Product.findOne({ productId: id });
+    
+    if (!deletedProduct) {
+        throw new NotFoundError(`No product found with ID: ${id}`, { code: ERROR_CODES.PRODUCT_NOT_FOUND });
+    }
+    
+    // Units held for a checkout in progress must be committed or released first
+    if (deletedProduct.reservedStock > 0) {
+        throw new ConflictError(`Product ${id} has ${deletedProduct.reservedStock} unit(s) reserved by checkouts in progress`, {
+            code: ERROR_CODES.PRODUCT_RESERVED
         });
     }
-});
+    
+    // Delete through the document so the written-off stock is attributed in the ledger
+    await deletedProduct.describeStockChange({ performedBy: req.user }).deleteOne();
+    
+    res.json({
+        success: true,
+        message: 'Product deleted successfully',
+        data: deletedProduct
+    });
+}));
 
 module.exports = router;
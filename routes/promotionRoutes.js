@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const Promotion = require('../models/Promotion');
+const { requireStaff } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/promotionSchemas');
+const { ERROR_CODES, NotFoundError, ConflictError, asyncHandler } = require('../utils/errors');
+
+/**
+ * @desc    Create a new promotion
+ * @route   POST /api/promotions
+ * @access  Staff, Admin
+ */
+router.post('/', requireStaff, validate({ body: schemas.createPromotionBody }), asyncHandler(async (req, res) => {
+    // Legacy promotions are managed through Product.discounts only
+    const promotion = new Promotion({ ...req.body, source: 'manual' });
+    const savedPromotion = await promotion.save();
+
+    res.status(201).json({
+        success: true,
+        data: savedPromotion,
+        message: 'Promotion created successfully'
+    });
+}));
+
+/**
+ * @desc    Get promotions, optionally only those currently running or targeting a product/category
+ * @route   GET /api/promotions
+ * @access  Public
+ */
+router.get('/', validate({ query: schemas.listPromotionsQuery }), asyncHandler(async (req, res) => {
+    const { current, productId, category, type } = req.query;
+
+    const filter = {};
+
+    if (type) {
+        filter.type = type;
+    }
+
+    if (productId) {
+        filter.productIds = productId;
+    }
+
+    if (category) {
+        filter.categories = category;
+    }
+
+    if (current) {
+        const now = new Date();
+        filter.active = true;
+        filter.$and = [
+            { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+            { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }
+        ];
+    }
+
+    const promotions = await Promotion.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+        success: true,
+        data: promotions
+    });
+}));
+
+/**
+ * @desc    Get a single promotion by ID
+ * @route   GET /api/promotions/:id
+ * @access  Public
+ */
+router.get('/:id', validate({ params: schemas.promotionParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const promotion = await Promotion.findOne({ promotionId: id });
+
+    if (!promotion) {
+        throw new NotFoundError(`No promotion found with ID: ${id}`, { code: ERROR_CODES.PROMOTION_NOT_FOUND });
+    }
+
+    res.json({
+        success: true,
+        data: promotion
+    });
+}));
+
+/**
+ * @desc    Update a promotion
+ * @route   PUT /api/promotions/:id
+ * @access  Staff, Admin
+ */
+router.put('/:id', requireStaff, validate({ params: schemas.promotionParams, body: schemas.updatePromotionBody }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const promotion = await Promotion.findOne({ promotionId: id });
+
+    if (!promotion) {
+        throw new NotFoundError(`No promotion found with ID: ${id}`, { code: ERROR_CODES.PROMOTION_NOT_FOUND });
+    }
+
+    if (promotion.source === 'legacy') {
+        throw new ConflictError('Legacy promotions are derived from the product discounts text; update the product instead', {
+            code: ERROR_CODES.READ_ONLY_RESOURCE
+        });
+    }
+
+    // Save through the document so cross-field validation runs
+    promotion.set(req.body);
+    const updatedPromotion = await promotion.save();
+
+    res.json({
+        success: true,
+        data: updatedPromotion,
+        message: 'Promotion updated successfully'
+    });
+}));
+
+/**
+ * @desc    Delete a promotion
+ * @route   DELETE /api/promotions/:id
+ * @access  Staff, Admin
+ */
+router.delete('/:id', requireStaff, validate({ params: schemas.promotionParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const deletedPromotion = await Promotion.findOneAndDelete({ promotionId: id });
+
+    if (!deletedPromotion) {
+        throw new NotFoundError(`No promotion found with ID: ${id}`, { code: ERROR_CODES.PROMOTION_NOT_FOUND });
+    }
+
+    res.json({
+        success: true,
+        message: 'Promotion deleted successfully',
+        data: deletedPromotion
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const { parseBarcode } = require('../utils/barcode');
+const { calculatePrice } = require('../utils/pricing');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validation/scanSchemas');
+const { ERROR_CODES, ValidationError, asyncHandler } = require('../utils/errors');
+
+/**
+ * @desc    Resolve a scanned barcode to a product
+ *          An unknown code is a 404 that still carries the parsed barcode
+ * @route   POST /api/scan
+ * @access  Public
+ */
+router.post('/', validate({ body: schemas.scanBody }), asyncHandler(async (req, res) => {
+    const { code, format } = req.body;
+
+    const barcode = parseBarcode(code, format);
+
+    if (!barcode.valid) {
+        throw new ValidationError('Invalid barcode', {
+            code: ERROR_CODES.INVALID_BARCODE,
+            details: [{ location: 'body', field: 'code', message: barcode.reason }]
+        });
+    }
+
+    const barcodeInfo = {
+        code: barcode.code,
+        format: barcode.format,
+        normalized: barcode.normalized
+    };
+    const { product, measure } = await Product.resolveScan(barcode.code, barcode.format);
+
+    if (!product) {
+        return res.status(404).json({
+            success: false,
+            error: `No product found for barcode: ${barcode.code}`,
+            code: ERROR_CODES.PRODUCT_NOT_FOUND,
+            data: {
+                status: 'unknown',
+                barcode: barcodeInfo,
+                product: null
+            }
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            status: 'matched',
+            barcode: barcodeInfo,
+            product,
+            measure: measure && {
+                ...measure,
+                price: calculatePrice(product, measure.weightGrams / 1000).grossAmount
+            }
+        }
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const readline = require('readline');
+const mongoose = require('mongoose');
+const { config, validateConfig } = require('../config');
+
+const User = require('../models/User');
+
+/**
+ * Admin bootstrap script for Smart Grocery Basket
+ * Creates the first admin account, or promotes an existing account to admin.
+ *
+ * Usage: npm run create:admin -- <email> [name]
+ *
+ * The password is read from ADMIN_PASSWORD, or asked for on the terminal without echoing it,
+ * so it never appears in shell history or the process list.
+ */
+
+// Fail on the same configuration problems as the server
+try {
+    validateConfig(config);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const [email, name = 'Administrator'] = args;
+
+if (!email || args.length > 2) {
+    console.error('❌ Usage: npm run create:admin -- <email> [name]');
+    console.error('   The password is read from ADMIN_PASSWORD or prompted for; it is not accepted as an argument.');
+    process.exit(1);
+}
+
+/**
+ * Read one line from the terminal; when `hidden`, typed characters are not echoed
+ */
+const ask = (question, { hidden = false } = {}) => new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    let muted = false;
+
+    // readline echoes input through _writeToOutput; swallow it once the question is shown
+    rl._writeToOutput = (text) => {
+        if (!muted) process.stdout.write(text);
+    };
+
+    rl.question(question, (answer) => {
+        rl.close();
+        if (hidden) process.stdout.write('\n');
+        resolve(answer);
+    });
+    muted = hidden;
+});
+
+/**
+ * Get the admin password from ADMIN_PASSWORD or an interactive prompt
+ */
+const readPassword = async () => {
+    if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD;
+
+    if (!process.stdin.isTTY) {
+        // Piped input, e.g. from a secrets manager
+        return ask('');
+    }
+
+    const password = await ask('Password: ', { hidden: true });
+    const confirmation = await ask('Confirm password: ', { hidden: true });
+
+    if (password !== confirmation) {
+        throw new Error('Passwords do not match');
+    }
+
+    return password;
+};
+
+/**
+ * Main execution function
+ */
+const main = async () => {
+    let exitCode = 0;
+
+    try {
+        const password = await readPassword();
+
+        await mongoose.connect(config.mongoUri, { serverSelectionTimeoutMS: 10000 });
+
+        const user = await User.findOne({ email: email.toLowerCase() }) || new User({ email, name });
+        const isNew = user.isNew;
+
+        user.role = 'admin';
+        user.active = true;
+        await user.setPassword(password);
+        await user.save();
+
+        console.log(`✅ ${isNew ? 'Created' : 'Updated'} admin account: ${user.email}`);
+    } catch (error) {
+        const details = error.errors
+            ? Object.values(error.errors).map(err => err.message).join(', ')
+            : error.message;
+        console.error('❌ Failed to create admin:', details);
+        exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        process.exit(exitCode);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
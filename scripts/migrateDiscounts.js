@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { config, validateConfig } = require('../config');
+
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+
+/**
+ * Discount migration script for Smart Grocery Basket
+ * Parses every product's free-text `discounts` into a structured legacy Promotion.
+ * Safe to re-run: legacy promotions are keyed by product ID.
+ */
+
+// Fail on the same configuration problems as the server
+try {
+    validateConfig(config);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+/**
+ * Convert all product discount strings into promotions
+ */
+const migrateDiscounts = async () => {
+    const products = await Product.find({});
+    const unparsed = [];
+    let migrated = 0;
+
+    for (const product of products) {
+        const promotion = await Promotion.syncLegacyDiscount(product);
+
+        if (promotion) {
+            migrated++;
+            console.log(`✅ ${product.productId}: "${product.discounts}" → ${promotion.type}`);
+        } else if (product.discounts) {
+            unparsed.push(product);
+        }
+    }
+
+    console.log(`\n🎉 Migrated ${migrated} of ${products.length} products`);
+
+    if (unparsed.length > 0) {
+        console.warn(`⚠️ Could not parse ${unparsed.length} discount(s); create promotions for them manually:`);
+        unparsed.forEach(product => console.warn(`   ${product.productId}: "${product.discounts}"`));
+    }
+};
+
+/**
+ * Main execution function
+ */
+const main = async () => {
+    let exitCode = 0;
+
+    try {
+        await mongoose.connect(config.mongoUri, { serverSelectionTimeoutMS: 10000 });
+        console.log('✅ Connected to MongoDB for migration');
+        await migrateDiscounts();
+    } catch (error) {
+        console.error('\n❌ Discount migration failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        process.exit(exitCode);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { config, validateConfig } = require('../config');
+
+const Product = require('../models/Product');
+const { trigrams } = require('../utils/search');
+
+/**
+ * Search reindex script for Smart Grocery Basket
+ * Rebuilds the fuzzy search trigrams of every product.
+ * Needed once for products saved before fuzzy search existed; safe to re-run.
+ */
+
+// Fail on the same configuration problems as the server
+try {
+    validateConfig(config);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+/**
+ * Recompute searchGrams for all products in batches
+ */
+const reindexSearch = async () => {
+    const cursor = Product.find({}).select('name').lean().cursor();
+    let operations = [];
+    let indexed = 0;
+
+    const flush = async () => {
+        if (operations.length === 0) return;
+        await Product.bulkWrite(operations, { ordered: false });
+        indexed += operations.length;
+        operations = [];
+    };
+
+    for await (const product of cursor) {
+        operations.push({
+            updateOne: {
+                filter: { _id: product._id },
+                update: { $set: { searchGrams: trigrams(product.name) } }
+            }
+        });
+
+        if (operations.length >= 500) await flush();
+    }
+
+    await flush();
+    await Product.syncIndexes();
+
+    console.log(`🎉 Reindexed ${indexed} products for search`);
+};
+
+/**
+ * Main execution function
+ */
+const main = async () => {
+    let exitCode = 0;
+
+    try {
+        await mongoose.connect(config.mongoUri, { serverSelectionTimeoutMS: 10000 });
+        console.log('✅ Connected to MongoDB for search reindex');
+        await reindexSearch();
+    } catch (error) {
+        console.error('\n❌ Search reindex failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+        process.exit(exitCode);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
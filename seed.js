@@ -1,103 +1,119 @@
+const fs = require('fs');
+const path = require('path');
 const mongoose = require('mongoose');
-require('dotenv').config();
+const { config, validateConfig } = require('./config');
 
 // Import the Product model to ensure consistency
 const Product = require('./models/Product');
+const Category = require('./models/Category');
+const { parseImportPayload, importProducts } = require('./services/productTransfer');
+const { generateProducts } = require('./utils/productGenerator');
 
 /**
- * Database seeding script for Smart Grocery Basket
- * Seeds the database with sample product data
+ * Database seeding CLI for Smart Grocery Basket
+ *
+ * Usage: npm run seed -- [options]
+ *
+ * Modes (default is insert-only: existing products are left untouched):
+ *   --upsert             Create missing products and update existing ones; never deletes
+ *   --reset              Delete all products before seeding (refused when NODE_ENV=production)
+ *   --force              Allow --reset in production
+ *
+ * Data sources (default is the fixtures for NODE_ENV, falling back to fixtures/default):
+ *   --file <path>        Load products from a JSON or CSV fixture file (repeatable)
+ *   --generate <N>       Add N synthetic products across all categories
+ *   --random-seed <n>    Seed for reproducible synthetic data
+ *
+ *   --dry-run            Validate everything without writing
+ *   --help               Show this help
  */
 
-// Validate environment
-if (!process.env.MONGO_URI) {
-    console.error('❌ Error: MONGO_URI environment variable is not set');
-    process.exit(1);
-}
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const nodeEnv = config.nodeEnv;
+
+/**
+ * Parse command line arguments into seeding options
+ */
+const parseArgs = (argv) => {
+    const options = { files: [], generate: 0, randomSeed: undefined, upsert: false, reset: false, force: false, dryRun: false, help: false };
 
-// Enhanced sample data with more variety
-const sampleProducts = [
-    {
-        productId: 'P001',
-        name: 'Amul Milk (1L)',
-        mrpPrice: 65.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 50,
-        category: 'Dairy',
-        discounts: '10% off',
-        expiryDate: '2025-08-15'
-    },
-    {
-        productId: 'P002',
-        name: 'Fresh Apples (1kg)',
-        mrpPrice: 180.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 30,
-        category: 'Fruits',
-        discounts: '5% off',
-        expiryDate: '2025-08-10'
-    },
-    {
-        productId: 'P003',
-        name: 'Fresh Broccoli (500g)',
-        mrpPrice: 70.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 20,
-        category: 'Vegetables',
-        discounts: '15% off',
-        expiryDate: '2025-08-12'
-    },
-    {
-        productId: 'P004',
-        name: 'Fortune Sunflower Oil (1L)',
-        mrpPrice: 160.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 40,
-        category: 'Grocery',
-        discounts: '10% cashback',
-        expiryDate: '2026-06-30'
-    },
-    {
-        productId: 'P005',
-        name: 'Britannia Bread (400g)',
-        mrpPrice: 50.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 60,
-        category: 'Bakery',
-        discounts: 'Buy 1 Get 1 Free',
-        expiryDate: '2025-08-28'
-    },
-    {
-        productId: 'P006',
-        name: 'Coca Cola (500ml)',
-        mrpPrice: 40.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 100,
-        category: 'Beverages',
-        discounts: '5% off',
-        expiryDate: '2025-12-31'
-    },
-    {
-        productId: 'P007',
-        name: 'Lays Chips (50g)',
-        mrpPrice: 20.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 80,
-        category: 'Snacks',
-        discounts: 'Buy 2 Get 1 Free',
-        expiryDate: '2025-06-15'
-    },
-    {
-        productId: 'P008',
-        name: 'Basmati Rice (5kg)',
-        mrpPrice: 450.0,
-        image: 'https://via.placeholder.com/100',
-        stock: 25,
-        category: 'Grocery',
-        discounts: '8% off',
-        expiryDate: '2026-01-01'
+    const requireValue = (flag, value) => {
+        if (value === undefined || value.startsWith('--')) {
+            throw new Error(`${flag} requires a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--file':
+                options.files.push(requireValue(arg, argv[++i]));
+                break;
+            case '--generate':
+                options.generate = Number(requireValue(arg, argv[++i]));
+                if (!Number.isInteger(options.generate) || options.generate < 1) {
+                    throw new Error('--generate must be a positive whole number');
+                }
+                break;
+            case '--random-seed':
+                options.randomSeed = Number(requireValue(arg, argv[++i]));
+                break;
+            case '--upsert':
+                options.upsert = true;
+                break;
+            case '--reset':
+                options.reset = true;
+                break;
+            case '--force':
+                options.force = true;
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
     }
-];
+
+    return options;
+};
+
+/**
+ * Print the usage block from the header comment
+ */
+const printHelp = () => {
+    const source = fs.readFileSync(__filename, 'utf8');
+    const usage = source.match(/\/\*\*\n \* Database seeding CLI[\s\S]*?\*\//)[0];
+    console.log(usage.replace(/^\/\*\*\n|\n \*\/$/g, '').replace(/^ \* ?/gm, ''));
+};
+
+/**
+ * Resolve the default fixture files for the current environment
+ */
+const defaultFixtureFiles = () => {
+    const envDir = path.join(FIXTURES_DIR, nodeEnv);
+    const dir = fs.existsSync(envDir) ? envDir : path.join(FIXTURES_DIR, 'default');
+
+    return fs.readdirSync(dir)
+        .filter(file => /\.(json|csv)$/i.test(file))
+        .sort()
+        .map(file => path.join(dir, file));
+};
+
+/**
+ * Load products from a JSON or CSV fixture file
+ */
+const loadFixture = (file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    const payload = /\.csv$/i.test(file) ? text : JSON.parse(text);
+    return parseImportPayload(payload);
+};
 
 /**
  * Connect to MongoDB with proper error handling
@@ -105,12 +121,10 @@ const sampleProducts = [
 const connectDatabase = async () => {
     try {
         const mongoOptions = {
-            useNewUrlParser: true,
-            useUnifiedTopology: true,
             serverSelectionTimeoutMS: 10000,
         };
 
-        await mongoose.connect(process.env.MONGO_URI, mongoOptions);
+        await mongoose.connect(config.mongoUri, mongoOptions);
         console.log('✅ Connected to MongoDB for seeding');
     } catch (error) {
         console.error('❌ Database connection failed:', error.message);
@@ -119,41 +133,70 @@ const connectDatabase = async () => {
 };
 
 /**
- * Seed the database with sample products
+ * Seed the database according to the parsed options
  */
-const seedDatabase = async () => {
-    try {
-        console.log('🌱 Starting database seeding...');
-        
-        // Clear existing products
-        const deleteResult = await Product.deleteMany({});
-        console.log(`🗑️  Removed ${deleteResult.deletedCount} existing products`);
-        
-        // Insert new sample products with validation
-        const insertedProducts = [];
-        
-        for (const productData of sampleProducts) {
-            try {
-                const product = new Product(productData);
-                const savedProduct = await product.save();
-                insertedProducts.push(savedProduct);
-                console.log(`✅ Added product: ${savedProduct.name} (${savedProduct.productId})`);
-            } catch (error) {
-                console.error(`❌ Failed to add product ${productData.productId}:`, error.message);
-            }
+const seedDatabase = async (options) => {
+    console.log('🌱 Starting database seeding...');
+
+    // Products are validated against the Category collection
+    if (!options.dryRun) {
+        const createdCategories = await Category.ensureDefaults();
+        if (createdCategories > 0) console.log(`🗂️  Created ${createdCategories} default categories`);
+    }
+
+    // Gather products from fixtures and the synthetic generator
+    const files = options.files.length > 0 || options.generate > 0 ? options.files : defaultFixtureFiles();
+    let records = [];
+
+    for (const file of files) {
+        const fixture = loadFixture(path.resolve(file));
+        console.log(`📄 Loaded ${fixture.length} products from ${path.relative(process.cwd(), path.resolve(file))}`);
+        records = records.concat(fixture);
+    }
+
+    if (options.generate > 0) {
+        const generated = generateProducts(options.generate, { seed: options.randomSeed });
+        console.log(`🎲 Generated ${generated.length} synthetic products`);
+        records = records.concat(generated);
+    }
+
+    if (options.reset) {
+        if (options.dryRun) {
+            console.log(`🗑️  Would remove ${await Product.countDocuments({})} existing products`);
+        } else {
+            const deleteResult = await Product.deleteMany({});
+            console.log(`🗑️  Removed ${deleteResult.deletedCount} existing products`);
+        }
+    } else if (!options.upsert) {
+        // Insert-only: skip products that already exist
+        const existing = new Set(await Product.distinct('productId', {
+            productId: { $in: records.map(record => record && record.productId).filter(Boolean) }
+        }));
+        const isExisting = (record) => record && existing.has(String(record.productId).trim());
+        const skippedCount = records.filter(isExisting).length;
+
+        if (skippedCount > 0) {
+            console.log(`⏭️  Skipping ${skippedCount} products that already exist (use --upsert to update them)`);
+            records = records.filter(record => !isExisting(record));
         }
-        
-        console.log(`\n🎉 Successfully seeded database with ${insertedProducts.length} products!`);
-        
-        // Display summary
-        const categories = [...new Set(insertedProducts.map(p => p.category))];
-        console.log(`📊 Categories added: ${categories.join(', ')}`);
-        console.log(`💰 Price range: ₹${Math.min(...insertedProducts.map(p => p.mrpPrice))} - ₹${Math.max(...insertedProducts.map(p => p.mrpPrice))}`);
-        
-    } catch (error) {
-        console.error('❌ Database seeding failed:', error.message);
-        throw error;
     }
+
+    const { summary, rows } = await importProducts(records, { dryRun: options.dryRun, reason: 'seed' });
+
+    rows.filter(row => row.status === 'failed').forEach(row => {
+        console.error(`❌ Failed to add product ${row.productId || `row ${row.row}`}: ${row.errors.join('; ')}`);
+    });
+
+    const verb = options.dryRun ? 'Would seed' : 'Seeded';
+    console.log(`\n🎉 ${verb} database: ${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.failed} failed`);
+
+    // Display summary
+    const categories = [...new Set(records.map(record => record && record.category).filter(Boolean))];
+    const prices = records.map(record => Number(record && record.mrpPrice)).filter(price => !isNaN(price));
+    if (categories.length > 0) console.log(`📊 Categories: ${categories.join(', ')}`);
+    if (prices.length > 0) console.log(`💰 Price range: ₹${Math.min(...prices)} - ₹${Math.max(...prices)}`);
+
+    return summary;
 };
 
 /**
@@ -175,45 +218,85 @@ const cleanup = async (exitCode = 0) => {
 /**
  * Main execution function
  */
-const main = async () => {
+const main = async (options) => {
     try {
         await connectDatabase();
-        await seedDatabase();
+        const summary = await seedDatabase(options);
         console.log('\n✨ Seeding completed successfully!');
-        await cleanup(0);
+        await cleanup(summary.failed > 0 ? 1 : 0);
     } catch (error) {
         console.error('\n❌ Seeding process failed:', error.message);
         await cleanup(1);
     }
 };
 
-// Handle process termination
-process.on('SIGINT', () => {
-    console.log('\n🛑 Received SIGINT, cleaning up...');
-    cleanup(1);
-});
+// Run the seeding process
+if (require.main === module) {
+    let options;
 
-process.on('SIGTERM', () => {
-    console.log('\n🛑 Received SIGTERM, cleaning up...');
-    cleanup(1);
-});
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n`);
+        printHelp();
+        process.exit(1);
+    }
 
-process.on('uncaughtException', (error) => {
-    console.error('❌ Uncaught Exception:', error.message);
-    cleanup(1);
-});
+    if (options.help) {
+        printHelp();
+        process.exit(0);
+    }
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-    cleanup(1);
-});
+    // Fail on the same configuration problems as the server
+    try {
+        validateConfig(config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (options.reset && options.upsert) {
+        console.error('❌ Error: --reset and --upsert cannot be combined');
+        process.exit(1);
+    }
+
+    // One wrong MONGO_URI must not be able to wipe a live catalog
+    if (options.reset && nodeEnv === 'production' && !options.force) {
+        console.error('❌ Refusing to --reset with NODE_ENV=production; pass --force if you really mean it');
+        process.exit(1);
+    }
+
+    // Handle process termination
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Received SIGINT, cleaning up...');
+        cleanup(1);
+    });
+
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 Received SIGTERM, cleaning up...');
+        cleanup(1);
+    });
+
+    process.on('uncaughtException', (error) => {
+        console.error('❌ Uncaught Exception:', error.message);
+        cleanup(1);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+        cleanup(1);
+    });
 
-// Run the seeding process
-if (require.main === module) {
     console.log('🚀 Smart Grocery Basket - Database Seeder');
-    console.log('📍 Environment:', process.env.NODE_ENV || 'development');
-    console.log('🔗 MongoDB URI:', process.env.MONGO_URI ? '✅ Configured' : '❌ Missing');
+    console.log('📍 Environment:', nodeEnv);
+    console.log('🔗 MongoDB URI:', config.mongoUri ? '✅ Configured' : '❌ Missing');
+    console.log(`🧭 Mode: ${options.reset ? 'reset' : options.upsert ? 'upsert' : 'insert-only'}${options.dryRun ? ' (dry run)' : ''}`);
     console.log('----------------------------------------\n');
-    
-    main();
+
+    main(options);
 }
+
+module.exports = {
+    parseArgs,
+    seedDatabase
+};
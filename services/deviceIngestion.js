@@ -0,0 +1,156 @@
+const Basket = require('../models/Basket');
+const Device = require('../models/Device');
+const DeviceEvent = require('../models/DeviceEvent');
+const Product = require('../models/Product');
+const { parseBarcode } = require('../utils/barcode');
+const { ERROR_CODES, AppError, ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Batched ingestion of smart-basket readings
+ * Devices buffer scans and weights while offline and replay them later, often more than once.
+ * Each event is claimed by its (deviceId, idempotencyKey) before it is applied, so a replay
+ * returns the stored outcome instead of adding the item again.
+ */
+
+/**
+ * Add a scanned product to the basket the device is linked to
+ * Scans go to the basket linked at upload time; device clocks are not trusted to place them in
+ * earlier sessions, so devices should flush their buffer before starting a new session
+ */
+const applyScan = async (device, event) => {
+    const barcode = parseBarcode(event.code, event.format);
+
+    if (!barcode.valid) {
+        throw new ValidationError(`Invalid barcode: ${barcode.reason}`, { code: ERROR_CODES.INVALID_BARCODE });
+    }
+
+    const { product, measure } = await Product.resolveScan(barcode.code, barcode.format);
+    if (!product) {
+        throw new NotFoundError(`No product found for barcode: ${barcode.code}`, { code: ERROR_CODES.PRODUCT_NOT_FOUND });
+    }
+
+    if (!device.basketId) {
+        throw new ConflictError('Device is not linked to a basket', { code: ERROR_CODES.DEVICE_NOT_LINKED });
+    }
+
+    const basket = await Basket.loadActive(device.basketId);
+    basket.addItem(product, event.quantity, measure ? measure.weightGrams * event.quantity : undefined);
+    await basket.save();
+
+    return { status: 'applied', productId: product.productId };
+};
+
+/**
+ * Keep the newest load-cell reading on the device, tagged with the linked basket
+ * Readings are compared by device time so a replayed older reading does not overwrite a newer one.
+ * A reading taken before the current session was linked belongs to the previous shopper's load
+ * and is rejected.
+ */
+const applyWeight = async (device, event) => {
+    if (device.linkedAt && event.timestamp < device.linkedAt) {
+        throw new ConflictError('Weight was measured before the device was linked to its basket', {
+            code: ERROR_CODES.READING_BEFORE_SESSION
+        });
+    }
+
+    const lastWeight = { grams: event.grams, measuredAt: event.timestamp, basketId: device.basketId || undefined };
+    const { modifiedCount } = await Device.updateOne(
+        {
+            _id: device._id,
+            $or: [{ 'lastWeight.measuredAt': null }, { 'lastWeight.measuredAt': { $lte: event.timestamp } }]
+        },
+        { lastWeight }
+    );
+
+    if (modifiedCount === 1) {
+        device.lastWeight = lastWeight;
+    }
+
+    return { status: 'recorded' };
+};
+
+/**
+ * Per-event result returned to the device
+ */
+const describeEvent = (record, duplicate) => ({
+    idempotencyKey: record.idempotencyKey,
+    type: record.type,
+    status: record.status,
+    duplicate,
+    ...(record.productId && { productId: record.productId }),
+    ...(record.basketId && { basketId: record.basketId }),
+    ...(record.errorCode && { error: { code: record.errorCode, message: record.message } })
+});
+
+/**
+ * Claim, apply and record one event
+ * Expected failures (unknown barcode, no session, closed basket) are stored as rejected so the
+ * device can stop retrying; unexpected ones release the claim and fail the batch
+ */
+const ingestEvent = async (device, event) => {
+    let record;
+
+    try {
+        record = await DeviceEvent.create({
+            deviceId: device.deviceId,
+            idempotencyKey: event.idempotencyKey,
+            type: event.type,
+            deviceTimestamp: event.timestamp,
+            basketId: device.basketId || undefined,
+            code: event.code,
+            format: event.format,
+            quantity: event.quantity,
+            grams: event.grams
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            const existing = await DeviceEvent.findOne({ deviceId: device.deviceId, idempotencyKey: event.idempotencyKey });
+            return describeEvent(existing, true);
+        }
+        throw error;
+    }
+
+    try {
+        Object.assign(record, event.type === 'scan' ? await applyScan(device, event) : await applyWeight(device, event));
+    } catch (error) {
+        if (!(error instanceof AppError)) {
+            await DeviceEvent.deleteOne({ _id: record._id });
+            throw error;
+        }
+
+        Object.assign(record, { status: 'rejected', errorCode: error.code, message: error.message });
+    }
+
+    await record.save();
+    return describeEvent(record, false);
+};
+
+/**
+ * Ingest a batch of events from one device
+ * Events are applied in device-time order (buffered events may arrive shuffled) and
+ * reported in request order
+ */
+const ingestEvents = async (device, events) => {
+    const ordered = events
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) => a.event.timestamp - b.event.timestamp || a.index - b.index);
+
+    const results = new Array(events.length);
+    for (const { event, index } of ordered) {
+        results[index] = await ingestEvent(device, event);
+    }
+
+    const summary = {
+        total: results.length,
+        applied: results.filter(result => !result.duplicate && result.status === 'applied').length,
+        recorded: results.filter(result => !result.duplicate && result.status === 'recorded').length,
+        rejected: results.filter(result => !result.duplicate && result.status === 'rejected').length,
+        duplicates: results.filter(result => result.duplicate).length
+    };
+
+    return { summary, results };
+};
+
+module.exports = {
+    ingestEvents
+};
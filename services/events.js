@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { config } = require('../config');
+
+/**
+ * In-process event bus for the real-time channel
+ *
+ * Models publish after a change is written; the SSE route fans events out to subscribers.
+ * Recent events are kept so a reconnecting client can resume from its Last-Event-ID.
+ * IDs are "<boot>-<sequence>": an ID from before a restart (or another instance) cannot
+ * be resumed and the client is told to refetch instead.
+ */
+
+const PRODUCT_EVENTS = ['product.created', 'product.updated', 'product.deleted', 'product.stock_changed'];
+
+// Distinguishes this process's event IDs from those of earlier runs
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const emitter = new EventEmitter();
+// One listener per connected client
+emitter.setMaxListeners(0);
+
+const history = [];
+let sequence = 0;
+
+/**
+ * Publish an event to every subscriber and keep it for resumption
+ */
+const publish = (type, payload = {}) => {
+    sequence += 1;
+
+    const event = {
+        id: `${BOOT_ID}-${sequence}`,
+        type,
+        ...payload,
+        at: new Date().toISOString()
+    };
+
+    history.push(event);
+    if (history.length > config.eventHistorySize) {
+        history.shift();
+    }
+
+    emitter.emit('event', event);
+    return event;
+};
+
+/**
+ * Events published after the given ID, oldest first
+ * Returns null when the ID cannot be resumed (unknown, from another run, or too old)
+ */
+const eventsSince = (lastEventId) => {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId || ''));
+    if (!match || match[1] !== BOOT_ID) return null;
+
+    const last = Number(match[2]);
+    if (last > sequence) return null;
+
+    const oldest = history.length > 0 ? Number(history[0].id.split('-')[1]) : sequence + 1;
+    if (last < oldest - 1) return null;
+
+    return history.filter(event => Number(event.id.split('-')[1]) > last);
+};
+
+/**
+ * Listen for new events; returns a function that unsubscribes
+ */
+const subscribe = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+};
+
+/**
+ * Listen for shutdown so open streams can be ended; returns a function that unsubscribes
+ */
+const onShutdown = (listener) => {
+    emitter.once('shutdown', listener);
+    return () => emitter.off('shutdown', listener);
+};
+
+/**
+ * End every open stream, e.g. before the HTTP server closes
+ */
+const closeAll = () => {
+    emitter.emit('shutdown');
+};
+
+module.exports = {
+    PRODUCT_EVENTS,
+    publish,
+    eventsSince,
+    subscribe,
+    onShutdown,
+    closeAll
+};
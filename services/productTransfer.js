@@ -0,0 +1,222 @@
+const Product = require('../models/Product');
+const { parseCsv, toCsvLine } = require('../utils/csv');
+
+/**
+ * Bulk product import and export
+ * Shared by the import/export routes and the seeder
+ */
+
+// Columns used for CSV import and export
+const CSV_COLUMNS = [
+    'productId', 'name', 'mrpPrice', 'stock', 'category', 'image', 'discounts', 'expiryDate', 'barcodes',
+    'netWeightGrams', 'weightToleranceGrams', 'pricingUnit', 'plu'
+];
+
+// Optional columns; an empty cell leaves the field unset
+const OPTIONAL_COLUMNS = ['netWeightGrams', 'weightToleranceGrams', 'pricingUnit', 'plu'];
+const NUMBER_COLUMNS = ['mrpPrice', 'stock', 'netWeightGrams', 'weightToleranceGrams'];
+
+// Fields that are derived or managed elsewhere and never taken from an import
+// Lots, like stock of existing products, only change through the stock endpoints
+const IGNORED_FIELDS = [
+    '_id', '__v', 'id', 'createdAt', 'updatedAt', 'reservedStock', 'nextExpiryDate',
+    'formattedPrice', 'isInStock', 'isExpired', 'availableStock', 'lots', 'searchGrams'
+];
+
+/**
+ * Convert a CSV record (all strings) into product fields
+ * Barcodes are written as "format:code" pairs separated by "|"
+ */
+const fromCsvRecord = (record) => {
+    const product = { ...record };
+
+    OPTIONAL_COLUMNS.forEach(field => {
+        if (product[field] === '') delete product[field];
+    });
+
+    NUMBER_COLUMNS.forEach(field => {
+        if (product[field] !== undefined && product[field] !== '' && !isNaN(Number(product[field]))) {
+            product[field] = Number(product[field]);
+        }
+    });
+
+    if (product.barcodes !== undefined) {
+        product.barcodes = product.barcodes
+            .split('|')
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const separator = entry.indexOf(':');
+                return separator === -1
+                    ? { code: entry }
+                    : { format: entry.slice(0, separator).trim(), code: entry.slice(separator + 1).trim() };
+            });
+    }
+
+    return product;
+};
+
+/**
+ * Convert a product into CSV values in CSV_COLUMNS order
+ */
+const toCsvValues = (product) => CSV_COLUMNS.map(column => {
+    if (column === 'barcodes') {
+        return product.barcodes.map(barcode => `${barcode.format}:${barcode.code}`).join('|');
+    }
+    return product[column];
+});
+
+/**
+ * Parse an import payload: CSV text, a JSON array, or { products: [...] }
+ */
+const parseImportPayload = (body) => {
+    if (typeof body === 'string') {
+        return parseCsv(body).map(fromCsvRecord);
+    }
+
+    if (Array.isArray(body)) return body;
+    if (body && Array.isArray(body.products)) return body.products;
+
+    throw new Error('Import payload must be CSV text, a JSON array or an object with a products array');
+};
+
+/**
+ * Describe why a row failed
+ */
+const rowErrors = (error) => {
+    // Mongoose validation errors list each failing path
+    if (error.name === 'ValidationError' && error.errors) {
+        return Object.values(error.errors).map(err => err.message);
+    }
+
+    // Typed errors thrown by the model carry their own field details
+    if (Array.isArray(error.details)) {
+        return error.details.map(detail => detail.message || String(detail));
+    }
+
+    if (error.code === 11000) {
+        return [error.keyPattern && error.keyPattern['barcodes.code']
+            ? 'Barcode is already assigned to another product'
+            : 'Duplicate key'];
+    }
+
+    return [error.message];
+};
+
+/**
+ * Upsert products by productId, validating every row through ProductSchema
+ *
+ * Rows are processed independently: a failing row is reported and the rest continue.
+ * In dry-run mode rows are validated but nothing is written (barcode conflicts with
+ * other products are only detected on a real run).
+ *
+ * Returns { dryRun, summary: { total, created, updated, unchanged, failed }, rows }
+ */
+const importProducts = async (records, { dryRun = false, performedBy, reason = 'import' } = {}) => {
+    const summary = { total: records.length, created: 0, updated: 0, unchanged: 0, failed: 0 };
+    const rows = [];
+    const seen = new Set();
+
+    for (const [index, record] of records.entries()) {
+        const row = index + 1;
+
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            summary.failed++;
+            rows.push({ row, productId: null, status: 'failed', errors: ['Row must be an object'] });
+            continue;
+        }
+
+        const data = { ...record };
+        IGNORED_FIELDS.forEach(field => delete data[field]);
+
+        const productId = data.productId === undefined || data.productId === null ? '' : String(data.productId).trim();
+
+        if (!productId) {
+            summary.failed++;
+            rows.push({ row, productId: null, status: 'failed', errors: ['Product ID is required'] });
+            continue;
+        }
+
+        if (seen.has(productId)) {
+            summary.failed++;
+            rows.push({ row, productId, status: 'failed', errors: ['Product ID appears more than once in this import'] });
+            continue;
+        }
+        seen.add(productId);
+
+        try {
+            let product = await Product.findOne({ productId });
+            const isNew = !product;
+            const warnings = [];
+
+            if (isNew) {
+                // The imported stock is the opening balance, recorded as an import receipt
+                product = new Product({ ...data, productId });
+            } else {
+                // Stock only changes by deltas; an absolute value from a file would overwrite sales made since
+                const { stock, ...fields } = data;
+                product.set({ ...fields, productId });
+
+                if (stock !== undefined && stock !== '' && Number(stock) !== product.stock) {
+                    warnings.push(`stock ignored for an existing product (currently ${product.stock}); use PATCH /api/products/${productId}/stock`);
+                }
+            }
+
+            const warned = warnings.length > 0 ? { warnings } : {};
+
+            if (!isNew && product.modifiedPaths().length === 0) {
+                summary.unchanged++;
+                rows.push({ row, productId, status: 'unchanged', ...warned });
+                continue;
+            }
+
+            if (dryRun) {
+                await product.validate();
+            } else {
+                await product.describeStockChange({ reason, performedBy }).save();
+            }
+
+            const status = isNew ? 'created' : 'updated';
+            summary[status]++;
+            rows.push({ row, productId, status, ...warned });
+        } catch (error) {
+            summary.failed++;
+            rows.push({ row, productId, status: 'failed', errors: rowErrors(error) });
+        }
+    }
+
+    return { dryRun, summary, rows };
+};
+
+/**
+ * Stream products matching a filter to a writable response as CSV or JSON
+ */
+const exportProducts = async (filter, format, output) => {
+    const cursor = Product.find(filter).sort({ productId: 1 }).cursor();
+
+    if (format === 'csv') {
+        output.write(toCsvLine(CSV_COLUMNS));
+        for await (const product of cursor) {
+            output.write(toCsvLine(toCsvValues(product)));
+        }
+    } else {
+        let first = true;
+        output.write('[');
+        for await (const product of cursor) {
+            output.write(`${first ? '' : ','}\n${JSON.stringify(product)}`);
+            first = false;
+        }
+        output.write('\n]\n');
+    }
+
+    output.end();
+};
+
+module.exports = {
+    CSV_COLUMNS,
+    fromCsvRecord,
+    toCsvValues,
+    parseImportPayload,
+    importProducts,
+    exportProducts
+};
@@ -0,0 +1,132 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { config } = require('../config');
+const User = require('../models/User');
+const { startDatabase, stopDatabase, resetDatabase, authHeader } = require('./helpers');
+
+const app = createApp();
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+beforeEach(resetDatabase);
+
+const shopper = { email: 'Asha@Example.com', name: 'Asha', password: 'correct horse battery' };
+
+/**
+ * Register the test shopper and return the response body data
+ */
+const register = async (body = shopper) => {
+    const res = await request(app).post('/api/auth/register').send(body).expect(201);
+    return res.body.data;
+};
+
+describe('POST /api/auth/register', () => {
+    it('creates a shopper and returns a working token', async () => {
+        const { user, token } = await register({ ...shopper, role: 'admin' });
+
+        expect(user).toMatchObject({ email: 'asha@example.com', name: 'Asha', role: 'shopper' });
+        expect(user).not.toHaveProperty('passwordHash');
+
+        const me = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(me.body.data.email).toBe('asha@example.com');
+    });
+
+    it('validates the body', async () => {
+        const res = await request(app).post('/api/auth/register').send({ email: 'not-an-email', password: 'x' }).expect(400);
+
+        expect(res.body.details.map(detail => detail.field).sort()).toEqual(['email', 'name']);
+    });
+
+    it('rejects a short password and a taken email', async () => {
+        const short = await request(app).post('/api/auth/register').send({ ...shopper, password: 'short' }).expect(400);
+        expect(short.body.details).toEqual([expect.objectContaining({ field: 'password' })]);
+
+        await register();
+        const taken = await request(app).post('/api/auth/register').send(shopper).expect(409);
+        expect(taken.body.code).toBe('DUPLICATE_RESOURCE');
+    });
+});
+
+describe('POST /api/auth/login', () => {
+    beforeEach(() => register());
+
+    it('returns a token for the right password', async () => {
+        const res = await request(app).post('/api/auth/login').send({ email: ' asha@example.com ', password: shopper.password }).expect(200);
+
+        expect(res.body.data.token).toEqual(expect.any(String));
+        expect((await User.findOne({ email: 'asha@example.com' })).lastLoginAt).toBeInstanceOf(Date);
+    });
+
+    it('rejects a wrong password and an unknown email alike', async () => {
+        const wrong = await request(app).post('/api/auth/login').send({ email: shopper.email, password: 'wrong password' }).expect(401);
+        const unknown = await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: shopper.password }).expect(401);
+
+        expect(wrong.body).toMatchObject({ code: 'INVALID_CREDENTIALS', message: 'Invalid email or password' });
+        expect(unknown.body).toMatchObject({ code: 'INVALID_CREDENTIALS', message: 'Invalid email or password' });
+    });
+
+    it('rejects a disabled account', async () => {
+        await User.updateOne({ email: 'asha@example.com' }, { active: false });
+
+        await request(app).post('/api/auth/login').send(shopper).expect(401);
+    });
+});
+
+describe('Access tokens', () => {
+    it('requires a token', async () => {
+        const res = await request(app).get('/api/auth/me').expect(401);
+
+        expect(res.body.code).toBe('AUTHENTICATION_REQUIRED');
+    });
+
+    it('rejects an expired token', async () => {
+        const { user } = await register();
+        const token = jwt.sign({ role: 'shopper' }, config.jwtSecret, { subject: user.userId, expiresIn: -10 });
+
+        const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(401);
+
+        expect(res.body.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('rejects a token signed with another secret', async () => {
+        const { user } = await register();
+        const token = jwt.sign({ role: 'admin' }, 'someone-else', { subject: user.userId });
+
+        const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(401);
+
+        expect(res.body.code).toBe('INVALID_TOKEN');
+    });
+});
+
+describe('Roles', () => {
+    it('keeps shoppers off the staff write routes', async () => {
+        const header = await authHeader('shopper');
+
+        const writes = [
+            request(app).post('/api/products').send({ productId: 'X', name: 'X', mrpPrice: 1, stock: 1 }),
+            request(app).post('/api/categories').send({ name: 'Hardware' }),
+            request(app).post('/api/promotions').send({ name: 'Free', type: 'percentage', value: 100 }),
+            request(app).get('/api/orders')
+        ];
+
+        for (const pending of writes) {
+            const res = await pending.set('Authorization', header);
+            expect(res.status).toBe(403);
+            expect(res.body.code).toBe('FORBIDDEN');
+        }
+    });
+
+    it('lets only admins manage users', async () => {
+        const body = { email: 'clerk@example.com', name: 'Clerk', password: 'correct horse battery', role: 'staff' };
+
+        const admin = await authHeader('admin');
+        await request(app).post('/api/auth/users').set('Authorization', await authHeader('staff')).send(body).expect(403);
+
+        const res = await request(app).post('/api/auth/users').set('Authorization', admin).send(body).expect(201);
+        expect(res.body.data).toMatchObject({ email: 'clerk@example.com', role: 'staff' });
+
+        const invalid = await request(app).post('/api/auth/users').set('Authorization', admin).send({ ...body, role: 'owner' }).expect(400);
+        expect(invalid.body.details).toEqual([expect.objectContaining({ field: 'role' })]);
+    });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Basket = require('../models/Basket');
+const Product = require('../models/Product');
+const { computeCheckDigit } = require('../utils/barcode');
+const { startDatabase, stopDatabase, resetDatabase, createProduct } = require('./helpers');
+
+const app = createApp();
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    await createProduct({ productId: 'MILK', name: 'Milk 1L', mrpPrice: 60, stock: 5, barcodes: [{ code: '8901234567890', format: 'ean_13' }] });
+    await createProduct({ productId: 'APPLE', name: 'Fresh Apples', mrpPrice: 180, pricingUnit: 'kg', plu: '10002', category: 'Fruits', stock: 5000 });
+});
+
+/**
+ * Create a basket through the API and return its ID
+ */
+const createBasket = async () => {
+    const res = await request(app).post('/api/baskets').expect(201);
+    return res.body.data.basketId;
+};
+
+const addItem = (basketId, body) => request(app).post(`/api/baskets/${basketId}/items`).send(body);
+
+describe('Baskets', () => {
+    it('creates an empty active basket', async () => {
+        const res = await request(app).post('/api/baskets').expect(201);
+
+        expect(res.body.data).toMatchObject({ status: 'active', items: [], itemCount: 0, total: 0 });
+
+        const fetched = await request(app).get(`/api/baskets/${res.body.data.basketId}`).expect(200);
+        expect(fetched.body.data.basketId).toBe(res.body.data.basketId);
+    });
+
+    it('returns 404 for an unknown basket', async () => {
+        const res = await request(app).get('/api/baskets/no-such-basket').expect(404);
+
+        expect(res.body.code).toBe('BASKET_NOT_FOUND');
+    });
+});
+
+describe('POST /api/baskets/:id/items', () => {
+    it('adds a product and increments an existing line', async () => {
+        const basketId = await createBasket();
+
+        await addItem(basketId, { productId: 'MILK' }).expect(200);
+        const res = await addItem(basketId, { productId: 'MILK', quantity: 2 }).expect(200);
+
+        expect(res.body.data.items).toEqual([expect.objectContaining({ productId: 'MILK', quantity: 3, lineTotal: 180 })]);
+    });
+
+    it('resolves a scanned barcode alias to its product', async () => {
+        const basketId = await createBasket();
+
+        const res = await addItem(basketId, { productId: '8901234567890' }).expect(200);
+
+        expect(res.body.data.items).toEqual([expect.objectContaining({ productId: 'MILK', quantity: 1 })]);
+    });
+
+    it('adds a weighed label by its embedded weight', async () => {
+        const basketId = await createBasket();
+        const body = '211000201235';
+
+        const res = await addItem(basketId, { productId: `${body}${computeCheckDigit(body)}` }).expect(200);
+
+        expect(res.body.data.items).toEqual([expect.objectContaining({ productId: 'APPLE', quantity: 1, weightGrams: 1235, lineTotal: 222.3 })]);
+    });
+
+    it('validates the item before touching the basket', async () => {
+        const basketId = await createBasket();
+
+        const res = await addItem(basketId, { quantity: 0, weightGrams: 1.5 }).expect(400);
+
+        expect(res.body.details.map(detail => detail.field).sort()).toEqual(['productId', 'quantity', 'weightGrams']);
+    });
+
+    it('returns 404 for an unknown product', async () => {
+        const basketId = await createBasket();
+
+        const res = await addItem(basketId, { productId: 'NOPE' }).expect(404);
+
+        expect(res.body.code).toBe('PRODUCT_NOT_FOUND');
+    });
+});
+
+describe('PUT and DELETE /api/baskets/:id/items/:productId', () => {
+    let basketId;
+
+    beforeEach(async () => {
+        basketId = await createBasket();
+        await addItem(basketId, { productId: 'MILK', quantity: 2 }).expect(200);
+    });
+
+    it('sets the quantity of a line', async () => {
+        const res = await request(app).put(`/api/baskets/${basketId}/items/MILK`).send({ quantity: 4 }).expect(200);
+
+        expect(res.body.data.items[0]).toMatchObject({ productId: 'MILK', quantity: 4 });
+    });
+
+    it('removes the line when the quantity is 0', async () => {
+        const res = await request(app).put(`/api/baskets/${basketId}/items/MILK`).send({ quantity: 0 }).expect(200);
+
+        expect(res.body.message).toBe('Item removed from basket');
+        expect(res.body.data.items).toEqual([]);
+    });
+
+    it('rejects a negative or missing quantity', async () => {
+        await request(app).put(`/api/baskets/${basketId}/items/MILK`).send({ quantity: -1 }).expect(400);
+        await request(app).put(`/api/baskets/${basketId}/items/MILK`).send({}).expect(400);
+    });
+
+    it('deletes a line', async () => {
+        const res = await request(app).delete(`/api/baskets/${basketId}/items/MILK`).expect(200);
+
+        expect(res.body.data.items).toEqual([]);
+
+        const missing = await request(app).delete(`/api/baskets/${basketId}/items/MILK`).expect(404);
+        expect(missing.body.code).toBe('BASKET_ITEM_NOT_FOUND');
+    });
+});
+
+describe('POST /api/baskets/:id/checkout', () => {
+    it('refuses an empty basket', async () => {
+        const basketId = await createBasket();
+
+        const res = await request(app).post(`/api/baskets/${basketId}/checkout`).expect(400);
+
+        expect(res.body.code).toBe('BASKET_EMPTY');
+    });
+
+    it('refuses more units than are in stock and leaves the basket open', async () => {
+        const basketId = await createBasket();
+        await addItem(basketId, { productId: 'MILK', quantity: 6 }).expect(200);
+
+        const res = await request(app).post(`/api/baskets/${basketId}/checkout`).expect(409);
+
+        expect(res.body.code).toBe('INSUFFICIENT_STOCK');
+        expect((await Basket.findOne({ basketId })).status).toBe('active');
+        expect(await Product.findOne({ productId: 'MILK' }).lean()).toMatchObject({ stock: 5, reservedStock: 0 });
+    });
+
+    it('checks out once and then refuses changes and a second checkout', async () => {
+        const basketId = await createBasket();
+        await addItem(basketId, { productId: 'MILK', quantity: 2 }).expect(200);
+
+        const res = await request(app).post(`/api/baskets/${basketId}/checkout`).expect(200);
+        expect(res.body.data.order.orderNumber).toBeDefined();
+
+        const again = await request(app).post(`/api/baskets/${basketId}/checkout`).expect(409);
+        expect(again.body.code).toBe('BASKET_NOT_ACTIVE');
+
+        await addItem(basketId, { productId: 'MILK' }).expect(409);
+        expect(await Product.findOne({ productId: 'MILK' }).lean()).toMatchObject({ stock: 3, reservedStock: 0 });
+    });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const { startDatabase, stopDatabase, resetDatabase, authHeader, createProduct } = require('./helpers');
+
+const app = createApp();
+
+let staff;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    staff = await authHeader('staff');
+});
+
+/**
+ * Create a category through the API and return it
+ */
+const createCategory = async (body) => {
+    const res = await request(app).post('/api/categories').set('Authorization', staff).send(body).expect(201);
+    return res.body.data;
+};
+
+const updateCategory = (id, body) => request(app).put(`/api/categories/${id}`).set('Authorization', staff).send(body);
+
+describe('Category routes', () => {
+    it('rejects a reassignTo that is not a category name', async () => {
+        await createProduct({ productId: 'CHIPS', category: 'Snacks' });
+
+        const res = await request(app)
+            .delete('/api/categories/snacks?reassignTo[$ne]=Dairy')
+            .set('Authorization', staff)
+            .expect(400);
+
+        expect(res.body.details).toEqual([expect.objectContaining({ location: 'query', field: 'reassignTo' })]);
+    });
+
+    it('validates category fields before saving', async () => {
+        const res = await request(app)
+            .post('/api/categories')
+            .set('Authorization', staff)
+            .send({ name: '  ', taxRate: 150 })
+            .expect(400);
+
+        expect(res.body.details.map(detail => detail.field).sort()).toEqual(['name', 'taxRate']);
+    });
+
+    it('requires a field to update', async () => {
+        await request(app)
+            .put('/api/categories/dairy')
+            .set('Authorization', staff)
+            .send({})
+            .expect(400);
+    });
+});
+
+describe('Category tree', () => {
+    it('lists categories as a nested tree', async () => {
+        await createCategory({ name: 'Frozen', parent: 'Dairy' });
+        await createCategory({ name: 'Ice Cream', parent: 'Frozen' });
+
+        const res = await request(app).get('/api/categories?tree=true').expect(200);
+        const dairy = res.body.data.find(category => category.name === 'Dairy');
+
+        expect(dairy.children).toEqual([expect.objectContaining({ name: 'Frozen', children: [expect.objectContaining({ name: 'Ice Cream' })] })]);
+        expect(res.body.data.map(category => category.name)).not.toContain('Frozen');
+    });
+
+    it('refuses to move a category under its own subcategory', async () => {
+        await createCategory({ name: 'Frozen', parent: 'Dairy' });
+        await createCategory({ name: 'Ice Cream', parent: 'Frozen' });
+
+        const res = await updateCategory('dairy', { parent: 'Ice Cream' }).expect(400);
+        expect(res.body.details).toEqual([expect.objectContaining({ field: 'parent' })]);
+
+        await updateCategory('frozen', { parent: 'Frozen' }).expect(400);
+    });
+
+    it('applies a parent category promotion to products in its subcategories', async () => {
+        await createCategory({ name: 'Frozen', parent: 'Dairy' });
+        await createProduct({ productId: 'ICE', category: 'Frozen', mrpPrice: 100 });
+        await new Promotion({ name: 'Dairy week', type: 'percentage', value: 10, categories: ['Dairy'] }).save();
+
+        const price = await request(app).get('/api/products/ICE/price').expect(200);
+        expect(price.body.data).toMatchObject({ netAmount: 90, promotion: expect.objectContaining({ name: 'Dairy week' }) });
+
+        const discounted = await request(app).get('/api/products?discounted=true').expect(200);
+        expect(discounted.body.data.map(product => product.productId)).toEqual(['ICE']);
+    });
+});
+
+describe('PUT /api/categories/:id (rename)', () => {
+    it('carries products, promotions and subcategories over to the new name', async () => {
+        await createCategory({ name: 'Frozen', parent: 'Snacks' });
+        await createProduct({ productId: 'CHIPS', category: 'Snacks' });
+        await new Promotion({ name: 'Snack time', type: 'percentage', value: 5, categories: ['Snacks'] }).save();
+
+        const res = await updateCategory('snacks', { name: 'Munchies' }).expect(200);
+
+        expect(res.body.data).toMatchObject({ name: 'Munchies', slug: 'munchies' });
+        expect(res.body.data).not.toHaveProperty('renamedFrom');
+        expect(await Product.findOne({ productId: 'CHIPS' }).lean()).toMatchObject({ category: 'Munchies' });
+        expect((await Promotion.findOne({ name: 'Snack time' })).categories).toEqual(['Munchies']);
+        expect(await Category.findOne({ name: 'Frozen' }).lean()).toMatchObject({ parent: 'Munchies' });
+        expect(await Category.isKnown('Snacks')).toBe(false);
+    });
+
+    it('puts everything back when the move fails', async () => {
+        await createProduct({ productId: 'CHIPS', category: 'Snacks' });
+        jest.spyOn(Product, 'moveCategory').mockRejectedValueOnce(new Error('connection lost'));
+
+        try {
+            await updateCategory('snacks', { name: 'Munchies' }).expect(500);
+        } finally {
+            Product.moveCategory.mockRestore();
+        }
+
+        expect(await Category.findOne({ slug: 'snacks' }).lean()).toMatchObject({ name: 'Snacks' });
+        expect(await Category.exists({ name: 'Munchies' })).toBeNull();
+        expect(await Product.findOne({ productId: 'CHIPS' }).lean()).toMatchObject({ category: 'Snacks' });
+    });
+
+    it('reports a taken name as a conflict', async () => {
+        const res = await updateCategory('snacks', { name: 'Dairy' }).expect(409);
+
+        expect(res.body.code).toBe('DUPLICATE_RESOURCE');
+    });
+});
+
+describe('DELETE /api/categories/:id', () => {
+    it('requires reassignTo while products use the category', async () => {
+        await createProduct({ productId: 'CHIPS', category: 'Snacks' });
+
+        const res = await request(app).delete('/api/categories/snacks').set('Authorization', staff).expect(409);
+
+        expect(res.body.code).toBe('CATEGORY_IN_USE');
+    });
+
+    it('moves products to the target and subcategories up a level', async () => {
+        await createCategory({ name: 'Frozen', parent: 'Dairy' });
+        await createCategory({ name: 'Ice Cream', parent: 'Frozen' });
+        await createProduct({ productId: 'KULFI', category: 'Frozen' });
+
+        const res = await request(app).delete('/api/categories/frozen?reassignTo=Dairy').set('Authorization', staff).expect(200);
+
+        expect(res.body.data).toMatchObject({ movedProducts: 1, reassignedTo: 'Dairy' });
+        expect(await Product.findOne({ productId: 'KULFI' }).lean()).toMatchObject({ category: 'Dairy' });
+        expect(await Category.findOne({ name: 'Ice Cream' }).lean()).toMatchObject({ parent: 'Dairy' });
+    });
+
+    it('refuses to reassign products to a subcategory of the deleted category', async () => {
+        await createCategory({ name: 'Frozen', parent: 'Dairy' });
+        await createProduct({ productId: 'MILK', category: 'Dairy' });
+
+        const res = await request(app).delete('/api/categories/dairy?reassignTo=Frozen').set('Authorization', staff).expect(400);
+
+        expect(res.body.details).toEqual([expect.objectContaining({ field: 'reassignTo' })]);
+    });
+});
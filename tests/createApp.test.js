@@ -0,0 +1,48 @@
+const request = require('supertest');
+const { config } = require('../config');
+const { createApp } = require('../app');
+
+describe('createApp', () => {
+    it('applies app-level overrides', async () => {
+        const app = createApp({ ...config, apiPrefix: '/grocery' });
+
+        const res = await request(app).get('/').expect(200);
+
+        expect(res.body.endpoints.products).toBe('/grocery/products');
+    });
+
+    it('applies page size overrides to request validation', async () => {
+        const app = createApp({ ...config, defaultPageSize: 10, maxPageSize: 20 });
+
+        const res = await request(app).get('/api/products?limit=30').expect(400);
+
+        expect(res.body.details).toEqual([expect.objectContaining({ field: 'limit', message: 'limit cannot exceed 20' })]);
+    });
+
+    it('limits CSV imports to the overridden body size', async () => {
+        const app = createApp({ ...config, jsonLimit: '1kb' });
+        const csv = `productId,name,mrpPrice,stock,category\n${'CSV-1,Butter,55,8,Dairy\n'.repeat(100)}`;
+
+        const res = await request(app).post('/api/products/import').set('Content-Type', 'text/csv').send(csv).expect(413);
+
+        expect(res.body.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    it('refuses overrides of settings read when modules load', () => {
+        expect(() => createApp({ ...config, deviceBatchLimit: config.deviceBatchLimit + 1 }))
+            .toThrow(/cannot override deviceBatchLimit/);
+    });
+
+    it('rate limits API requests per client but not health checks', async () => {
+        const app = createApp({ ...config, rateLimitMax: 2 });
+
+        await request(app).get('/api/orders').expect(401);
+        await request(app).get('/api/orders').expect(401);
+
+        const res = await request(app).get('/api/orders').expect(429);
+
+        expect(res.body.code).toBe('RATE_LIMITED');
+        expect(res.headers['retry-after']).toBe(String(config.rateLimitWindowMs / 1000));
+        await request(app).get('/health/live').expect(200);
+    });
+});
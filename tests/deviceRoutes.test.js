@@ -0,0 +1,136 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Basket = require('../models/Basket');
+const { startDatabase, stopDatabase, resetDatabase, authHeader, createProduct } = require('./helpers');
+
+const app = createApp();
+
+let staff;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    staff = await authHeader('staff');
+});
+
+/**
+ * Register a device and return its ID and API key
+ */
+const registerDevice = async (deviceId = 'basket-01') => {
+    const res = await request(app).post('/api/devices').set('Authorization', staff).send({ deviceId, name: 'Cart 1' }).expect(201);
+    return { deviceId, apiKey: res.body.data.apiKey };
+};
+
+const scan = (idempotencyKey, code, timestamp = '2026-05-01T10:00:00Z') => ({ idempotencyKey, type: 'scan', timestamp, code, format: 'code_128' });
+
+describe('Device registration', () => {
+    it('issues an API key once and never returns its hash', async () => {
+        const res = await request(app).post('/api/devices').set('Authorization', staff).send({ deviceId: 'basket-01', name: 'Cart 1' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.apiKey).toMatch(/^sgbd_/);
+        expect(res.body.data.device).toMatchObject({ deviceId: 'basket-01', active: true, basketId: null, online: false });
+        expect(res.body.data.device).not.toHaveProperty('apiKeyHash');
+
+        const fetched = await request(app).get('/api/devices/basket-01').set('Authorization', staff).expect(200);
+        expect(fetched.body.data).not.toHaveProperty('apiKey');
+    });
+
+    it('rejects unknown and rotated keys', async () => {
+        const { apiKey } = await registerDevice();
+
+        await request(app).get('/api/devices/me').set('X-Device-Key', 'sgbd_wrong').expect(401);
+        await request(app).post('/api/devices/basket-01/api-key').set('Authorization', staff).expect(200);
+
+        const res = await request(app).get('/api/devices/me').set('X-Device-Key', apiKey);
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('INVALID_DEVICE_KEY');
+    });
+
+    it('rejects disabled devices', async () => {
+        const { apiKey } = await registerDevice();
+        await request(app).put('/api/devices/basket-01').set('Authorization', staff).send({ active: false }).expect(200);
+
+        const res = await request(app).get('/api/devices/me').set('X-Device-Key', apiKey);
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('DEVICE_DISABLED');
+    });
+});
+
+describe('Device status', () => {
+    it('marks a device online after a heartbeat', async () => {
+        const { apiKey } = await registerDevice();
+        await registerDevice('basket-02');
+
+        await request(app).post('/api/devices/me/heartbeat').set('X-Device-Key', apiKey)
+            .send({ firmwareVersion: '1.2.0', batteryLevel: 80 }).expect(200);
+
+        const res = await request(app).get('/api/devices?status=online').set('Authorization', staff).expect(200);
+
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0]).toMatchObject({ deviceId: 'basket-01', online: true, firmwareVersion: '1.2.0', batteryLevel: 80 });
+        expect(res.body.summary.online).toBe(1);
+    });
+});
+
+describe('Device ingestion', () => {
+    it('adds scans to the linked basket and ignores replays', async () => {
+        await createProduct({ productId: 'MILK-1L' });
+        const { apiKey } = await registerDevice();
+
+        const session = await request(app).put('/api/devices/me/session').set('X-Device-Key', apiKey).send({}).expect(200);
+        const { basketId } = session.body.data.basket;
+
+        const batch = { events: [scan('e1', 'MILK-1L'), scan('e2', 'MILK-1L')] };
+        const first = await request(app).post('/api/devices/me/events').set('X-Device-Key', apiKey).send(batch).expect(200);
+        const replay = await request(app).post('/api/devices/me/events').set('X-Device-Key', apiKey).send(batch).expect(200);
+
+        expect(first.body.data.summary).toMatchObject({ total: 2, applied: 2, duplicates: 0 });
+        expect(replay.body.data.summary).toMatchObject({ total: 2, applied: 0, duplicates: 2 });
+        expect(replay.body.data.results[0]).toMatchObject({ idempotencyKey: 'e1', status: 'applied', duplicate: true, basketId });
+
+        const basket = await Basket.findOne({ basketId });
+        expect(basket.items.map(item => [item.productId, item.quantity])).toEqual([['MILK-1L', 2]]);
+    });
+
+    it('rejects scans that cannot be applied without failing the batch', async () => {
+        await createProduct({ productId: 'MILK-1L' });
+        const { apiKey } = await registerDevice();
+
+        const res = await request(app).post('/api/devices/me/events').set('X-Device-Key', apiKey)
+            .send({ events: [scan('e1', 'MILK-1L'), scan('e2', 'UNKNOWN')] })
+            .expect(200);
+
+        expect(res.body.data.results.map(result => result.error.code)).toEqual(['DEVICE_NOT_LINKED', 'PRODUCT_NOT_FOUND']);
+    });
+
+    it('keeps the newest weight by device time', async () => {
+        const { apiKey } = await registerDevice();
+
+        await request(app).post('/api/devices/me/events').set('X-Device-Key', apiKey)
+            .send({
+                events: [
+                    { idempotencyKey: 'w2', type: 'weight', timestamp: '2026-05-01T10:05:00Z', grams: 1500 },
+                    { idempotencyKey: 'w1', type: 'weight', timestamp: '2026-05-01T10:00:00Z', grams: 900 }
+                ]
+            })
+            .expect(200);
+
+        const res = await request(app).get('/api/devices/me').set('X-Device-Key', apiKey).expect(200);
+
+        expect(res.body.data.lastWeight).toMatchObject({ grams: 1500, measuredAt: '2026-05-01T10:05:00.000Z' });
+    });
+
+    it('refuses to link to a basket that was checked out', async () => {
+        const { apiKey } = await registerDevice();
+        const basket = await new Basket({ status: 'checked_out' }).save();
+
+        const res = await request(app).put('/api/devices/me/session').set('X-Device-Key', apiKey).send({ basketId: basket.basketId });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('BASKET_NOT_ACTIVE');
+    });
+});
@@ -0,0 +1,54 @@
+const request = require('supertest');
+
+jest.mock('../config/database', () => ({
+    ...jest.requireActual('../config/database'),
+    pingDB: jest.fn()
+}));
+
+const { pingDB } = require('../config/database');
+const { config } = require('../config');
+const { createApp } = require('../app');
+
+const app = createApp();
+
+afterEach(() => pingDB.mockReset());
+
+describe('Health checks', () => {
+    it('reports ready with the ping latency when the database answers', async () => {
+        pingDB.mockResolvedValue(3.14);
+
+        const res = await request(app).get('/health/ready').expect(200);
+
+        expect(pingDB).toHaveBeenCalledWith(config.healthCheckTimeoutMs);
+        expect(res.headers['cache-control']).toBe('no-store');
+        expect(res.body).toMatchObject({ status: 'ok', components: { database: { status: 'up', latencyMs: 3.1 } } });
+    });
+
+    it('returns 503 when the database is disconnected', async () => {
+        pingDB.mockRejectedValue(new Error('Database is disconnected'));
+
+        const res = await request(app).get('/health/ready').expect(503);
+
+        expect(res.body).toMatchObject({
+            status: 'unavailable',
+            components: { database: { status: 'down', error: 'Database is disconnected' } }
+        });
+    });
+
+    it('returns 503 when the ping times out', async () => {
+        pingDB.mockRejectedValue(new Error(`Database ping timed out after ${config.healthCheckTimeoutMs}ms`));
+
+        const res = await request(app).get('/health').expect(503);
+
+        expect(res.body.components.database.error).toMatch(/timed out/);
+    });
+
+    it('keeps the liveness probe up while the database is down', async () => {
+        pingDB.mockRejectedValue(new Error('Database is disconnected'));
+
+        const res = await request(app).get('/health/live').expect(200);
+
+        expect(res.body).toMatchObject({ status: 'ok', service: 'Smart Grocery Basket API' });
+        expect(pingDB).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { signToken } = require('../middleware/auth');
+
+/**
+ * Shared helpers for the API test suite
+ * Each test file gets its own in-memory MongoDB; collections are emptied between tests.
+ */
+
+let server;
+
+/**
+ * Start an in-memory MongoDB and connect Mongoose to it
+ */
+const startDatabase = async () => {
+    try {
+        server = await MongoMemoryServer.create();
+    } catch (error) {
+        // The mongod binary is downloaded on first use; say how to run offline instead of failing obscurely
+        throw new Error(`Could not start the in-memory MongoDB (${error.message}). ` +
+            'Without internet access set MONGOMS_SYSTEM_BINARY to a local mongod; see "Testing" in README.md');
+    }
+
+    await mongoose.connect(server.getUri());
+    // Unique indexes must exist before tests rely on them
+    await Promise.all(Object.values(mongoose.models).map(model => model.syncIndexes()));
+};
+
+/**
+ * Disconnect and stop the in-memory MongoDB
+ */
+const stopDatabase = async () => {
+    await mongoose.disconnect();
+    if (server) await server.stop();
+};
+
+/**
+ * Empty every collection and recreate the default categories
+ */
+const resetDatabase = async () => {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+    await Category.ensureDefaults();
+};
+
+/**
+ * Create a user with the given role and return a bearer Authorization header for it
+ */
+const authHeader = async (role = 'staff') => {
+    const user = new User({ email: `${role}-${Date.now()}@example.com`, name: `Test ${role}`, role });
+    await user.setPassword('correct horse battery');
+    await user.save();
+
+    return `Bearer ${signToken(user)}`;
+};
+
+/**
+ * Insert a product through the model so hooks (search grams, ledger) run
+ */
+const createProduct = (overrides = {}) => new Product({
+    productId: `P-${new mongoose.Types.ObjectId()}`,
+    name: 'Test Product',
+    mrpPrice: 10,
+    stock: 5,
+    category: 'Grocery',
+    ...overrides
+}).save();
+
+/**
+ * Date string (YYYY-MM-DD) the given number of days from today
+ */
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+module.exports = {
+    startDatabase,
+    stopDatabase,
+    resetDatabase,
+    authHeader,
+    createProduct,
+    daysFromNow
+};
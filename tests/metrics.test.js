@@ -0,0 +1,40 @@
+const request = require('supertest');
+const { config } = require('../config');
+const { createApp } = require('../app');
+
+describe('Metrics', () => {
+    it('requires the bearer token when METRICS_TOKEN is set', async () => {
+        const app = createApp({ ...config, metricsToken: 'scrape-secret' });
+
+        const missing = await request(app).get('/metrics').expect(401);
+        expect(missing.body.code).toBe('INVALID_TOKEN');
+
+        const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer wrong').expect(401);
+        expect(wrong.body.code).toBe('INVALID_TOKEN');
+
+        const res = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret').expect(200);
+        expect(res.text).toContain('http_requests_total');
+    });
+
+    it('serves metrics without a token when none is configured', async () => {
+        const app = createApp({ ...config, metricsToken: undefined });
+
+        const res = await request(app).get('/metrics').expect(200);
+
+        expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    });
+
+    it('labels requests by route template rather than raw URL', async () => {
+        const app = createApp({ ...config, metricsToken: undefined });
+
+        await request(app).put('/api/products/METRICS-42').send({ name: 'Butter' }).expect(401);
+        await request(app).get('/api/no-such-route/METRICS-43').expect(404);
+
+        const res = await request(app).get('/metrics').expect(200);
+
+        expect(res.text).toMatch(/http_requests_total\{method="PUT",route="\/api\/products\/:id",status="401"\} [1-9]/);
+        expect(res.text).toMatch(/http_requests_total\{method="GET",route="unmatched",status="404"\} [1-9]/);
+        expect(res.text).not.toContain('METRICS-42');
+        expect(res.text).not.toContain('METRICS-43');
+    });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Basket = require('../models/Basket');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { ERROR_CODES, ConflictError } = require('../utils/errors');
+const { startDatabase, stopDatabase, resetDatabase, authHeader, createProduct } = require('./helpers');
+
+const app = createApp();
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    await createProduct({ productId: 'MILK', name: 'Milk 1L', mrpPrice: 60, category: 'Dairy' });
+    await createProduct({ productId: 'APPLE', name: 'Fresh Apples', mrpPrice: 180, pricingUnit: 'kg', plu: '10002', category: 'Fruits', stock: 5000 });
+});
+
+/**
+ * Check out a basket with 2 milk and 1.235 kg of apples, returning the checkout response body
+ */
+const checkout = async () => {
+    const basket = await new Basket({
+        items: [{ productId: 'MILK', quantity: 2 }, { productId: 'APPLE', quantity: 1, weightGrams: 1235 }]
+    }).save();
+
+    const res = await request(app).post(`/api/baskets/${basket.basketId}/checkout`).expect(200);
+    return res.body.data;
+};
+
+describe('Orders', () => {
+    it('records a numbered order at checkout', async () => {
+        const { order } = await checkout();
+
+        expect(order.orderNumber).toMatch(/^SGB-\d{8}-00001$/);
+
+        const res = await request(app).get(`/api/orders/${order.orderId}`).expect(200);
+
+        expect(res.body.data).toMatchObject({
+            orderNumber: order.orderNumber,
+            total: 342.3,
+            taxTotal: 5.71,
+            taxLines: [
+                { name: 'GST 0%', rate: 0, taxableAmount: 222.3, taxAmount: 0 },
+                { name: 'GST 5%', rate: 5, taxableAmount: 114.29, taxAmount: 5.71 }
+            ]
+        });
+        expect(res.body.data.items[0]).toMatchObject({ name: 'Milk 1L', quantity: 2, unitPrice: 60, netAmount: 120 });
+    });
+
+    it('takes weighed lines out of stock by weight', async () => {
+        await checkout();
+
+        expect(await Product.findOne({ productId: 'APPLE' }).lean()).toMatchObject({ stock: 3765, reservedStock: 0 });
+        expect(await Product.findOne({ productId: 'MILK' }).lean()).toMatchObject({ stock: 3, reservedStock: 0 });
+    });
+
+    it('taxes a subcategory at its parent category rate', async () => {
+        await new Category({ name: 'Frozen', parent: 'Dairy' }).save();
+        await createProduct({ productId: 'ICE', name: 'Ice Cream', mrpPrice: 105, category: 'Frozen' });
+        const basket = await new Basket({ items: [{ productId: 'ICE', quantity: 1 }] }).save();
+
+        const { order } = (await request(app).post(`/api/baskets/${basket.basketId}/checkout`).expect(200)).body.data;
+        const res = await request(app).get(`/api/orders/${order.orderId}`).expect(200);
+
+        expect(res.body.data.items[0]).toMatchObject({ category: 'Frozen', taxRate: 5, taxAmount: 5 });
+    });
+
+    it('numbers orders sequentially', async () => {
+        await checkout();
+        const { order } = await checkout();
+
+        expect(order.orderNumber).toMatch(/-00002$/);
+    });
+
+    it('keeps checkout prices after the product is repriced', async () => {
+        const { order } = await checkout();
+
+        await request(app)
+            .put('/api/products/MILK')
+            .set('Authorization', await authHeader())
+            .send({ mrpPrice: 75, name: 'Milk 1L (new pack)' })
+            .expect(200);
+
+        const res = await request(app).get(`/api/orders/${order.orderId}`).expect(200);
+
+        expect(res.body.data.items[0]).toMatchObject({ name: 'Milk 1L', unitPrice: 60 });
+        expect(res.body.data.total).toBe(342.3);
+    });
+
+    it('renders a plain-text receipt with tax lines', async () => {
+        const { order } = await checkout();
+
+        const res = await request(app).get(`/api/orders/${order.orderId}/receipt`).expect(200);
+
+        expect(res.headers['content-type']).toMatch(/^text\/plain/);
+        expect(res.text).toContain(order.orderNumber);
+        expect(res.text).toContain('1.235 kg x 180.00/kg');
+        expect(res.text).toMatch(/GST 5% +114\.29 \/ 5\.71/);
+        expect(res.text.split('\n').every(line => line.length <= 40)).toBe(true);
+    });
+
+    it('renders an HTML receipt', async () => {
+        const { order } = await checkout();
+
+        const res = await request(app).get(`/api/orders/${order.orderId}/receipt?format=html`).expect(200);
+
+        expect(res.headers['content-type']).toMatch(/^text\/html/);
+        expect(res.text).toContain('<td>GST 5%</td>');
+    });
+
+    it('undoes the checkout when committing a line fails', async () => {
+        const basket = await new Basket({ items: [{ productId: 'MILK', quantity: 2 }, { productId: 'APPLE', quantity: 1, weightGrams: 1235 }] }).save();
+        const commitStock = Product.commitStock.bind(Product);
+
+        jest.spyOn(Product, 'commitStock')
+            .mockImplementationOnce(commitStock)
+            .mockRejectedValueOnce(new ConflictError('Stock of APPLE is being changed concurrently', { code: ERROR_CODES.STOCK_CONFLICT }));
+
+        try {
+            const res = await request(app).post(`/api/baskets/${basket.basketId}/checkout`).expect(409);
+            expect(res.body.code).toBe('STOCK_CONFLICT');
+        } finally {
+            Product.commitStock.mockRestore();
+        }
+
+        expect(await Order.countDocuments()).toBe(0);
+        expect((await Basket.findOne({ basketId: basket.basketId })).status).toBe('active');
+        expect(await Product.findOne({ productId: 'MILK' }).lean()).toMatchObject({ stock: 5, reservedStock: 0 });
+        expect(await Product.findOne({ productId: 'APPLE' }).lean()).toMatchObject({ stock: 5000, reservedStock: 0 });
+
+        await request(app).post(`/api/baskets/${basket.basketId}/checkout`).expect(200);
+    });
+
+    it('returns 404 for an unknown order', async () => {
+        const res = await request(app).get('/api/orders/8a4e1f3c-2b7d-4c55-9e0a-6f1b2c3d4e5f').expect(404);
+
+        expect(res.body.code).toBe('ORDER_NOT_FOUND');
+    });
+
+    it('lets staff find an order by number', async () => {
+        const { order } = await checkout();
+
+        await request(app).get('/api/orders').expect(401);
+
+        const res = await request(app)
+            .get(`/api/orders?orderNumber=${order.orderNumber}`)
+            .set('Authorization', await authHeader())
+            .expect(200);
+
+        expect(res.body.data.map(found => found.orderId)).toEqual([order.orderId]);
+    });
+});
@@ -0,0 +1,107 @@
+const Product = require('../models/Product');
+const events = require('../services/events');
+const { startDatabase, stopDatabase, resetDatabase, createProduct } = require('./helpers');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+beforeEach(resetDatabase);
+
+/**
+ * Collect the events published while `action` runs
+ */
+const captureEvents = async (action) => {
+    const published = [];
+    const unsubscribe = events.subscribe(event => published.push(event));
+
+    try {
+        await action();
+    } finally {
+        unsubscribe();
+    }
+
+    return published;
+};
+
+describe('Product events', () => {
+    it('publishes product.created with a snapshot', async () => {
+        const published = await captureEvents(() => createProduct({ productId: 'EV1', mrpPrice: 20 }));
+
+        expect(published).toHaveLength(1);
+        expect(published[0]).toMatchObject({
+            type: 'product.created',
+            productId: 'EV1',
+            category: 'Grocery',
+            product: { mrpPrice: 20, formattedPrice: '₹20.00', stock: 5 }
+        });
+    });
+
+    it('publishes product.updated with changed fields and the previous category', async () => {
+        const product = await createProduct({ productId: 'EV2' });
+
+        const published = await captureEvents(async () => {
+            product.mrpPrice = 25;
+            product.category = 'Dairy';
+            await product.save();
+        });
+
+        expect(published).toHaveLength(1);
+        expect(published[0]).toMatchObject({
+            type: 'product.updated',
+            category: 'Dairy',
+            previousCategory: 'Grocery'
+        });
+        expect(published[0].changes.sort()).toEqual(['category', 'mrpPrice']);
+    });
+
+    it('publishes product.updated for products moved by a category rename', async () => {
+        await createProduct({ productId: 'EV5', category: 'Snacks' });
+        await createProduct({ productId: 'EV6', category: 'Snacks' });
+
+        const published = await captureEvents(() => Product.moveCategory('Snacks', 'Dairy'));
+
+        expect(published.map(event => event.productId).sort()).toEqual(['EV5', 'EV6']);
+        expect(published[0]).toMatchObject({
+            type: 'product.updated',
+            changes: ['category'],
+            category: 'Dairy',
+            previousCategory: 'Snacks',
+            product: { category: 'Dairy' }
+        });
+    });
+
+    it('publishes product.stock_changed for stock edits and adjustments', async () => {
+        const product = await createProduct({ productId: 'EV3', stock: 5 });
+
+        const published = await captureEvents(async () => {
+            product.stock = 8;
+            await product.save();
+            await Product.changeStock('EV3', -2);
+            await Product.reserveStock('EV3', 1);
+        });
+
+        expect(published.map(event => event.type)).toEqual([
+            'product.stock_changed',
+            'product.stock_changed',
+            'product.stock_changed'
+        ]);
+        expect(published[0].delta).toBe(3);
+        expect(published[1].delta).toBe(-2);
+        expect(published[2]).toMatchObject({ reservedDelta: 1, product: { stock: 6, reservedStock: 1 } });
+    });
+
+    it('publishes product.deleted without a snapshot', async () => {
+        await createProduct({ productId: 'EV4' });
+
+        const published = await captureEvents(() => Product.findOneAndDelete({ productId: 'EV4' }));
+
+        expect(published).toContainEqual(expect.objectContaining({ type: 'product.deleted', productId: 'EV4', product: null }));
+    });
+
+    it('replays events after a known ID and refuses unknown ones', async () => {
+        const [first] = await captureEvents(() => createProduct({ productId: 'EV5' }));
+        await createProduct({ productId: 'EV6' });
+
+        expect(events.eventsSince(first.id).map(event => event.productId)).toEqual(['EV6']);
+        expect(events.eventsSince('00000000-1')).toBeNull();
+    });
+});
@@ -0,0 +1,675 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Product = require('../models/Product');
+const Promotion = require('../models/Promotion');
+const { parseCsv } = require('../utils/csv');
+const { startDatabase, stopDatabase, resetDatabase, authHeader, createProduct, daysFromNow } = require('./helpers');
+
+const app = createApp();
+
+let staff;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    staff = await authHeader('staff');
+});
+
+/**
+ * Expect the shared error envelope with the given status and code
+ */
+const expectError = (res, status, code) => {
+    expect(res.status).toBe(status);
+    expect(res.body).toMatchObject({ success: false, code });
+    expect(res.body.requestId).toEqual(expect.any(String));
+};
+
+describe('POST /api/products', () => {
+    const valid = { productId: 'MILK-1L', name: 'Fresh Milk 1L', mrpPrice: 60, stock: 10, category: 'Dairy' };
+
+    it('creates a product and returns it with virtuals', async () => {
+        const res = await request(app).post('/api/products').set('Authorization', staff).send(valid);
+
+        expect(res.status).toBe(201);
+        expect(res.body.data).toMatchObject({
+            productId: 'MILK-1L',
+            name: 'Fresh Milk 1L',
+            formattedPrice: '₹60.00',
+            isInStock: true,
+            isExpired: false
+        });
+        expect(res.body.data).not.toHaveProperty('_id');
+        expect(res.body.data).not.toHaveProperty('searchGrams');
+    });
+
+    it('rejects a duplicate productId with 409', async () => {
+        await request(app).post('/api/products').set('Authorization', staff).send(valid).expect(201);
+
+        const res = await request(app).post('/api/products').set('Authorization', staff).send(valid);
+
+        expectError(res, 409, 'DUPLICATE_RESOURCE');
+        expect(await Product.countDocuments({ productId: 'MILK-1L' })).toBe(1);
+    });
+
+    it('reports every validation problem at once', async () => {
+        const res = await request(app).post('/api/products').set('Authorization', staff)
+            .send({ name: '', mrpPrice: -1, stock: 1.5 });
+
+        expectError(res, 400, 'VALIDATION_FAILED');
+        const fields = res.body.details.map(detail => detail.field);
+        expect(fields).toEqual(expect.arrayContaining(['productId', 'name', 'mrpPrice', 'stock']));
+        expect(res.body.details.every(detail => detail.location === 'body')).toBe(true);
+    });
+
+    it('rejects an unknown category through model validation', async () => {
+        const res = await request(app).post('/api/products').set('Authorization', staff)
+            .send({ ...valid, category: 'Hardware' });
+
+        expectError(res, 400, 'VALIDATION_FAILED');
+        expect(res.body.details).toEqual([expect.objectContaining({ field: 'category' })]);
+    });
+
+    it('drops fields the schema does not declare', async () => {
+        const res = await request(app).post('/api/products').set('Authorization', staff)
+            .send({ ...valid, reservedStock: 5 });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.reservedStock).toBe(0);
+    });
+
+    it('rejects a malformed JSON body', async () => {
+        const res = await request(app).post('/api/products').set('Authorization', staff)
+            .set('Content-Type', 'application/json').send('{"productId":');
+
+        expectError(res, 400, 'INVALID_JSON');
+    });
+
+    it('requires authentication', async () => {
+        const res = await request(app).post('/api/products').send(valid);
+
+        expectError(res, 401, 'AUTHENTICATION_REQUIRED');
+    });
+
+    it('forbids shoppers', async () => {
+        const shopper = await authHeader('shopper');
+        const res = await request(app).post('/api/products').set('Authorization', shopper).send(valid);
+
+        expectError(res, 403, 'FORBIDDEN');
+    });
+});
+
+describe('POST /api/products/import', () => {
+    it('upserts JSON rows and reports each one', async () => {
+        await createProduct({ productId: 'EXISTING', name: 'Old name' });
+
+        const res = await request(app).post('/api/products/import').set('Authorization', staff).send([
+            { productId: 'NEW-1', name: 'Brown Bread', mrpPrice: 40, stock: 3, category: 'Bakery' },
+            { productId: 'EXISTING', name: 'New name' },
+            { productId: 'BAD', name: 'Bad price', mrpPrice: -5, stock: 1 }
+        ]);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.summary).toEqual({ total: 3, created: 1, updated: 1, unchanged: 0, failed: 1 });
+        expect(res.body.data.rows[2]).toMatchObject({ productId: 'BAD', status: 'failed' });
+        expect((await Product.findOne({ productId: 'EXISTING' })).name).toBe('New name');
+    });
+
+    it('never writes stock or lots of an existing product', async () => {
+        await createProduct({ productId: 'EXISTING', stock: 5 });
+
+        const res = await request(app).post('/api/products/import').set('Authorization', staff).send([
+            { productId: 'EXISTING', stock: 50, lots: [{ lotNumber: 'L1', quantity: 50 }], searchGrams: ['x'] },
+            { productId: 'NEW-2', name: 'Jam', mrpPrice: 90, stock: 4, lots: [{ lotNumber: 'L2', quantity: 40 }] }
+        ]);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.rows[0]).toMatchObject({ status: 'unchanged', warnings: [expect.stringContaining('stock ignored')] });
+        expect(await Product.findOne({ productId: 'EXISTING' }).lean()).toMatchObject({ stock: 5, lots: [] });
+        expect(await Product.findOne({ productId: 'NEW-2' }).lean()).toMatchObject({ stock: 4, lots: [] });
+    });
+
+    it('imports CSV text', async () => {
+        const csv = 'productId,name,mrpPrice,stock,category\nCSV-1,Amul Butter,55,8,Dairy\n';
+
+        const res = await request(app).post('/api/products/import').set('Authorization', staff)
+            .set('Content-Type', 'text/csv').send(csv);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.summary.created).toBe(1);
+        expect(await Product.exists({ productId: 'CSV-1' })).toBeTruthy();
+    });
+
+    it('writes nothing on a dry run', async () => {
+        const res = await request(app).post('/api/products/import?dryRun=true').set('Authorization', staff)
+            .send([{ productId: 'DRY-1', name: 'Dry run', mrpPrice: 1, stock: 1 }]);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.dryRun).toBe(true);
+        expect(await Product.exists({ productId: 'DRY-1' })).toBeNull();
+    });
+
+    it('fails when every row fails', async () => {
+        const res = await request(app).post('/api/products/import').set('Authorization', staff)
+            .send([{ name: 'No ID' }]);
+
+        expectError(res, 400, 'INVALID_IMPORT');
+        expect(res.body.details).toEqual([expect.objectContaining({ row: 1, status: 'failed' })]);
+    });
+
+    it('rejects an empty or malformed payload', async () => {
+        expectError(await request(app).post('/api/products/import').set('Authorization', staff).send([]), 400, 'INVALID_IMPORT');
+        expectError(await request(app).post('/api/products/import').set('Authorization', staff).send({ rows: 1 }), 400, 'INVALID_IMPORT');
+    });
+});
+
+describe('GET /api/products', () => {
+    it('lists products with pagination metadata and facets', async () => {
+        await createProduct({ name: 'Fresh Milk', category: 'Dairy', mrpPrice: 60 });
+        await createProduct({ name: 'Brown Bread', category: 'Bakery', mrpPrice: 40 });
+
+        const res = await request(app).get('/api/products');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(2);
+        expect(res.body.sort).toBe('newest');
+        expect(res.body.pagination).toMatchObject({ page: 1, pages: 1, limit: 50, total: 2, hasNext: false, hasPrev: false });
+        expect(res.body.facets.categories).toEqual(expect.arrayContaining([
+            { category: 'Dairy', count: 1 },
+            { category: 'Bakery', count: 1 }
+        ]));
+        expect(res.body.facets.priceRanges).toEqual([{ min: 0, max: 50, count: 1 }, { min: 50, max: 100, count: 1 }]);
+    });
+
+    it('filters by category, price and stock', async () => {
+        await createProduct({ productId: 'A', category: 'Dairy', mrpPrice: 30, stock: 0 });
+        await createProduct({ productId: 'B', category: 'Dairy', mrpPrice: 80, stock: 4 });
+        await createProduct({ productId: 'C', category: 'Bakery', mrpPrice: 80, stock: 4 });
+
+        const res = await request(app).get('/api/products?category=Dairy&minPrice=50&inStock=true');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(product => product.productId)).toEqual(['B']);
+    });
+
+    it('filters discounted products', async () => {
+        await createProduct({ productId: 'SALE', discounts: '10% off' });
+        await createProduct({ productId: 'FULL' });
+
+        const res = await request(app).get('/api/products?discounted=true');
+
+        expect(res.body.data.map(product => product.productId)).toEqual(['SALE']);
+    });
+
+    it('sorts by price', async () => {
+        await createProduct({ productId: 'MID', mrpPrice: 20 });
+        await createProduct({ productId: 'LOW', mrpPrice: 10 });
+        await createProduct({ productId: 'HIGH', mrpPrice: 30 });
+
+        const asc = await request(app).get('/api/products?sort=price_asc');
+        const desc = await request(app).get('/api/products?sort=price_desc');
+
+        expect(asc.body.data.map(product => product.productId)).toEqual(['LOW', 'MID', 'HIGH']);
+        expect(desc.body.data.map(product => product.productId)).toEqual(['HIGH', 'MID', 'LOW']);
+    });
+
+    it('rejects invalid filters and sorts', async () => {
+        const res = await request(app).get('/api/products?minPrice=50&maxPrice=10&inStock=maybe&sort=relevance');
+
+        expectError(res, 400, 'VALIDATION_FAILED');
+        expect(res.body.details.map(detail => detail.field)).toEqual(expect.arrayContaining(['maxPrice', 'inStock', 'sort']));
+    });
+
+    describe('search', () => {
+        beforeEach(async () => {
+            await createProduct({ productId: 'BUTTER', name: 'Amul Butter', category: 'Dairy' });
+            await createProduct({ productId: 'MILK', name: 'Fresh Milk', category: 'Dairy' });
+            await createProduct({ productId: 'BREAD', name: 'Brown Bread', category: 'Bakery' });
+        });
+
+        it('matches names despite typos and sorts by relevance', async () => {
+            const res = await request(app).get('/api/products?search=buter');
+
+            expect(res.status).toBe(200);
+            expect(res.body.sort).toBe('relevance');
+            expect(res.body.data.map(product => product.productId)).toEqual(['BUTTER']);
+            expect(res.body.data[0].relevance).toBeGreaterThan(0);
+        });
+
+        it('combines search with filters', async () => {
+            const res = await request(app).get('/api/products?search=milk&category=Bakery');
+
+            expect(res.body.data).toEqual([]);
+            expect(res.body.pagination.total).toBe(0);
+        });
+
+        it('matches nothing for a query without letters or digits', async () => {
+            const res = await request(app).get('/api/products?search=%21%21%21');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual([]);
+        });
+    });
+
+    describe('pagination boundaries', () => {
+        beforeEach(async () => {
+            for (let i = 1; i <= 5; i++) {
+                await createProduct({ productId: `P${i}`, mrpPrice: i });
+            }
+        });
+
+        it('splits results into pages', async () => {
+            const first = await request(app).get('/api/products?sort=price_asc&limit=2');
+            const last = await request(app).get('/api/products?sort=price_asc&limit=2&page=3');
+
+            expect(first.body.data.map(product => product.productId)).toEqual(['P1', 'P2']);
+            expect(first.body.pagination).toMatchObject({ page: 1, pages: 3, total: 5, hasNext: true, hasPrev: false });
+            expect(last.body.data.map(product => product.productId)).toEqual(['P5']);
+            expect(last.body.pagination).toMatchObject({ page: 3, hasNext: false, hasPrev: true, nextCursor: null });
+        });
+
+        it('returns an empty page past the end', async () => {
+            const res = await request(app).get('/api/products?limit=2&page=4');
+
+            expect(res.status).toBe(200);
+            expect(res.body.data).toEqual([]);
+            expect(res.body.pagination).toMatchObject({ page: 4, total: 5, hasNext: false });
+        });
+
+        it('has no next page when the limit equals the total', async () => {
+            const res = await request(app).get('/api/products?limit=5');
+
+            expect(res.body.data).toHaveLength(5);
+            expect(res.body.pagination).toMatchObject({ pages: 1, hasNext: false, nextCursor: null });
+        });
+
+        it('accepts the maximum page size and rejects anything outside it', async () => {
+            expect((await request(app).get('/api/products?limit=100')).status).toBe(200);
+            expectError(await request(app).get('/api/products?limit=101'), 400, 'VALIDATION_FAILED');
+            expectError(await request(app).get('/api/products?limit=0'), 400, 'VALIDATION_FAILED');
+            expectError(await request(app).get('/api/products?page=0'), 400, 'VALIDATION_FAILED');
+            expectError(await request(app).get('/api/products?page=1.5'), 400, 'VALIDATION_FAILED');
+        });
+
+        it('walks forwards and backwards with cursors', async () => {
+            const seen = [];
+            let res = await request(app).get('/api/products?sort=price_asc&limit=2');
+            seen.push(...res.body.data.map(product => product.productId));
+
+            while (res.body.pagination.nextCursor) {
+                res = await request(app).get(`/api/products?sort=price_asc&limit=2&cursor=${res.body.pagination.nextCursor}`);
+                expect(res.status).toBe(200);
+                expect(res.body.pagination).not.toHaveProperty('page');
+                seen.push(...res.body.data.map(product => product.productId));
+            }
+
+            expect(seen).toEqual(['P1', 'P2', 'P3', 'P4', 'P5']);
+            expect(res.body.pagination.hasNext).toBe(false);
+
+            const back = await request(app).get(`/api/products?sort=price_asc&limit=2&cursor=${res.body.pagination.prevCursor}`);
+            expect(back.body.data.map(product => product.productId)).toEqual(['P3', 'P4']);
+            expect(back.body.pagination).toMatchObject({ hasNext: true, hasPrev: true });
+        });
+
+        it('rejects bad cursors', async () => {
+            const first = await request(app).get('/api/products?sort=price_asc&limit=2');
+            const { nextCursor } = first.body.pagination;
+
+            expectError(await request(app).get('/api/products?cursor=not-a-cursor'), 400, 'INVALID_CURSOR');
+            expectError(await request(app).get(`/api/products?sort=name_asc&cursor=${nextCursor}`), 400, 'INVALID_CURSOR');
+            expectError(await request(app).get(`/api/products?sort=price_asc&page=2&cursor=${nextCursor}`), 400, 'VALIDATION_FAILED');
+        });
+
+        it('rejects cursors carrying query operators or regexes', async () => {
+            const tampered = (values) => Buffer.from(JSON.stringify({ s: 'name_asc', d: 'next', v: values })).toString('base64url');
+
+            const operator = tampered({ name: { $gt: '' }, _id: { $oid: '000000000000000000000000' } });
+            const regex = tampered({ name: { $regex: '(a+)+$', $options: '' }, _id: { $oid: '000000000000000000000000' } });
+
+            expectError(await request(app).get(`/api/products?sort=name_asc&cursor=${operator}`), 400, 'INVALID_CURSOR');
+            expectError(await request(app).get(`/api/products?sort=name_asc&cursor=${regex}`), 400, 'INVALID_CURSOR');
+        });
+    });
+});
+
+describe('GET /api/products/suggest', () => {
+    it('suggests products and categories', async () => {
+        await createProduct({ productId: 'BREAD', name: 'Brown Bread', category: 'Bakery' });
+
+        const res = await request(app).get('/api/products/suggest?q=bak');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.categories).toEqual([{ name: 'Bakery', slug: 'bakery' }]);
+
+        const products = await request(app).get('/api/products/suggest?q=brown');
+        expect(products.body.data.products).toEqual([expect.objectContaining({ productId: 'BREAD', name: 'Brown Bread' })]);
+    });
+
+    it('requires a searchable query', async () => {
+        expectError(await request(app).get('/api/products/suggest'), 400, 'VALIDATION_FAILED');
+        expectError(await request(app).get('/api/products/suggest?q=%3F%3F'), 400, 'VALIDATION_FAILED');
+        expectError(await request(app).get('/api/products/suggest?q=milk&limit=21'), 400, 'VALIDATION_FAILED');
+    });
+});
+
+describe('GET /api/products/export', () => {
+    beforeEach(async () => {
+        await createProduct({ productId: 'B-2', name: 'Brown Bread', category: 'Bakery', mrpPrice: 40 });
+        await createProduct({ productId: 'A-1', name: 'Amul Butter', category: 'Dairy', mrpPrice: 55 });
+    });
+
+    it('exports JSON sorted by productId by default', async () => {
+        const res = await request(app).get('/api/products/export').set('Authorization', staff);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/attachment; filename="products-.*\.json"/);
+        expect(JSON.parse(res.text).map(product => product.productId)).toEqual(['A-1', 'B-2']);
+    });
+
+    it('exports CSV honoring the list filters', async () => {
+        const res = await request(app).get('/api/products/export?format=csv&category=Dairy').set('Authorization', staff);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/csv/);
+        const lines = res.text.trim().split(/\r?\n/);
+        expect(lines[0]).toMatch(/^productId,name,mrpPrice/);
+        expect(lines).toHaveLength(2);
+        expect(lines[1]).toMatch(/^A-1,Amul Butter,55/);
+    });
+
+    it('keeps spreadsheet formulas in CSV cells as text', async () => {
+        await createProduct({ productId: 'C-3', name: '=HYPERLINK("http://evil.example","Milk")', category: 'Dairy', discounts: '-10% off' });
+
+        const res = await request(app).get('/api/products/export?format=csv&category=Dairy').set('Authorization', staff);
+
+        expect(res.text).toContain('"\'=HYPERLINK(""http://evil.example"",""Milk"")"');
+        expect(res.text).toContain(",'-10% off,");
+        expect(parseCsv(res.text).find(row => row.productId === 'C-3').name).toBe('=HYPERLINK("http://evil.example","Milk")');
+    });
+
+    it('re-imports text that starts with a quote unchanged', async () => {
+        await createProduct({ productId: 'C-4', name: "'=not a formula", category: 'Dairy', discounts: "'quoted" });
+
+        const exported = await request(app).get('/api/products/export?format=csv&category=Dairy').set('Authorization', staff);
+        expect(exported.text).toContain(",''=not a formula,");
+
+        const res = await request(app).post('/api/products/import').set('Authorization', staff)
+            .set('Content-Type', 'text/csv').send(exported.text)
+            .expect(200);
+
+        expect(res.body.data.summary).toMatchObject({ created: 0, updated: 0, failed: 0 });
+        expect(await Product.findOne({ productId: 'C-4' }).lean()).toMatchObject({ name: "'=not a formula", discounts: "'quoted" });
+    });
+
+    it('rejects an unknown format', async () => {
+        const res = await request(app).get('/api/products/export?format=xml').set('Authorization', staff);
+
+        expectError(res, 400, 'VALIDATION_FAILED');
+        expect(res.headers['content-disposition']).toBeUndefined();
+    });
+});
+
+describe('GET /api/products/expiring', () => {
+    beforeEach(async () => {
+        await createProduct({ productId: 'SOON', expiryDate: daysFromNow(3) });
+        await createProduct({ productId: 'LATER', expiryDate: daysFromNow(30) });
+        await createProduct({ productId: 'GONE', expiryDate: daysFromNow(-2) });
+    });
+
+    it('lists products expiring within the window', async () => {
+        const res = await request(app).get('/api/products/expiring');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.map(product => product.productId)).toEqual(['SOON']);
+        expect(res.body.data[0].quantityAffected).toBe(5);
+    });
+
+    it('widens the window on request', async () => {
+        const res = await request(app).get('/api/products/expiring?withinDays=60');
+
+        expect(res.body.data.map(product => product.productId)).toEqual(['SOON', 'LATER']);
+    });
+
+    it('lists expired products', async () => {
+        const res = await request(app).get('/api/products/expiring?expired=true');
+
+        expect(res.body.data.map(product => product.productId)).toEqual(['GONE']);
+        expect(res.body.window.from).toBeNull();
+    });
+
+    it('rejects a negative window', async () => {
+        expectError(await request(app).get('/api/products/expiring?withinDays=-1'), 400, 'VALIDATION_FAILED');
+    });
+});
+
+describe('GET /api/products/:id', () => {
+    it('finds a product by ID or barcode alias', async () => {
+        await createProduct({ productId: 'MILK-1L', barcodes: [{ code: '8901234567890', format: 'ean_13' }] });
+
+        const byId = await request(app).get('/api/products/MILK-1L');
+        const byBarcode = await request(app).get('/api/products/8901234567890');
+
+        expect(byId.status).toBe(200);
+        expect(byId.body.data.productId).toBe('MILK-1L');
+        expect(byBarcode.body.data.productId).toBe('MILK-1L');
+    });
+
+    it('returns 404 for an unknown product', async () => {
+        const res = await request(app).get('/api/products/NOPE');
+
+        expectError(res, 404, 'PRODUCT_NOT_FOUND');
+        expect(res.body.error).toBe('No product found with ID: NOPE');
+    });
+});
+
+describe('GET /api/products/:id/price', () => {
+    it('applies the best promotion', async () => {
+        await createProduct({ productId: 'SALE', mrpPrice: 100, discounts: '10% off' });
+
+        const res = await request(app).get('/api/products/SALE/price?quantity=2');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            quantity: 2,
+            unitPrice: 100,
+            grossAmount: 200,
+            discountAmount: 20,
+            netAmount: 180,
+            promotion: { promotionId: 'legacy-SALE', type: 'percentage' }
+        });
+    });
+
+    it('charges the full price without promotions', async () => {
+        await createProduct({ productId: 'FULL', mrpPrice: 12.5 });
+
+        const res = await request(app).get('/api/products/FULL/price');
+
+        expect(res.body.data).toMatchObject({ quantity: 1, netAmount: 12.5, promotion: null });
+    });
+
+    it('validates the quantity and the product', async () => {
+        await createProduct({ productId: 'FULL' });
+
+        expectError(await request(app).get('/api/products/FULL/price?quantity=0'), 400, 'VALIDATION_FAILED');
+        expectError(await request(app).get('/api/products/NOPE/price'), 404, 'PRODUCT_NOT_FOUND');
+    });
+});
+
+describe('GET /api/products/:id/movements', () => {
+    it('returns the ledger newest first with filters', async () => {
+        await createProduct({ productId: 'LEDGER', stock: 5 });
+        await request(app).patch('/api/products/LEDGER/stock').set('Authorization', staff)
+            .send({ delta: -2, reason: 'spoilage' }).expect(200);
+
+        const all = await request(app).get('/api/products/LEDGER/movements').set('Authorization', staff);
+        const spoilage = await request(app).get('/api/products/LEDGER/movements?type=spoilage').set('Authorization', staff);
+
+        expect(all.status).toBe(200);
+        expect(all.body.pagination).toMatchObject({ page: 1, total: 2 });
+        expect(all.body.data[0]).toMatchObject({ type: 'spoilage', quantity: -2, stockBefore: 5, stockAfter: 3 });
+        expect(all.body.data[0].performedBy).toMatchObject({ role: 'staff' });
+        expect(spoilage.body.data).toHaveLength(1);
+    });
+
+    it('rejects an inverted date range', async () => {
+        const res = await request(app).get('/api/products/LEDGER/movements?from=2025-02-01&to=2025-01-01')
+            .set('Authorization', staff);
+
+        expectError(res, 400, 'VALIDATION_FAILED');
+    });
+});
+
+describe('POST /api/products/:id/lots', () => {
+    it('receives a lot and keeps existing stock as an opening lot', async () => {
+        await createProduct({ productId: 'LOTS', stock: 4 });
+
+        const res = await request(app).post('/api/products/LOTS/lots').set('Authorization', staff)
+            .send({ lotNumber: 'L1', quantity: 6, expiryDate: daysFromNow(10) });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.stock).toBe(10);
+        expect(res.body.data.lots.map(lot => lot.lotNumber)).toEqual(['OPENING', 'L1']);
+    });
+
+    it('rejects a duplicate lot number', async () => {
+        await createProduct({ productId: 'LOTS', stock: 0 });
+        await request(app).post('/api/products/LOTS/lots').set('Authorization', staff)
+            .send({ lotNumber: 'L1', quantity: 1 }).expect(201);
+
+        const res = await request(app).post('/api/products/LOTS/lots').set('Authorization', staff)
+            .send({ lotNumber: 'L1', quantity: 1 });
+
+        expectError(res, 409, 'DUPLICATE_RESOURCE');
+    });
+
+    it('validates the lot and the product', async () => {
+        expectError(await request(app).post('/api/products/NOPE/lots').set('Authorization', staff)
+            .send({ lotNumber: 'L1', quantity: 1 }), 404, 'PRODUCT_NOT_FOUND');
+        expectError(await request(app).post('/api/products/NOPE/lots').set('Authorization', staff)
+            .send({ quantity: 0 }), 400, 'VALIDATION_FAILED');
+    });
+});
+
+describe('PATCH /api/products/:id/stock', () => {
+    beforeEach(() => createProduct({ productId: 'STOCK', stock: 5 }));
+
+    it('adjusts stock by a delta', async () => {
+        const res = await request(app).patch('/api/products/STOCK/stock').set('Authorization', staff)
+            .send({ delta: 3, reason: 'return' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.stock).toBe(8);
+    });
+
+    it('reserves, releases and commits stock', async () => {
+        const reserve = await request(app).patch('/api/products/STOCK/stock').set('Authorization', staff)
+            .send({ operation: 'reserve', quantity: 3 });
+        expect(reserve.body.data).toMatchObject({ stock: 5, reservedStock: 3, availableStock: 2 });
+
+        const release = await request(app).patch('/api/products/STOCK/stock').set('Authorization', staff)
+            .send({ operation: 'release', quantity: 1 });
+        expect(release.body.data.reservedStock).toBe(2);
+
+        const commit = await request(app).patch('/api/products/STOCK/stock').set('Authorization', staff)
+            .send({ operation: 'commit', quantity: 2 });
+        expect(commit.body.data).toMatchObject({ stock: 3, reservedStock: 0 });
+    });
+
+    it('refuses to go below zero or reserve more than is available', async () => {
+        expectError(await request(app).patch('/api/products/STOCK/stock').set('Authorization', staff)
+            .send({ delta: -6, reason: 'damage' }), 409, 'INSUFFICIENT_STOCK');
+        expectError(await request(app).patch('/api/products/STOCK/stock').set('Authorization', staff)
+            .send({ operation: 'reserve', quantity: 6 }), 409, 'INSUFFICIENT_STOCK');
+
+        expect((await Product.findOne({ productId: 'STOCK' })).stock).toBe(5);
+    });
+
+    it('validates the operation', async () => {
+        const res = await request(app).patch('/api/products/STOCK/stock').set('Authorization', staff)
+            .send({ delta: 0, reason: 'because' });
+
+        expectError(res, 400, 'VALIDATION_FAILED');
+        expect(res.body.details.map(detail => detail.field)).toEqual(expect.arrayContaining(['delta', 'reason']));
+    });
+
+    it('returns 404 for an unknown product', async () => {
+        expectError(await request(app).patch('/api/products/NOPE/stock').set('Authorization', staff)
+            .send({ delta: 1, reason: 'receipt' }), 404, 'PRODUCT_NOT_FOUND');
+    });
+});
+
+describe('PUT /api/products/:id', () => {
+    beforeEach(() => createProduct({ productId: 'EDIT', name: 'Old name', mrpPrice: 10 }));
+
+    it('updates a product', async () => {
+        const res = await request(app).put('/api/products/EDIT').set('Authorization', staff)
+            .send({ name: 'New name', mrpPrice: 12 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ name: 'New name', mrpPrice: 12, formattedPrice: '₹12.00' });
+    });
+
+    it('keeps search in step with the new name', async () => {
+        await request(app).put('/api/products/EDIT').set('Authorization', staff).send({ name: 'Organic Honey' }).expect(200);
+
+        const res = await request(app).get('/api/products?search=honey');
+
+        expect(res.body.data.map(product => product.productId)).toEqual(['EDIT']);
+    });
+
+    it('refuses to change the productId', async () => {
+        expectError(await request(app).put('/api/products/EDIT').set('Authorization', staff)
+            .send({ productId: 'OTHER' }), 400, 'VALIDATION_FAILED');
+    });
+
+    it('rejects an empty update', async () => {
+        expectError(await request(app).put('/api/products/EDIT').set('Authorization', staff).send({}), 400, 'VALIDATION_FAILED');
+    });
+
+    it('refuses absolute stock writes', async () => {
+        const res = await request(app).put('/api/products/EDIT').set('Authorization', staff).send({ stock: 99 });
+
+        expectError(res, 400, 'VALIDATION_FAILED');
+        expect(res.body.details[0].field).toBe('stock');
+    });
+
+    it('rejects a barcode owned by another product', async () => {
+        await createProduct({ productId: 'OWNER', barcodes: [{ code: '8901234567890', format: 'ean_13' }] });
+
+        const res = await request(app).put('/api/products/EDIT').set('Authorization', staff)
+            .send({ barcodes: [{ code: '8901234567890', format: 'ean_13' }] });
+
+        expectError(res, 409, 'DUPLICATE_BARCODE');
+    });
+
+    it('returns 404 for an unknown product', async () => {
+        expectError(await request(app).put('/api/products/NOPE').set('Authorization', staff)
+            .send({ name: 'x' }), 404, 'PRODUCT_NOT_FOUND');
+    });
+});
+
+describe('DELETE /api/products/:id', () => {
+    it('deletes a product and its legacy promotion', async () => {
+        await createProduct({ productId: 'BYE', discounts: '5% off' });
+
+        const res = await request(app).delete('/api/products/BYE').set('Authorization', staff);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.productId).toBe('BYE');
+        expect(await Product.exists({ productId: 'BYE' })).toBeNull();
+        expect(await Promotion.exists({ promotionId: 'legacy-BYE' })).toBeNull();
+    });
+
+    it('returns 404 for an unknown product', async () => {
+        expectError(await request(app).delete('/api/products/NOPE').set('Authorization', staff), 404, 'PRODUCT_NOT_FOUND');
+    });
+
+    it('refuses to delete a product reserved by a checkout', async () => {
+        await createProduct({ productId: 'HELD', stock: 5 });
+        await Product.reserveStock('HELD', 2);
+
+        expectError(await request(app).delete('/api/products/HELD').set('Authorization', staff), 409, 'PRODUCT_RESERVED');
+        expect(await Product.exists({ productId: 'HELD' })).not.toBeNull();
+    });
+});
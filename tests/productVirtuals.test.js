@@ -0,0 +1,87 @@
+const Product = require('../models/Product');
+const { startDatabase, stopDatabase, resetDatabase, createProduct, daysFromNow } = require('./helpers');
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+beforeEach(resetDatabase);
+
+describe('Product virtuals', () => {
+    describe('formattedPrice', () => {
+        it.each([
+            [60, '₹60.00'],
+            [12.5, '₹12.50'],
+            [0, '₹0.00'],
+            [99.999, '₹100.00']
+        ])('formats %p as %p', async (mrpPrice, expected) => {
+            const product = await createProduct({ mrpPrice });
+
+            expect(product.formattedPrice).toBe(expected);
+        });
+    });
+
+    describe('isInStock', () => {
+        it('is true with stock on hand', async () => {
+            expect((await createProduct({ stock: 1 })).isInStock).toBe(true);
+        });
+
+        it('is false without stock', async () => {
+            expect((await createProduct({ stock: 0 })).isInStock).toBe(false);
+        });
+
+        it('follows the lot totals', async () => {
+            const product = await createProduct({ lots: [{ lotNumber: 'L1', quantity: 0 }] });
+
+            expect(product.stock).toBe(0);
+            expect(product.isInStock).toBe(false);
+        });
+    });
+
+    describe('isExpired', () => {
+        it('is false without an expiry date', async () => {
+            expect((await createProduct()).isExpired).toBe(false);
+        });
+
+        it('is false before the expiry date', async () => {
+            expect((await createProduct({ expiryDate: daysFromNow(5) })).isExpired).toBe(false);
+        });
+
+        it('is true after the expiry date', async () => {
+            expect((await createProduct({ expiryDate: daysFromNow(-1) })).isExpired).toBe(true);
+        });
+
+        it('uses the earliest stocked lot', async () => {
+            const product = await createProduct({
+                lots: [
+                    { lotNumber: 'OLD', quantity: 2, expiryDate: daysFromNow(-3) },
+                    { lotNumber: 'NEW', quantity: 4, expiryDate: daysFromNow(20) }
+                ]
+            });
+
+            expect(product.isExpired).toBe(true);
+        });
+
+        it('ignores lots that are sold out', async () => {
+            const product = await createProduct({
+                lots: [
+                    { lotNumber: 'OLD', quantity: 0, expiryDate: daysFromNow(-3) },
+                    { lotNumber: 'NEW', quantity: 4, expiryDate: daysFromNow(20) }
+                ]
+            });
+
+            expect(product.isExpired).toBe(false);
+        });
+    });
+
+    it('are included in JSON output', async () => {
+        await createProduct({ productId: 'JSON', mrpPrice: 5, stock: 0, expiryDate: daysFromNow(-1) });
+
+        const json = (await Product.findOne({ productId: 'JSON' })).toJSON();
+
+        expect(json).toMatchObject({
+            formattedPrice: '₹5.00',
+            isInStock: false,
+            isExpired: true,
+            availableStock: 0
+        });
+    });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Promotion = require('../models/Promotion');
+const { startDatabase, stopDatabase, resetDatabase, authHeader, createProduct } = require('./helpers');
+
+const app = createApp();
+
+let staff;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    staff = await authHeader('staff');
+});
+
+const tenPercent = { name: '10% off dairy', type: 'percentage', value: 10, categories: ['Dairy'] };
+
+/**
+ * Create a promotion through the API and return it
+ */
+const createPromotion = async (body = tenPercent) => {
+    const res = await request(app).post('/api/promotions').set('Authorization', staff).send(body).expect(201);
+    return res.body.data;
+};
+
+describe('POST /api/promotions', () => {
+    it('creates a manual promotion and ignores server-assigned fields', async () => {
+        const res = await request(app)
+            .post('/api/promotions')
+            .set('Authorization', staff)
+            .send({ ...tenPercent, promotionId: 'chosen-id', source: 'legacy' })
+            .expect(201);
+
+        expect(res.body.data).toMatchObject({ name: '10% off dairy', type: 'percentage', value: 10, source: 'manual', isCurrent: true });
+        expect(res.body.data.promotionId).not.toBe('chosen-id');
+    });
+
+    it('validates the body before saving', async () => {
+        const res = await request(app)
+            .post('/api/promotions')
+            .set('Authorization', staff)
+            .send({ name: 'Bad', type: 'mystery', value: -1 })
+            .expect(400);
+
+        expect(res.body.details.map(detail => detail.field).sort()).toEqual(['type', 'value']);
+    });
+
+    it('applies type-specific rules from the model', async () => {
+        const res = await request(app)
+            .post('/api/promotions')
+            .set('Authorization', staff)
+            .send({ name: 'Buy more', type: 'buy_x_get_y', buyQuantity: 2 })
+            .expect(400);
+
+        expect(res.body.details).toEqual([expect.objectContaining({ field: 'getQuantity' })]);
+    });
+
+    it('requires staff', async () => {
+        await request(app).post('/api/promotions').send(tenPercent).expect(401);
+        await request(app).post('/api/promotions').set('Authorization', await authHeader('shopper')).send(tenPercent).expect(403);
+    });
+});
+
+describe('GET /api/promotions', () => {
+    it('filters by type, target and validity window', async () => {
+        await createPromotion();
+        await createPromotion({ name: 'Old cashback', type: 'cashback', value: 5, endsAt: '2020-01-01T00:00:00Z' });
+
+        const current = await request(app).get('/api/promotions?current=true').expect(200);
+        expect(current.body.data.map(promotion => promotion.name)).toEqual(['10% off dairy']);
+
+        const byType = await request(app).get('/api/promotions?type=cashback').expect(200);
+        expect(byType.body.data.map(promotion => promotion.name)).toEqual(['Old cashback']);
+
+        const byCategory = await request(app).get('/api/promotions?category=Dairy').expect(200);
+        expect(byCategory.body.data).toHaveLength(1);
+    });
+
+    it('rejects query operators in filters', async () => {
+        await createPromotion();
+
+        const res = await request(app).get('/api/promotions?category[$ne]=Bakery').expect(400);
+
+        expect(res.body.details).toEqual([expect.objectContaining({ location: 'query', field: 'category' })]);
+    });
+});
+
+describe('GET/PUT/DELETE /api/promotions/:id', () => {
+    it('fetches a promotion and 404s an unknown one', async () => {
+        const { promotionId } = await createPromotion();
+
+        const res = await request(app).get(`/api/promotions/${promotionId}`).expect(200);
+        expect(res.body.data.name).toBe('10% off dairy');
+
+        const missing = await request(app).get('/api/promotions/nope').expect(404);
+        expect(missing.body.code).toBe('PROMOTION_NOT_FOUND');
+    });
+
+    it('updates only declared fields', async () => {
+        const { promotionId } = await createPromotion();
+
+        const res = await request(app)
+            .put(`/api/promotions/${promotionId}`)
+            .set('Authorization', staff)
+            .send({ value: 15, source: 'legacy', promotionId: 'other' })
+            .expect(200);
+
+        expect(res.body.data).toMatchObject({ promotionId, value: 15, source: 'manual' });
+    });
+
+    it('rejects an empty or invalid update', async () => {
+        const { promotionId } = await createPromotion();
+
+        await request(app).put(`/api/promotions/${promotionId}`).set('Authorization', staff).send({}).expect(400);
+
+        const res = await request(app)
+            .put(`/api/promotions/${promotionId}`)
+            .set('Authorization', staff)
+            .send({ startsAt: '2026-06-01T00:00:00Z', endsAt: '2026-05-01T00:00:00Z' })
+            .expect(400);
+        expect(res.body.details).toEqual([expect.objectContaining({ field: 'endsAt' })]);
+    });
+
+    it('keeps legacy promotions read-only', async () => {
+        await createProduct({ productId: 'MILK', discounts: '10% off' });
+
+        const res = await request(app).put('/api/promotions/legacy-MILK').set('Authorization', staff).send({ value: 50 }).expect(409);
+
+        expect(res.body.code).toBe('READ_ONLY_RESOURCE');
+    });
+
+    it('deletes a promotion', async () => {
+        const { promotionId } = await createPromotion();
+
+        await request(app).delete(`/api/promotions/${promotionId}`).set('Authorization', staff).expect(200);
+
+        expect(await Promotion.countDocuments({ promotionId })).toBe(0);
+        await request(app).delete(`/api/promotions/${promotionId}`).set('Authorization', staff).expect(404);
+    });
+});
@@ -0,0 +1,61 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const { startDatabase, stopDatabase, resetDatabase, createProduct } = require('./helpers');
+
+const app = createApp();
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    await createProduct({ productId: '0042100005264', name: 'Peanut Butter' });
+    await createProduct({ productId: 'BREAD', name: 'Brown Bread', barcodes: [{ code: '4006381333931', format: 'ean_13' }] });
+});
+
+describe('POST /api/scan', () => {
+    it('rejects a bad check digit', async () => {
+        const res = await request(app).post('/api/scan').send({ code: '0042100005265' }).expect(400);
+
+        expect(res.body.code).toBe('INVALID_BARCODE');
+        expect(res.body.details).toEqual([expect.objectContaining({ field: 'code', message: 'Invalid EAN-13 check digit' })]);
+    });
+
+    it('normalises UPC-E and UPC-A to the same EAN-13', async () => {
+        const upcE = await request(app).post('/api/scan').send({ code: '04252614', format: 'upc_e' }).expect(200);
+        const upcA = await request(app).post('/api/scan').send({ code: '042100005264' }).expect(200);
+
+        for (const res of [upcE, upcA]) {
+            expect(res.body.data).toMatchObject({
+                status: 'matched',
+                barcode: { normalized: '0042100005264' },
+                product: { productId: '0042100005264' }
+            });
+        }
+        expect(upcE.body.data.barcode.format).toBe('upc_e');
+        expect(upcA.body.data.barcode.format).toBe('upc_a');
+    });
+
+    it('resolves a barcode alias to its product', async () => {
+        const res = await request(app).post('/api/scan').send({ code: '4006381333931', format: 'EAN_13' }).expect(200);
+
+        expect(res.body.data).toMatchObject({ status: 'matched', product: { productId: 'BREAD' } });
+    });
+
+    it('returns 404 with the parsed barcode for an unknown code', async () => {
+        const res = await request(app).post('/api/scan').send({ code: '8901234567890' }).expect(404);
+
+        expect(res.body).toMatchObject({
+            success: false,
+            code: 'PRODUCT_NOT_FOUND',
+            data: { status: 'unknown', barcode: { code: '8901234567890', format: 'ean_13' }, product: null }
+        });
+    });
+
+    it('validates the request body', async () => {
+        const res = await request(app).post('/api/scan').send({ code: 8901234567890, format: 'morse' }).expect(400);
+
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        expect(res.body.details.map(detail => detail.field).sort()).toEqual(['code', 'format']);
+    });
+});
@@ -0,0 +1,15 @@
+/**
+ * Environment for the test suite, applied before any application module loads
+ * Values already set by the caller (e.g. LOG_LEVEL=debug npm test) win
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'json';
+
+// Suites fire far more requests than a shopper would; createApp.test.js covers the limiter
+process.env.RATE_LIMIT_MAX = '0';
+
+// The suite runs against mongodb-memory-server, never a configured database
+delete process.env.MONGO_URI;
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Basket = require('../models/Basket');
+const Promotion = require('../models/Promotion');
+const { computeCheckDigit } = require('../utils/barcode');
+const { startDatabase, stopDatabase, resetDatabase, createProduct } = require('./helpers');
+
+const app = createApp();
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    await createProduct({ productId: 'APPLE', name: 'Fresh Apples', mrpPrice: 180, pricingUnit: 'kg', plu: '10002', category: 'Fruits' });
+    await createProduct({ productId: 'MILK', name: 'Milk', mrpPrice: 60 });
+});
+
+/**
+ * Build a variable-measure EAN-13 from its 12-digit body
+ */
+const label = (body) => `${body}${computeCheckDigit(body)}`;
+
+describe('Variable-measure labels', () => {
+    it('decodes an embedded weight and prices it per kg', async () => {
+        const res = await request(app).post('/api/scan').send({ code: label('211000201235') }).expect(200);
+
+        expect(res.body.data).toMatchObject({
+            status: 'matched',
+            product: { productId: 'APPLE', formattedPrice: '₹180.00/kg' },
+            measure: { plu: '10002', weightGrams: 1235, price: 222.3 }
+        });
+    });
+
+    it('converts an embedded price to a weight', async () => {
+        const res = await request(app).post('/api/scan').send({ code: label('261000200450') }).expect(200);
+
+        expect(res.body.data.measure).toMatchObject({ weightGrams: 25, labelPrice: 4.5, price: 4.5 });
+    });
+
+    it('reports an unknown PLU as an unknown product', async () => {
+        const res = await request(app).post('/api/scan').send({ code: label('219999901000') }).expect(404);
+
+        expect(res.body.data.status).toBe('unknown');
+    });
+});
+
+describe('Weighed basket lines', () => {
+    let basketId;
+
+    beforeEach(async () => {
+        basketId = (await new Basket().save()).basketId;
+    });
+
+    const addItem = (body) => request(app).post(`/api/baskets/${basketId}/items`).send(body);
+
+    it('adds label weights to one line priced on the total weight', async () => {
+        await addItem({ productId: label('211000201000') }).expect(200);
+        const res = await addItem({ productId: label('211000200500') }).expect(200);
+
+        expect(res.body.data.items[0]).toMatchObject({
+            productId: 'APPLE',
+            quantity: 2,
+            pricingUnit: 'kg',
+            weightGrams: 1500,
+            unitPrice: 180,
+            lineTotal: 270
+        });
+    });
+
+    it('requires a weight for products sold by weight', async () => {
+        const res = await addItem({ productId: 'APPLE' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('weightGrams');
+
+        await addItem({ productId: 'APPLE', weightGrams: 750 }).expect(200);
+    });
+
+    it('rejects a weight for products sold per unit', async () => {
+        const res = await addItem({ productId: 'MILK', weightGrams: 500 });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('discounts a line under one kilogram', async () => {
+        await new Promotion({ name: '10% off apples', type: 'percentage', value: 10, productIds: ['APPLE'] }).save();
+
+        const res = await addItem({ productId: label('211000200500') }).expect(200);
+
+        expect(res.body.data.items[0]).toMatchObject({ lineTotal: 90, discountAmount: 9, netTotal: 81 });
+    });
+
+    it('counts labels, not kilograms, for buy-x-get-y offers', async () => {
+        await new Promotion({ name: 'Buy 1 get 1', type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, productIds: ['APPLE'] }).save();
+
+        await addItem({ productId: label('211000200500') }).expect(200);
+        const res = await addItem({ productId: label('211000201500') }).expect(200);
+
+        // Two labels, 2 kg in all: one free label at the average label price of 180
+        expect(res.body.data.items[0]).toMatchObject({ quantity: 2, lineTotal: 360, discountAmount: 180 });
+    });
+
+    it('does not change the quantity of a weighed line', async () => {
+        await addItem({ productId: label('211000201000') }).expect(200);
+
+        await request(app).put(`/api/baskets/${basketId}/items/APPLE`).send({ quantity: 2 }).expect(400);
+        await request(app).put(`/api/baskets/${basketId}/items/APPLE`).send({ quantity: 0 }).expect(200);
+    });
+});
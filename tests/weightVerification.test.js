@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { createApp } = require('../app');
+const Basket = require('../models/Basket');
+const Device = require('../models/Device');
+const { startDatabase, stopDatabase, resetDatabase, authHeader, createProduct } = require('./helpers');
+
+const app = createApp();
+
+let basketId;
+
+beforeAll(startDatabase);
+afterAll(stopDatabase);
+
+beforeEach(async () => {
+    await resetDatabase();
+    await createProduct({ productId: 'CHIPS', name: 'Chips', netWeightGrams: 50 });
+    await createProduct({ productId: 'OIL', name: 'Oil 1L', netWeightGrams: 910, weightToleranceGrams: 15 });
+
+    const basket = await new Basket({ items: [{ productId: 'CHIPS', quantity: 3 }, { productId: 'OIL', quantity: 1 }] }).save();
+    basketId = basket.basketId;
+});
+
+const verify = (body) => request(app).post(`/api/baskets/${basketId}/verify-weight`).send(body);
+
+describe('POST /api/baskets/:id/verify-weight', () => {
+    it('matches a reading within tolerance', async () => {
+        const res = await verify({ measuredGrams: 1072, tareGrams: 10 }).expect(200);
+
+        expect(res.body.data).toMatchObject({
+            status: 'match',
+            complete: true,
+            expectedGrams: 1060,
+            netGrams: 1062,
+            differenceGrams: 2,
+            // 3 x 2.5 g (5% default) + 15 g + 10 g scale
+            toleranceGrams: 32.5,
+            suspects: []
+        });
+    });
+
+    it('points at the units that explain a shortfall', async () => {
+        const res = await verify({ measuredGrams: 960 }).expect(200);
+
+        expect(res.body.data.status).toBe('under');
+        expect(res.body.data.suspects[0]).toMatchObject({ productId: 'CHIPS', issue: 'missing', units: 2 });
+    });
+
+    it('reports an excess that no scanned line explains', async () => {
+        const res = await verify({ measuredGrams: 1560 }).expect(200);
+
+        expect(res.body.data).toMatchObject({ status: 'over', differenceGrams: 500, suspects: [] });
+    });
+
+    it('flags items without a known weight', async () => {
+        await createProduct({ productId: 'LOOSE', name: 'Loose Onions' });
+        await Basket.updateOne({ basketId }, { $push: { items: { productId: 'LOOSE', quantity: 1 } } });
+
+        const res = await verify({ measuredGrams: 1060 }).expect(200);
+
+        expect(res.body.data).toMatchObject({ complete: false, unweighedItems: ['LOOSE'] });
+    });
+
+    it('uses the linked device reading when no weight is sent', async () => {
+        const device = new Device({ deviceId: 'cart-1', name: 'Cart 1', basketId, lastWeight: { grams: 960, measuredAt: new Date(), basketId } });
+        device.issueApiKey();
+        await device.save();
+
+        const res = await verify({}).expect(200);
+
+        expect(res.body.data).toMatchObject({ status: 'under', measuredGrams: 960, reading: { source: 'device', deviceId: 'cart-1' } });
+    });
+
+    it('ignores a reading taken before the device joined the basket', async () => {
+        const device = new Device({ deviceId: 'cart-2', name: 'Cart 2', lastWeight: { grams: 4200, measuredAt: new Date() } });
+        device.issueApiKey();
+        await device.save();
+
+        await request(app).put('/api/devices/cart-2/session').set('Authorization', await authHeader()).send({ basketId }).expect(200);
+
+        const res = await verify({});
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('measuredGrams');
+    });
+
+    it('rejects a buffered weight replayed from before the link', async () => {
+        const device = new Device({ deviceId: 'cart-3', name: 'Cart 3' });
+        const apiKey = device.issueApiKey();
+        await device.save();
+
+        const buffered = { idempotencyKey: 'w-old', type: 'weight', timestamp: new Date(Date.now() - 60000).toISOString(), grams: 4200 };
+        await request(app).put('/api/devices/me/session').set('X-Device-Key', apiKey).send({ basketId }).expect(200);
+
+        const ingested = await request(app).post('/api/devices/me/events').set('X-Device-Key', apiKey)
+            .send({ events: [buffered] })
+            .expect(200);
+
+        expect(ingested.body.data.results[0]).toMatchObject({ status: 'rejected', error: { code: 'READING_BEFORE_SESSION' } });
+
+        const res = await verify({});
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('measuredGrams');
+    });
+
+    it('ignores a reading stored for another basket', async () => {
+        const device = new Device({ deviceId: 'cart-4', name: 'Cart 4', basketId, lastWeight: { grams: 960, measuredAt: new Date(), basketId: 'previous-basket' } });
+        device.issueApiKey();
+        await device.save();
+
+        await verify({}).expect(400);
+    });
+
+    it('requires a weight when no device has reported one', async () => {
+        const res = await verify({});
+
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].field).toBe('measuredGrams');
+    });
+});
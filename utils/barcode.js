@@ -0,0 +1,214 @@
+const { config } = require('../config');
+
+/**
+ * Barcode parsing and normalization utilities
+ * Validates GTIN check digits and maps equivalent symbologies onto one canonical code
+ */
+
+// Formats that carry a GTIN and therefore have a check digit
+const GTIN_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+/**
+ * Compute the GS1 mod-10 check digit for a string of digits (without check digit)
+ */
+const computeCheckDigit = (body) => {
+    let sum = 0;
+
+    // Weights alternate 3,1,3,1... starting from the rightmost digit
+    for (let i = 0; i < body.length; i++) {
+        const digit = Number(body[body.length - 1 - i]);
+        sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+
+    return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check whether the last digit of a GTIN is a correct check digit
+ */
+const hasValidCheckDigit = (code) => {
+    const body = code.slice(0, -1);
+    return computeCheckDigit(body) === Number(code[code.length - 1]);
+};
+
+/**
+ * Expand the 6 compressed digits of a UPC-E code into the 11 digit UPC-A body
+ */
+const expandUpcEBody = (numberSystem, digits) => {
+    const [d1, d2, d3, d4, d5, d6] = digits;
+
+    switch (d6) {
+        case '0':
+        case '1':
+        case '2':
+            return `${numberSystem}${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+        case '3':
+            return `${numberSystem}${d1}${d2}${d3}00000${d4}${d5}`;
+        case '4':
+            return `${numberSystem}${d1}${d2}${d3}${d4}00000${d5}`;
+        default:
+            return `${numberSystem}${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+    }
+};
+
+/**
+ * Convert a UPC-E code (6, 7 or 8 digits) to its 12 digit UPC-A equivalent
+ * Returns null when the code cannot be expanded or its check digit is wrong
+ */
+const upcEToUpcA = (code) => {
+    let numberSystem = '0';
+    let digits = code;
+    let checkDigit = null;
+
+    if (code.length === 7) {
+        numberSystem = code[0];
+        digits = code.slice(1);
+    } else if (code.length === 8) {
+        numberSystem = code[0];
+        digits = code.slice(1, 7);
+        checkDigit = Number(code[7]);
+    } else if (code.length !== 6) {
+        return null;
+    }
+
+    // UPC-E only exists for number systems 0 and 1
+    if (numberSystem !== '0' && numberSystem !== '1') {
+        return null;
+    }
+
+    const body = expandUpcEBody(numberSystem, digits);
+    const computed = computeCheckDigit(body);
+
+    if (checkDigit !== null && checkDigit !== computed) {
+        return null;
+    }
+
+    return `${body}${computed}`;
+};
+
+/**
+ * Guess the symbology of a purely numeric code from its length
+ */
+const detectFormat = (code) => {
+    if (!/^\d+$/.test(code)) return null;
+
+    switch (code.length) {
+        case 13: return 'ean_13';
+        case 12: return 'upc_a';
+        case 8: return 'ean_8';
+        case 6: return 'upc_e';
+        default: return null;
+    }
+};
+
+/**
+ * Decode an in-store variable-measure EAN-13 (prefixes 20-29)
+ * Returns { prefix, plu, weightGrams } or { prefix, plu, price } (rupees), or null when the
+ * code is not a configured variable-measure label
+ */
+const decodeVariableMeasure = (ean13) => {
+    if (!/^2\d{12}$/.test(ean13)) return null;
+
+    const prefix = ean13.slice(0, 2);
+    const plu = ean13.slice(2, 7);
+    const value = Number(ean13.slice(7, 12));
+
+    if (config.variableMeasurePrefixes.weight.includes(prefix)) {
+        return { prefix, plu, weightGrams: value };
+    }
+
+    if (config.variableMeasurePrefixes.price.includes(prefix)) {
+        return { prefix, plu, price: value / 100 };
+    }
+
+    return null;
+};
+
+/**
+ * Parse a scanned code into its canonical form
+ *
+ * UPC-E is expanded to UPC-A and UPC-A is promoted to EAN-13, so the same
+ * item scanned in different symbologies yields the same normalized code.
+ * Returns { valid, code, format, normalized, lookupCodes, variableMeasure? } or { valid: false, reason }
+ */
+const parseBarcode = (rawCode, rawFormat) => {
+    const code = typeof rawCode === 'string' ? rawCode.trim() : String(rawCode ?? '').trim();
+
+    if (!code) {
+        return { valid: false, reason: 'Barcode is required' };
+    }
+
+    const format = rawFormat ? String(rawFormat).trim().toLowerCase() : detectFormat(code);
+
+    if (!format) {
+        return { valid: false, reason: 'Barcode format could not be detected; please provide one' };
+    }
+
+    if (!config.barcodeFormats.includes(format)) {
+        return {
+            valid: false,
+            reason: `Unsupported barcode format: ${format}. Supported formats: ${config.barcodeFormats.join(', ')}`
+        };
+    }
+
+    // Non-GTIN symbologies carry arbitrary payloads and are matched as-is
+    if (!GTIN_FORMATS.includes(format)) {
+        return { valid: true, code, format, normalized: code, lookupCodes: [code] };
+    }
+
+    if (!/^\d+$/.test(code)) {
+        return { valid: false, reason: `${format} barcodes may only contain digits` };
+    }
+
+    let normalized;
+
+    switch (format) {
+        case 'ean_13':
+            if (code.length !== 13) return { valid: false, reason: 'EAN-13 barcodes must have 13 digits' };
+            if (!hasValidCheckDigit(code)) return { valid: false, reason: 'Invalid EAN-13 check digit' };
+            normalized = code;
+            break;
+        case 'ean_8':
+            if (code.length !== 8) return { valid: false, reason: 'EAN-8 barcodes must have 8 digits' };
+            if (!hasValidCheckDigit(code)) return { valid: false, reason: 'Invalid EAN-8 check digit' };
+            normalized = code;
+            break;
+        case 'upc_a':
+            if (code.length !== 12) return { valid: false, reason: 'UPC-A barcodes must have 12 digits' };
+            if (!hasValidCheckDigit(code)) return { valid: false, reason: 'Invalid UPC-A check digit' };
+            normalized = `0${code}`;
+            break;
+        case 'upc_e': {
+            if (![6, 7, 8].includes(code.length)) {
+                return { valid: false, reason: 'UPC-E barcodes must have 6, 7 or 8 digits' };
+            }
+            const upcA = upcEToUpcA(code);
+            if (!upcA) return { valid: false, reason: 'Invalid UPC-E barcode or check digit' };
+            normalized = `0${upcA}`;
+            break;
+        }
+    }
+
+    // Products may have been catalogued under the UPC-A or EAN-13 form, or the raw code
+    const lookupCodes = [normalized];
+    if (normalized.length === 13 && normalized.startsWith('0')) {
+        lookupCodes.push(normalized.slice(1));
+    }
+    if (!lookupCodes.includes(code)) {
+        lookupCodes.push(code);
+    }
+
+    const variableMeasure = decodeVariableMeasure(normalized);
+
+    return { valid: true, code, format, normalized, lookupCodes, ...(variableMeasure && { variableMeasure }) };
+};
+
+module.exports = {
+    GTIN_FORMATS,
+    computeCheckDigit,
+    hasValidCheckDigit,
+    upcEToUpcA,
+    detectFormat,
+    decodeVariableMeasure,
+    parseBarcode
+};
@@ -0,0 +1,115 @@
+/**
+ * Minimal CSV utilities (RFC 4180)
+ * Handles quoted fields, escaped quotes, embedded commas/newlines and CRLF line endings
+ */
+
+// Spreadsheets run cells starting with these characters as formulas. Text that starts with them,
+// possibly behind quotes already, gets one more leading quote on export and loses one on import,
+// so a value that really starts with a quote survives the round trip
+const FORMULA_PREFIX = /^'*[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark left by spreadsheet exports
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Malformed CSV: unterminated quoted field');
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Ignore blank lines
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into an array of objects keyed by column name
+ * Empty cells are omitted from the resulting objects
+ */
+const parseCsv = (text) => {
+    const [header, ...rows] = parseRows(text);
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+
+    return rows.map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            let value = cells[index] === undefined ? '' : cells[index].trim();
+            // Undo the quote escapeCsvValue added, so exported files import unchanged
+            if (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))) {
+                value = value.slice(1);
+            }
+            if (column && value !== '') {
+                record[column] = value;
+            }
+        });
+        return record;
+    });
+};
+
+/**
+ * Escape a single value for CSV output
+ * Text that a spreadsheet would run as a formula is prefixed with a quote so it stays text
+ */
+const escapeCsvValue = (value) => {
+    if (value === undefined || value === null) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line from an array of values
+ */
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(',')}\r\n`;
+
+module.exports = {
+    parseRows,
+    parseCsv,
+    escapeCsvValue,
+    toCsvLine
+};
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * Application error model
+ * Routes and models throw these typed errors; the error handler middleware turns any
+ * thrown error into the shared response envelope with a stable, machine-readable code.
+ */
+
+// Stable error codes clients can switch on; never rename an existing code
+const ERROR_CODES = Object.freeze({
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_CURSOR: 'INVALID_CURSOR',
+    INVALID_BARCODE: 'INVALID_BARCODE',
+    INVALID_IMPORT: 'INVALID_IMPORT',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    AUTHENTICATION_REQUIRED: 'AUTHENTICATION_REQUIRED',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    INVALID_TOKEN: 'INVALID_TOKEN',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
+    INVALID_DEVICE_KEY: 'INVALID_DEVICE_KEY',
+    DEVICE_DISABLED: 'DEVICE_DISABLED',
+    FORBIDDEN: 'FORBIDDEN',
+    CORS_NOT_ALLOWED: 'CORS_NOT_ALLOWED',
+    NOT_FOUND: 'NOT_FOUND',
+    ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+    PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
+    BASKET_NOT_FOUND: 'BASKET_NOT_FOUND',
+    BASKET_ITEM_NOT_FOUND: 'BASKET_ITEM_NOT_FOUND',
+    CATEGORY_NOT_FOUND: 'CATEGORY_NOT_FOUND',
+    PROMOTION_NOT_FOUND: 'PROMOTION_NOT_FOUND',
+    DEVICE_NOT_FOUND: 'DEVICE_NOT_FOUND',
+    ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    DUPLICATE_RESOURCE: 'DUPLICATE_RESOURCE',
+    DUPLICATE_BARCODE: 'DUPLICATE_BARCODE',
+    INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+    STOCK_CONFLICT: 'STOCK_CONFLICT',
+    PRODUCT_RESERVED: 'PRODUCT_RESERVED',
+    BASKET_NOT_ACTIVE: 'BASKET_NOT_ACTIVE',
+    BASKET_EMPTY: 'BASKET_EMPTY',
+    CATEGORY_IN_USE: 'CATEGORY_IN_USE',
+    DEVICE_NOT_LINKED: 'DEVICE_NOT_LINKED',
+    READING_BEFORE_SESSION: 'READING_BEFORE_SESSION',
+    READ_ONLY_RESOURCE: 'READ_ONLY_RESOURCE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+});
+
+/**
+ * Base class for errors that map directly to an HTTP response
+ * `details` is an optional array of { location, field, message } or plain strings
+ */
+class AppError extends Error {
+    constructor(message, { status = 500, code = ERROR_CODES.INTERNAL_ERROR, details, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+class ValidationError extends AppError {
+    constructor(message = 'Validation failed', { code = ERROR_CODES.VALIDATION_FAILED, details, cause } = {}) {
+        super(message, { status: 400, code, details, cause });
+    }
+}
+
+class AuthenticationError extends AppError {
+    constructor(message = 'Authentication required', { code = ERROR_CODES.AUTHENTICATION_REQUIRED, details, cause } = {}) {
+        super(message, { status: 401, code, details, cause });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Insufficient permissions', { code = ERROR_CODES.FORBIDDEN, details, cause } = {}) {
+        super(message, { status: 403, code, details, cause });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Resource not found', { code = ERROR_CODES.NOT_FOUND, details, cause } = {}) {
+        super(message, { status: 404, code, details, cause });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Request conflicts with the current state', { code = ERROR_CODES.CONFLICT, details, cause } = {}) {
+        super(message, { status: 409, code, details, cause });
+    }
+}
+
+/**
+ * Convert a Mongoose ValidationError or CastError into field-level details
+ */
+const mongooseErrorDetails = (error) => {
+    if (!error.errors) {
+        return [{ location: 'body', field: error.path || null, message: error.message }];
+    }
+
+    return Object.values(error.errors).map(err => ({
+        location: 'body',
+        field: err.path,
+        message: err.message
+    }));
+};
+
+/**
+ * Turn any thrown error into an AppError
+ * Known library errors keep their meaning; anything else becomes an opaque 500
+ */
+const normalizeError = (error) => {
+    if (error instanceof AppError) return error;
+
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+        return new ValidationError('Validation failed', { details: mongooseErrorDetails(error), cause: error });
+    }
+
+    if (error && error.code === 11000) {
+        const field = Object.keys(error.keyPattern || error.keyValue || {})[0] || null;
+        return new ConflictError(field ? `${field} already exists` : 'Duplicate entry', {
+            code: field === 'barcodes.code' ? ERROR_CODES.DUPLICATE_BARCODE : ERROR_CODES.DUPLICATE_RESOURCE,
+            details: field ? [{ location: 'body', field, message: `${field} must be unique` }] : undefined,
+            cause: error
+        });
+    }
+
+    // Errors raised by express.json() / express.text()
+    if (error && error.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON', { code: ERROR_CODES.INVALID_JSON, cause: error });
+    }
+
+    if (error && error.type === 'entity.too.large') {
+        return new AppError('Request body is too large', { status: 413, code: ERROR_CODES.PAYLOAD_TOO_LARGE, cause: error });
+    }
+
+    return new AppError('Internal server error', { cause: error });
+};
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = {
+    ERROR_CODES,
+    AppError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    mongooseErrorDetails,
+    normalizeError,
+    asyncHandler
+};
@@ -0,0 +1,62 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+const { config } = require('../config');
+
+/**
+ * Application logger
+ * JSON lines in production for the log aggregator, readable single lines in development.
+ * Every entry carries the ID of the request it was logged under (null outside a request).
+ */
+
+// Holds { requestId } for the lifetime of each request, including its async continuations
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * ID of the request currently being handled, if any
+ */
+const getRequestId = () => {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+};
+
+// An explicit requestId in the metadata wins, e.g. for lines logged after the response finished
+const addRequestId = winston.format((info) => {
+    if (info.requestId === undefined) {
+        info.requestId = getRequestId();
+    }
+    return info;
+});
+
+const prettyLine = winston.format.printf(({ timestamp, level, message, requestId, stack, service, ...meta }) => {
+    const extras = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    return `${timestamp} ${level} [${requestId || '-'}] ${message}${extras}${stack ? `\n${stack}` : ''}`;
+});
+
+const formats = {
+    json: winston.format.combine(
+        winston.format.errors({ stack: true }),
+        addRequestId(),
+        winston.format.timestamp(),
+        winston.format.json()
+    ),
+    pretty: winston.format.combine(
+        winston.format.errors({ stack: true }),
+        addRequestId(),
+        winston.format.timestamp(),
+        winston.format.colorize(),
+        prettyLine
+    )
+};
+
+const logger = winston.createLogger({
+    level: config.logLevel,
+    format: formats[config.logFormat] || formats.json,
+    defaultMeta: { service: 'smart-grocery-basket-api' },
+    transports: [new winston.transports.Console()]
+});
+
+module.exports = {
+    logger,
+    requestContext,
+    getRequestId
+};
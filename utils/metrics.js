@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const Product = require('../models/Product');
+const { getConnectionStatus } = require('../config/database');
+const { logger } = require('./logger');
+
+/**
+ * Prometheus metrics
+ * HTTP traffic is recorded as requests finish; database and business gauges are read
+ * when /metrics is scraped, so they are always current and cost nothing between scrapes.
+ */
+
+// Window used by the "expiring soon" gauge, matching the default of GET /api/products/expiring
+const EXPIRING_SOON_DAYS = 7;
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const register = new client.Registry();
+
+// Process, heap, GC and event-loop lag (nodejs_eventloop_lag_seconds and percentiles)
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests completed, by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds, by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+new client.Gauge({
+    name: 'mongodb_connection_state',
+    help: 'MongoDB connection state; the current state is 1, every other state 0',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+        const { state } = getConnectionStatus();
+        for (const candidate of CONNECTION_STATES) {
+            this.set({ state: candidate }, candidate === state ? 1 : 0);
+        }
+    }
+});
+
+/**
+ * Gauge whose value is a product count read at scrape time
+ * Reports nothing while the database is unavailable rather than a stale or misleading zero
+ */
+const productCountGauge = (name, help, filter) => new client.Gauge({
+    name,
+    help,
+    registers: [register],
+    async collect() {
+        this.reset();
+        if (mongoose.connection.readyState !== 1) return;
+
+        try {
+            this.set(await Product.countDocuments(filter()));
+        } catch (error) {
+            logger.warn(`Failed to collect ${name}: ${error.message}`);
+        }
+    }
+});
+
+productCountGauge('grocery_products_total', 'Products in the catalogue', () => ({}));
+
+productCountGauge('grocery_products_out_of_stock', 'Products with no stock on hand', () => ({ stock: { $lte: 0 } }));
+
+productCountGauge(
+    'grocery_products_expiring_soon',
+    `Products with stocked lots expiring within ${EXPIRING_SOON_DAYS} days`,
+    () => {
+        const now = new Date();
+        return Product.expiryFilter({ from: now, to: new Date(now.getTime() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000) });
+    }
+);
+
+productCountGauge('grocery_products_expired', 'Products with stocked lots past their expiry date', () => (
+    Product.expiryFilter({ to: new Date() })
+));
+
+/**
+ * Remember the full pattern of the route that handles a request
+ * Express resets req.baseUrl once a router hands the request on (for example to the
+ * app-level error handler), so the mount path is captured at the moment the route matches
+ */
+const trackRoute = (req) => {
+    let route;
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: (value) => {
+            route = value;
+            // A router's root route ('/') is labelled by its mount path alone
+            req.routePattern = value
+                ? (req.baseUrl && value.path === '/' ? req.baseUrl : `${req.baseUrl}${value.path}`)
+                : undefined;
+        }
+    });
+};
+
+/**
+ * Route label for a finished request
+ * Uses the matched route pattern, never the raw URL, so IDs cannot explode label cardinality
+ */
+const routeLabel = (req) => req.routePattern || 'unmatched';
+
+module.exports = {
+    register,
+    httpRequestsTotal,
+    httpRequestDuration,
+    trackRoute,
+    routeLabel
+};
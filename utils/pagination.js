@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { config } = require('../config');
+const { ERROR_CODES, ValidationError } = require('./errors');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+/**
+ * Pagination utilities
+ * Page-number pagination for simple clients, and opaque keyset cursors that stay
+ * stable while products are inserted or removed between requests
+ */
+
+/**
+ * Error for a malformed pagination parameter
+ */
+const paginationError = (field, message, code = ERROR_CODES.VALIDATION_FAILED) => new ValidationError(message, {
+    code,
+    details: [{ location: 'query', field, message }]
+});
+
+/**
+ * Parse a strictly positive whole number from the query string
+ */
+const parsePositiveInteger = (value, name) => {
+    if (!/^\d+$/.test(String(value).trim()) || Number(value) < 1) {
+        throw paginationError(name, `${name} must be a positive whole number`);
+    }
+
+    return Number(value);
+};
+
+/**
+ * Validate page, limit and cursor query parameters
+ * Page sizes come from the app's config (req.app.get('config')), defaulting to the shared one
+ * Returns { limit, page, skip } in page mode or { limit, cursor } in cursor mode
+ */
+const parsePagination = ({ page, limit, cursor } = {}, { defaultPageSize, maxPageSize } = config) => {
+    const size = limit === undefined ? defaultPageSize : parsePositiveInteger(limit, 'limit');
+
+    if (size > maxPageSize) {
+        throw paginationError('limit', `limit cannot exceed ${maxPageSize}`);
+    }
+
+    if (cursor !== undefined) {
+        if (page !== undefined) {
+            throw paginationError('cursor', 'page and cursor cannot be combined');
+        }
+
+        return { limit: size, cursor: decodeCursor(cursor) };
+    }
+
+    const pageNumber = page === undefined ? 1 : parsePositiveInteger(page, 'page');
+
+    return { limit: size, page: pageNumber, skip: (pageNumber - 1) * size };
+};
+
+/**
+ * Encode the sort key values of a boundary document into an opaque cursor
+ * `direction` is 'next' (documents after it) or 'prev' (documents before it)
+ */
+const encodeCursor = (doc, sort, sortName, direction) => {
+    const values = {};
+    for (const key of Object.keys(sort)) {
+        values[key] = doc[key] === undefined ? null : doc[key];
+    }
+
+    return Buffer.from(EJSON.stringify({ s: sortName, d: direction, v: values })).toString('base64url');
+};
+
+/**
+ * Whether a decoded sort key value is one encodeCursor can produce
+ * Cursors come back from clients, so anything else (query operators, regexes) is rejected
+ * before it can reach a filter
+ */
+const isCursorValue = (value) => {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return true;
+    if (value instanceof Date) return !Number.isNaN(value.getTime());
+    return value instanceof mongoose.Types.ObjectId;
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+        if (!decoded || typeof decoded.s !== 'string' || !['next', 'prev'].includes(decoded.d) ||
+            !decoded.v || typeof decoded.v !== 'object' || Array.isArray(decoded.v) ||
+            !Object.values(decoded.v).every(isCursorValue)) {
+            throw new Error('Malformed cursor');
+        }
+
+        return { sortName: decoded.s, direction: decoded.d, values: decoded.v };
+    } catch (error) {
+        throw paginationError('cursor', 'Invalid cursor', ERROR_CODES.INVALID_CURSOR);
+    }
+};
+
+/**
+ * Build the filter selecting documents past a cursor in the given sort order
+ * Compound keys compare lexicographically: (a > x) OR (a = x AND b > y) ...
+ */
+const cursorFilter = (cursor, sort) => {
+    const keys = Object.keys(sort);
+
+    if (keys.some(key => !(key in cursor.values))) {
+        throw paginationError('cursor', 'Invalid cursor', ERROR_CODES.INVALID_CURSOR);
+    }
+
+    const branches = keys.map((key, index) => {
+        const ascending = (sort[key] === 1) === (cursor.direction === 'next');
+        const branch = {};
+
+        keys.slice(0, index).forEach(previous => {
+            branch[previous] = cursor.values[previous];
+        });
+        branch[key] = { [ascending ? '$gt' : '$lt']: cursor.values[key] };
+
+        return branch;
+    });
+
+    return { $or: branches };
+};
+
+/**
+ * Reverse every direction of a sort specification
+ */
+const reverseSort = (sort) => Object.fromEntries(
+    Object.entries(sort).map(([key, direction]) => [key, -direction])
+);
+
+module.exports = {
+    paginationError,
+    parsePagination,
+    encodeCursor,
+    decodeCursor,
+    cursorFilter,
+    reverseSort
+};
@@ -0,0 +1,159 @@
+/**
+ * Pricing utilities
+ * Computes effective prices from structured promotions and parses legacy discount text
+ */
+
+/**
+ * Round a currency amount to 2 decimal places
+ */
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Parse a legacy free-text discount ("10% off", "Buy 2 Get 1 Free", "10% cashback", "₹20 off")
+ * into promotion fields. Returns null when the text is empty or not understood.
+ */
+const parseDiscountText = (text) => {
+    if (!text || typeof text !== 'string') return null;
+
+    const trimmed = text.trim();
+    let match;
+
+    if ((match = trimmed.match(/buy\s*(\d+)\s*get\s*(\d+)/i))) {
+        return {
+            name: trimmed,
+            type: 'buy_x_get_y',
+            buyQuantity: Number(match[1]),
+            getQuantity: Number(match[2])
+        };
+    }
+
+    if ((match = trimmed.match(/(\d+(?:\.\d+)?)\s*%\s*cash\s*back/i))) {
+        return { name: trimmed, type: 'cashback', value: Number(match[1]) };
+    }
+
+    if ((match = trimmed.match(/(\d+(?:\.\d+)?)\s*%\s*(?:off|discount)/i))) {
+        return { name: trimmed, type: 'percentage', value: Number(match[1]) };
+    }
+
+    if ((match = trimmed.match(/(?:₹|rs\.?|inr|flat)\s*(\d+(?:\.\d+)?)\s*(?:off|discount)/i))) {
+        return { name: trimmed, type: 'flat', value: Number(match[1]) };
+    }
+
+    return null;
+};
+
+/**
+ * Check whether a promotion applies to a product and number of units at a point in time
+ * Units are packs: for products sold by weight, each weighed label is one unit
+ */
+const isPromotionApplicable = (promotion, product, units, at = new Date()) => {
+    if (!promotion.active) return false;
+    if (promotion.startsAt && promotion.startsAt > at) return false;
+    if (promotion.endsAt && promotion.endsAt <= at) return false;
+    if (units < (promotion.minQuantity || 1)) return false;
+
+    const productIds = promotion.productIds || [];
+    const categories = promotion.categories || [];
+
+    if (productIds.length === 0 && categories.length === 0) return true;
+
+    // Promotion.findApplicable widens category targets to their subcategories
+    const targetCategories = (promotion.$locals && promotion.$locals.targetCategories) || categories;
+
+    return productIds.includes(product.productId) || targetCategories.includes(product.category);
+};
+
+/**
+ * Compute the discount and cashback a single promotion gives on a line
+ * `quantity` is what the unit price is charged on (kilograms for weighed lines) and `units`
+ * the number of packs; flat and buy-x-get-y promotions count packs, priced at their average
+ */
+const applyPromotion = (promotion, unitPrice, quantity, units = quantity) => {
+    const grossAmount = unitPrice * quantity;
+    const packPrice = units > 0 ? grossAmount / units : 0;
+    let discountAmount = 0;
+    let cashbackAmount = 0;
+
+    switch (promotion.type) {
+        case 'percentage':
+            discountAmount = grossAmount * promotion.value / 100;
+            break;
+        case 'flat':
+            discountAmount = Math.min(promotion.value, packPrice) * units;
+            break;
+        case 'buy_x_get_y': {
+            const groupSize = promotion.buyQuantity + promotion.getQuantity;
+            const freeUnits = Math.floor(units / groupSize) * promotion.getQuantity;
+            discountAmount = freeUnits * packPrice;
+            break;
+        }
+        case 'cashback':
+            cashbackAmount = grossAmount * promotion.value / 100;
+            break;
+    }
+
+    return {
+        discountAmount: roundAmount(discountAmount),
+        cashbackAmount: roundAmount(cashbackAmount)
+    };
+};
+
+/**
+ * Calculate the effective price of a product for a quantity
+ *
+ * Promotions do not stack: the applicable one giving the largest saving
+ * (discount plus cashback) is used. For products sold by weight `quantity` is in kilograms
+ * and `units` is the number of weighed labels it came from.
+ */
+const calculatePrice = (product, quantity = 1, promotions = [], at = new Date(), units = quantity) => {
+    const unitPrice = product.mrpPrice;
+    const grossAmount = roundAmount(unitPrice * quantity);
+
+    let best = null;
+
+    for (const promotion of promotions) {
+        if (!isPromotionApplicable(promotion, product, units, at)) continue;
+
+        const result = applyPromotion(promotion, unitPrice, quantity, units);
+        const saving = result.discountAmount + result.cashbackAmount;
+
+        if (saving > 0 && (!best || saving > best.saving)) {
+            best = { promotion, saving, ...result };
+        }
+    }
+
+    const discountAmount = best ? best.discountAmount : 0;
+    const netAmount = roundAmount(grossAmount - discountAmount);
+
+    return {
+        productId: product.productId,
+        quantity,
+        unitPrice,
+        grossAmount,
+        discountAmount,
+        netAmount,
+        effectiveUnitPrice: quantity > 0 ? roundAmount(netAmount / quantity) : unitPrice,
+        cashbackAmount: best ? best.cashbackAmount : 0,
+        promotion: best
+            ? {
+                promotionId: best.promotion.promotionId,
+                name: best.promotion.name,
+                type: best.promotion.type
+            }
+            : null
+    };
+};
+
+/**
+ * Tax contained in a tax-inclusive amount at a percentage rate
+ */
+const includedTax = (amount, rate) => roundAmount(amount * rate / (100 + rate));
+
+module.exports = {
+    roundAmount,
+    includedTax,
+    parseDiscountText,
+    isPromotionApplicable,
+    applyPromotion,
+    calculatePrice
+};
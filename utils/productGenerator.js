@@ -0,0 +1,130 @@
+const { config } = require('../config');
+const { computeCheckDigit } = require('./barcode');
+
+/**
+ * Synthetic product generator for load testing
+ * Produces realistic grocery items spread evenly across all product categories
+ */
+
+// Per-category catalog templates: brands, items, pack sizes, price range (₹) and shelf life (days)
+const CATEGORY_TEMPLATES = {
+    Dairy: {
+        brands: ['Amul', 'Mother Dairy', 'Nestle', 'Britannia', 'Gowardhan'],
+        items: ['Milk', 'Curd', 'Paneer', 'Butter', 'Cheese Slices', 'Ghee', 'Lassi'],
+        sizes: ['200g', '400g', '500ml', '1L'],
+        price: [25, 550],
+        shelfLifeDays: [5, 60]
+    },
+    Fruits: {
+        brands: ['Fresh', 'Farm Fresh', 'Organic'],
+        items: ['Apples', 'Bananas', 'Oranges', 'Grapes', 'Pomegranates', 'Mangoes', 'Papaya'],
+        sizes: ['500g', '1kg', '6 pcs', '12 pcs'],
+        price: [40, 320],
+        shelfLifeDays: [3, 21]
+    },
+    Vegetables: {
+        brands: ['Fresh', 'Farm Fresh', 'Organic'],
+        items: ['Tomatoes', 'Onions', 'Potatoes', 'Broccoli', 'Spinach', 'Carrots', 'Capsicum'],
+        sizes: ['250g', '500g', '1kg'],
+        price: [20, 180],
+        shelfLifeDays: [2, 30]
+    },
+    Grocery: {
+        brands: ['Fortune', 'Aashirvaad', 'Tata', 'India Gate', 'Saffola', 'Everest'],
+        items: ['Sunflower Oil', 'Atta', 'Salt', 'Basmati Rice', 'Toor Dal', 'Sugar', 'Garam Masala'],
+        sizes: ['100g', '500g', '1kg', '1L', '5kg'],
+        price: [20, 900],
+        shelfLifeDays: [180, 540]
+    },
+    Bakery: {
+        brands: ['Britannia', 'Harvest Gold', 'Modern', 'English Oven'],
+        items: ['Bread', 'Brown Bread', 'Pav', 'Rusk', 'Cake', 'Buns'],
+        sizes: ['200g', '400g', '6 pcs'],
+        price: [30, 180],
+        shelfLifeDays: [3, 30]
+    },
+    Beverages: {
+        brands: ['Coca Cola', 'Pepsi', 'Tropicana', 'Real', 'Bisleri', 'Red Label'],
+        items: ['Cola', 'Orange Juice', 'Mango Drink', 'Mineral Water', 'Tea', 'Soda'],
+        sizes: ['250ml', '500ml', '1L', '2L'],
+        price: [20, 450],
+        shelfLifeDays: [90, 365]
+    },
+    Snacks: {
+        brands: ['Lays', 'Haldiram', 'Bingo', 'Kurkure', 'Parle'],
+        items: ['Chips', 'Bhujia', 'Nachos', 'Namkeen', 'Biscuits', 'Cookies'],
+        sizes: ['50g', '100g', '200g', '400g'],
+        price: [10, 250],
+        shelfLifeDays: [60, 240]
+    },
+    Other: {
+        brands: ['Surf Excel', 'Vim', 'Colgate', 'Dettol', 'Harpic'],
+        items: ['Detergent', 'Dishwash Gel', 'Toothpaste', 'Handwash', 'Toilet Cleaner'],
+        sizes: ['100g', '500ml', '1kg'],
+        price: [40, 600],
+        shelfLifeDays: [365, 1095]
+    }
+};
+
+const DISCOUNTS = ['', '', '', '5% off', '10% off', '15% off', 'Buy 1 Get 1 Free', 'Buy 2 Get 1 Free', '10% cashback', '₹20 off'];
+
+/**
+ * Small deterministic PRNG (mulberry32) so a seed value reproduces the same catalog
+ */
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Build a valid EAN-13 from a sequence number (GS1 India prefix 890)
+ */
+const syntheticEan13 = (sequence) => {
+    const body = `890${String(sequence).padStart(9, '0')}`;
+    return `${body}${computeCheckDigit(body)}`;
+};
+
+/**
+ * Generate `count` synthetic products
+ * Options: seed (number) for reproducible output, prefix for product IDs, now (Date) for expiry dates
+ */
+const generateProducts = (count, { seed = Date.now(), prefix = 'GEN', now = new Date() } = {}) => {
+    const random = createRandom(seed);
+    const pick = (values) => values[Math.floor(random() * values.length)];
+    const between = (min, max) => min + random() * (max - min);
+    const categories = config.productCategories;
+    const products = [];
+
+    for (let i = 1; i <= count; i++) {
+        // Round-robin so every category gets an even share
+        const category = categories[(i - 1) % categories.length];
+        const template = CATEGORY_TEMPLATES[category];
+        const shelfLife = Math.round(between(...template.shelfLifeDays));
+        const expiry = new Date(now.getTime() + shelfLife * 24 * 60 * 60 * 1000);
+
+        products.push({
+            productId: `${prefix}-${String(i).padStart(6, '0')}`,
+            name: `${pick(template.brands)} ${pick(template.items)} (${pick(template.sizes)})`,
+            mrpPrice: Math.round(between(...template.price) * 2) / 2,
+            image: 'https://via.placeholder.com/100',
+            stock: Math.floor(between(0, 200)),
+            category,
+            discounts: pick(DISCOUNTS),
+            expiryDate: expiry.toISOString().slice(0, 10),
+            barcodes: [{ code: syntheticEan13(i), format: 'ean_13' }]
+        });
+    }
+
+    return products;
+};
+
+module.exports = {
+    CATEGORY_TEMPLATES,
+    generateProducts
+};
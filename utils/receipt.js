@@ -0,0 +1,180 @@
+const { config } = require('../config');
+
+/**
+ * Receipt rendering utilities
+ * Renders an order as a plain-text slip for 40-column thermal printers, or as a standalone HTML page
+ */
+
+const RECEIPT_WIDTH = 40;
+
+/**
+ * Format an amount with two decimals (the currency is printed once, in the header)
+ */
+const money = (amount) => (amount ?? 0).toFixed(2);
+
+/**
+ * Date and time of the order in the store's time zone
+ */
+const formatPlacedAt = (date) => new Intl.DateTimeFormat('en-IN', {
+    timeZone: config.store.timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+}).format(date);
+
+/**
+ * Quantity detail of an order line, e.g. "3 x 45.00" or "1.235 kg x 180.00/kg"
+ */
+const quantityText = (item) => {
+    if (item.pricingUnit === 'kg' && item.weightGrams) {
+        return `${(item.weightGrams / 1000).toFixed(3)} kg x ${money(item.unitPrice)}/kg`;
+    }
+
+    return `${item.quantity} x ${money(item.unitPrice)}`;
+};
+
+/**
+ * The receipt as rows, shared by both renderers
+ * Each row is { left, right } or { text } for a centred line, or { rule: true }
+ */
+const receiptRows = (order) => {
+    const rows = [{ text: config.store.name }];
+
+    if (config.store.address) rows.push({ text: config.store.address });
+    if (config.store.gstin) rows.push({ text: `GSTIN: ${config.store.gstin}` });
+
+    rows.push(
+        { rule: true },
+        { left: 'Order', right: order.orderNumber },
+        { left: 'Date', right: formatPlacedAt(order.placedAt) },
+        { rule: true }
+    );
+
+    for (const item of order.items) {
+        rows.push({ left: item.name, right: money(item.grossAmount) });
+        rows.push({ left: `  ${quantityText(item)}`, detail: true });
+
+        if (item.discountAmount > 0) {
+            rows.push({ left: `  ${item.promotion ? item.promotion.name : 'Discount'}`, right: `-${money(item.discountAmount)}`, detail: true });
+        }
+    }
+
+    rows.push(
+        { rule: true },
+        { left: 'Subtotal', right: money(order.subtotal) }
+    );
+
+    if (order.discountTotal > 0) {
+        rows.push({ left: 'Discounts', right: `-${money(order.discountTotal)}` });
+    }
+
+    rows.push({ left: `TOTAL (${order.currency})`, right: money(order.total), strong: true });
+    rows.push({ left: `Items: ${order.itemCount}` });
+
+    if (order.taxLines.length > 0) {
+        rows.push({ rule: true }, { left: 'Tax included', right: 'Taxable / Tax' });
+
+        for (const taxLine of order.taxLines) {
+            rows.push({ left: taxLine.name, right: `${money(taxLine.taxableAmount)} / ${money(taxLine.taxAmount)}` });
+        }
+
+        rows.push({ left: 'Total tax', right: money(order.taxTotal) });
+    }
+
+    if (order.cashbackTotal > 0) {
+        rows.push({ rule: true }, { left: 'Cashback earned', right: money(order.cashbackTotal) });
+    }
+
+    rows.push({ rule: true }, { text: 'Thank you for shopping with us!' });
+
+    return rows;
+};
+
+/**
+ * Lay out one text row: left text padded so the right text ends at the last column
+ * Left text that leaves no room is wrapped onto its own line
+ */
+const textRow = ({ left = '', right = '' }) => {
+    const room = RECEIPT_WIDTH - right.length - 1;
+
+    if (left.length > room && right) {
+        return `${left.slice(0, RECEIPT_WIDTH)}\n${right.padStart(RECEIPT_WIDTH)}`;
+    }
+
+    return right ? `${left.padEnd(room)} ${right}` : left.slice(0, RECEIPT_WIDTH);
+};
+
+/**
+ * Centre a line within the receipt width
+ */
+const centred = (text) => {
+    const line = text.slice(0, RECEIPT_WIDTH);
+    return `${' '.repeat(Math.floor((RECEIPT_WIDTH - line.length) / 2))}${line}`;
+};
+
+/**
+ * Render an order as a plain-text receipt
+ */
+const renderTextReceipt = (order) => receiptRows(order)
+    .map(row => {
+        if (row.rule) return '-'.repeat(RECEIPT_WIDTH);
+        if (row.text !== undefined) return centred(row.text);
+        return textRow(row);
+    })
+    .join('\n') + '\n';
+
+/**
+ * Escape text for inclusion in HTML
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Render an order as a printable HTML page
+ */
+const renderHtmlReceipt = (order) => {
+    const body = receiptRows(order).map(row => {
+        if (row.rule) return '<tr><td colspan="2"><hr></td></tr>';
+        if (row.text !== undefined) return `<tr><td colspan="2" class="centre">${escapeHtml(row.text)}</td></tr>`;
+
+        const classes = [row.detail && 'detail', row.strong && 'strong'].filter(Boolean).join(' ');
+        const classAttr = classes ? ` class="${classes}"` : '';
+
+        return `<tr${classAttr}><td>${escapeHtml(row.left || '')}</td><td class="amount">${escapeHtml(row.right || '')}</td></tr>`;
+    });
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>Receipt ${escapeHtml(order.orderNumber)}</title>`,
+        '<style>',
+        'body { font-family: monospace; max-width: 40ch; margin: 1em auto; }',
+        'table { width: 100%; border-collapse: collapse; }',
+        'td { padding: 0; vertical-align: top; white-space: pre-wrap; }',
+        'hr { border: 0; border-top: 1px dashed #000; }',
+        '.centre { text-align: center; }',
+        '.amount { text-align: right; white-space: nowrap; }',
+        '.detail { color: #444; }',
+        '.strong { font-weight: bold; }',
+        '</style>',
+        '</head>',
+        '<body>',
+        '<table>',
+        ...body,
+        '</table>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+};
+
+module.exports = {
+    RECEIPT_WIDTH,
+    renderTextReceipt,
+    renderHtmlReceipt
+};
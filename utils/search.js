@@ -0,0 +1,101 @@
+/**
+ * Product search utilities
+ * Trigram-based fuzzy matching that MongoDB can evaluate without a search engine
+ */
+
+// Minimum share of the query's trigrams a name must contain to count as a match
+const MIN_SIMILARITY = 0.4;
+
+// Extra relevance for names with a word starting with a query word
+const PREFIX_BONUS = 0.5;
+
+/**
+ * Lowercase, strip accents and collapse everything that is not a letter or digit
+ */
+const normalizeText = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Split text into normalized words
+ */
+const tokenize = (text) => {
+    const normalized = normalizeText(text);
+    return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Build the set of trigrams for a text
+ * Each word is padded ("  word ") so prefixes weigh more, as in PostgreSQL pg_trgm
+ */
+const trigrams = (text) => {
+    const grams = new Set();
+
+    for (const word of tokenize(text)) {
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            grams.add(padded.slice(i, i + 3));
+        }
+    }
+
+    return [...grams];
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the MongoDB expression that scores a product against a query
+ * Score = share of query trigrams found in the product's searchGrams,
+ * plus a bonus for every query word that starts a word in the name
+ */
+const relevanceExpression = (query) => {
+    const queryGrams = trigrams(query);
+    const words = tokenize(query);
+
+    const similarity = {
+        $divide: [
+            { $size: { $setIntersection: [{ $ifNull: ['$searchGrams', []] }, queryGrams] } },
+            Math.max(queryGrams.length, 1)
+        ]
+    };
+
+    const prefixBonuses = words.map(word => ({
+        $cond: [
+            { $regexMatch: { input: '$name', regex: `(^|[^a-z0-9])${escapeRegex(word)}`, options: 'i' } },
+            PREFIX_BONUS / words.length,
+            0
+        ]
+    }));
+
+    return { $add: [similarity, ...prefixBonuses] };
+};
+
+/**
+ * Build filter conditions that match products fuzzily against a query
+ * Returns null when the query has no searchable characters
+ */
+const searchConditions = (query) => {
+    const queryGrams = trigrams(query);
+    if (queryGrams.length === 0) return null;
+
+    return {
+        searchGrams: { $in: queryGrams },
+        $expr: { $gte: [relevanceExpression(query), MIN_SIMILARITY] }
+    };
+};
+
+module.exports = {
+    MIN_SIMILARITY,
+    normalizeText,
+    tokenize,
+    trigrams,
+    escapeRegex,
+    relevanceExpression,
+    searchConditions
+};
@@ -0,0 +1,123 @@
+const { config } = require('../config');
+
+/**
+ * Weight verification utilities
+ * Compares what a basket's load cell measured with the net weight of the items scanned into it
+ */
+
+// Suspects reported for one discrepancy
+const MAX_SUSPECTS = 5;
+
+/**
+ * Round a weight to 1 decimal place
+ */
+const roundGrams = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Allowed deviation of one unit of a product
+ */
+const unitTolerance = (product) => {
+    if (typeof product.weightToleranceGrams === 'number') return product.weightToleranceGrams;
+    return product.netWeightGrams * config.defaultWeightTolerancePercent / 100;
+};
+
+/**
+ * Lines whose count being off by a few units would explain the difference
+ * A shortfall points at units that were scanned but not put in (or swapped for something
+ * lighter); an excess points at extra units put in without being scanned
+ */
+const findSuspects = (lines, difference, tolerance) => {
+    const issue = difference < 0 ? 'missing' : 'unscanned';
+    const target = Math.abs(difference);
+    const suspects = [];
+
+    for (const line of lines) {
+        if (!line.unitWeightGrams) continue;
+
+        for (let units = 1; units <= line.quantity; units++) {
+            const weightGrams = units * line.unitWeightGrams;
+            const residualGrams = Math.abs(weightGrams - target);
+
+            if (residualGrams <= tolerance) {
+                suspects.push({
+                    productId: line.productId,
+                    name: line.name,
+                    issue,
+                    units,
+                    weightGrams: roundGrams(weightGrams),
+                    residualGrams: roundGrams(residualGrams)
+                });
+            }
+        }
+    }
+
+    return suspects
+        .sort((a, b) => a.residualGrams - b.residualGrams || a.units - b.units)
+        .slice(0, MAX_SUSPECTS);
+};
+
+/**
+ * Check a measured weight against basket lines
+ * `items` are { productId, quantity, weightGrams? } and `productsById` maps IDs to products with
+ * netWeightGrams/weightToleranceGrams. The tolerance is the sum of the unit tolerances
+ * plus the scale's own error, so it grows with the number of items.
+ *
+ * Returns status 'match', 'under' or 'over'. `complete` is false when some items have no
+ * known weight; their weight is then unaccounted for and the result is only a hint.
+ */
+const verifyWeight = (items, productsById, { measuredGrams, tareGrams = 0 }) => {
+    const lines = items.map(item => {
+        const product = productsById.get(item.productId);
+
+        // Lines scanned from weighed labels carry their own weight, so only the scale's error applies
+        if (item.weightGrams) {
+            return {
+                productId: item.productId,
+                name: product ? product.name : null,
+                quantity: item.quantity,
+                unitWeightGrams: item.weightGrams / item.quantity,
+                expectedGrams: item.weightGrams,
+                toleranceGrams: 0
+            };
+        }
+
+        const weighed = Boolean(product) && typeof product.netWeightGrams === 'number';
+
+        return {
+            productId: item.productId,
+            name: product ? product.name : null,
+            quantity: item.quantity,
+            unitWeightGrams: weighed ? product.netWeightGrams : null,
+            expectedGrams: weighed ? roundGrams(product.netWeightGrams * item.quantity) : null,
+            toleranceGrams: weighed ? roundGrams(unitTolerance(product) * item.quantity) : null
+        };
+    });
+
+    const weighedLines = lines.filter(line => line.unitWeightGrams !== null);
+    const expectedGrams = roundGrams(weighedLines.reduce((sum, line) => sum + line.unitWeightGrams * line.quantity, 0));
+    const toleranceGrams = roundGrams(weighedLines.reduce((sum, line) => sum + line.toleranceGrams, 0) + config.scaleToleranceGrams);
+    const netGrams = roundGrams(measuredGrams - tareGrams);
+    const differenceGrams = roundGrams(netGrams - expectedGrams);
+
+    let status = 'match';
+    if (differenceGrams < -toleranceGrams) status = 'under';
+    if (differenceGrams > toleranceGrams) status = 'over';
+
+    return {
+        status,
+        complete: weighedLines.length === lines.length,
+        measuredGrams,
+        tareGrams,
+        netGrams,
+        expectedGrams,
+        toleranceGrams,
+        differenceGrams,
+        items: lines,
+        suspects: status === 'match' ? [] : findSuspects(weighedLines, differenceGrams, toleranceGrams),
+        unweighedItems: lines.filter(line => line.unitWeightGrams === null).map(line => line.productId)
+    };
+};
+
+module.exports = {
+    verifyWeight
+};
@@ -0,0 +1,35 @@
+const Joi = require('joi');
+const { USER_ROLES } = require('../models/User');
+
+/**
+ * Joi schemas for the auth routes
+ * Passwords are taken exactly as sent (never trimmed); their length rule lives in User#setPassword
+ */
+
+const email = Joi.string().trim().lowercase().max(254).email({ tlds: { allow: false } });
+const name = Joi.string().trim().min(1).max(100);
+const password = Joi.string().min(1).max(1024);
+
+const registerBody = Joi.object({
+    email: email.required(),
+    name: name.required(),
+    password: password.required()
+});
+
+const loginBody = Joi.object({
+    email: email.required(),
+    password: password.required()
+});
+
+const createUserBody = Joi.object({
+    email: email.required(),
+    name: name.required(),
+    password: password.required(),
+    role: Joi.string().valid(...USER_ROLES).required()
+});
+
+module.exports = {
+    registerBody,
+    loginBody,
+    createUserBody
+};
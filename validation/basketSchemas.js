@@ -0,0 +1,44 @@
+const Joi = require('joi');
+
+/**
+ * Joi schemas for the basket routes
+ */
+
+const basketId = Joi.string().trim().min(1).max(100);
+// A product ID, or a scanned barcode alias or weighed label that resolves to one
+const productId = Joi.string().trim().min(1).max(100);
+
+const basketParams = Joi.object({
+    id: basketId.required()
+});
+
+const basketItemParams = Joi.object({
+    id: basketId.required(),
+    productId: productId.required()
+});
+
+// weightGrams is for products sold by weight scanned without a weighed label
+const addItemBody = Joi.object({
+    productId: productId.required(),
+    quantity: Joi.number().integer().min(1).default(1),
+    weightGrams: Joi.number().integer().min(1)
+});
+
+// 0 removes the line
+const setQuantityBody = Joi.object({
+    quantity: Joi.number().integer().min(0).required()
+});
+
+// Without measuredGrams the latest reading of a device linked to the basket is used
+const verifyWeightBody = Joi.object({
+    measuredGrams: Joi.number().min(0),
+    tareGrams: Joi.number().min(0).default(0)
+});
+
+module.exports = {
+    basketParams,
+    basketItemParams,
+    addItemBody,
+    setQuantityBody,
+    verifyWeightBody
+};
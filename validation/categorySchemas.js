@@ -0,0 +1,47 @@
+const Joi = require('joi');
+
+/**
+ * Joi schemas for the category routes
+ * Field limits mirror CategorySchema so bad input is rejected before it reaches the database
+ */
+
+// A category slug or name
+const categoryRef = Joi.string().trim().min(1).max(100);
+
+const categoryFields = {
+    name: Joi.string().trim().min(1).max(100),
+    // Empty or null makes the category top-level
+    parent: Joi.string().trim().max(100).allow('', null),
+    displayOrder: Joi.number().integer(),
+    icon: Joi.string().trim().max(2048).allow(''),
+    // null inherits the rate from the parent category
+    taxRate: Joi.number().min(0).max(100).allow(null)
+};
+
+const categoryParams = Joi.object({
+    id: categoryRef.required()
+});
+
+const listCategoriesQuery = Joi.object({
+    tree: Joi.boolean().default(false)
+});
+
+const createCategoryBody = Joi.object({
+    ...categoryFields,
+    name: categoryFields.name.required()
+});
+
+const updateCategoryBody = Joi.object(categoryFields)
+    .min(1).messages({ 'object.min': 'Request body must contain at least one field to update' });
+
+const deleteCategoryQuery = Joi.object({
+    reassignTo: categoryRef
+});
+
+module.exports = {
+    categoryParams,
+    listCategoriesQuery,
+    createCategoryBody,
+    updateCategoryBody,
+    deleteCategoryQuery
+};
@@ -0,0 +1,17 @@
+const Joi = require('joi');
+
+/**
+ * Joi building blocks shared by the route schemas
+ */
+
+// Page size bounded by the app's own config, which validate() passes as the Joi context,
+// so createApp({ ...config, maxPageSize }) takes effect without reloading the schemas
+const pageLimit = Joi.number().integer().min(1).max(Joi.ref('$maxPageSize'))
+    .messages({ 'number.max': '{{#label}} cannot exceed {{$maxPageSize}}' });
+
+const pageLimitWithDefault = pageLimit.default(Joi.ref('$defaultPageSize'));
+
+module.exports = {
+    pageLimit,
+    pageLimitWithDefault
+};
@@ -0,0 +1,73 @@
+const Joi = require('joi');
+const { config } = require('../config');
+const { DEVICE_EVENT_TYPES } = require('../models/DeviceEvent');
+const { pageLimitWithDefault } = require('./common');
+
+/**
+ * Joi schemas for the device routes
+ */
+
+// "me" addresses the calling device, so it cannot be a device ID
+const deviceId = Joi.string().trim().min(1).max(100).pattern(/^[A-Za-z0-9._-]+$/).invalid('me')
+    .messages({
+        'string.pattern.base': 'deviceId may only contain letters, digits, ".", "_" and "-"',
+        'any.invalid': 'deviceId cannot be "me"'
+    });
+const basketId = Joi.string().trim().min(1).max(100);
+
+const deviceParams = Joi.object({
+    deviceId: deviceId.required()
+});
+
+const registerDeviceBody = Joi.object({
+    deviceId,
+    name: Joi.string().trim().min(1).max(100).required()
+});
+
+const updateDeviceBody = Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    active: Joi.boolean()
+}).min(1).messages({ 'object.min': 'Request body must contain at least one field to update' });
+
+const listDevicesQuery = Joi.object({
+    status: Joi.string().valid('online', 'offline'),
+    active: Joi.boolean(),
+    linked: Joi.boolean(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: pageLimitWithDefault
+});
+
+// Without a basketId a new basket is started for the device
+const linkSessionBody = Joi.object({
+    basketId
+});
+
+const heartbeatBody = Joi.object({
+    firmwareVersion: Joi.string().trim().max(50),
+    batteryLevel: Joi.number().min(0).max(100)
+});
+
+const deviceEvent = Joi.object({
+    idempotencyKey: Joi.string().trim().min(1).max(200).required(),
+    type: Joi.string().valid(...DEVICE_EVENT_TYPES).required(),
+    // When the device recorded the reading, not when it was uploaded
+    timestamp: Joi.date().iso().required(),
+    code: Joi.when('type', { is: 'scan', then: Joi.string().trim().min(1).max(64).required(), otherwise: Joi.forbidden() }),
+    format: Joi.when('type', { is: 'scan', then: Joi.string().trim().lowercase().valid(...config.barcodeFormats), otherwise: Joi.forbidden() }),
+    quantity: Joi.when('type', { is: 'scan', then: Joi.number().integer().min(1).default(1), otherwise: Joi.forbidden() }),
+    grams: Joi.when('type', { is: 'weight', then: Joi.number().min(0).required(), otherwise: Joi.forbidden() })
+});
+
+const ingestEventsBody = Joi.object({
+    events: Joi.array().items(deviceEvent).min(1).max(config.deviceBatchLimit).required()
+});
+
+module.exports = {
+    deviceParams,
+    registerDeviceBody,
+    updateDeviceBody,
+    listDevicesQuery,
+    linkSessionBody,
+    heartbeatBody,
+    ingestEventsBody
+};
@@ -0,0 +1,30 @@
+const Joi = require('joi');
+const { PRODUCT_EVENTS } = require('../services/events');
+
+/**
+ * Joi schemas for the real-time event stream
+ */
+
+// Comma-separated list in the query string, converted to an array of trimmed values
+const commaList = (item) => Joi.string().trim().max(2000).custom((value, helpers) => {
+    const values = value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+    for (const entry of values) {
+        const { error } = item.validate(entry);
+        if (error) return helpers.message(`${helpers.state.path.join('.')} contains an invalid value: ${entry}`);
+    }
+
+    return values;
+});
+
+const eventStreamQuery = Joi.object({
+    products: commaList(Joi.string().max(100)),
+    categories: commaList(Joi.string().max(100)),
+    types: commaList(Joi.string().valid(...PRODUCT_EVENTS)),
+    // EventSource sends Last-Event-ID as a header on reconnect; this covers the first connection
+    lastEventId: Joi.string().trim().max(100)
+});
+
+module.exports = {
+    eventStreamQuery
+};
@@ -0,0 +1,30 @@
+const Joi = require('joi');
+const { pageLimitWithDefault } = require('./common');
+
+/**
+ * Joi schemas for the order routes
+ */
+
+const orderParams = Joi.object({
+    id: Joi.string().trim().guid().required()
+        .messages({ 'string.guid': 'id must be an orderId' })
+});
+
+const receiptQuery = Joi.object({
+    format: Joi.string().valid('text', 'html').default('text')
+});
+
+const listOrdersQuery = Joi.object({
+    orderNumber: Joi.string().trim().max(50),
+    basketId: Joi.string().trim().max(100),
+    from: Joi.date().iso(),
+    to: Joi.date().iso(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: pageLimitWithDefault
+});
+
+module.exports = {
+    orderParams,
+    receiptQuery,
+    listOrdersQuery
+};
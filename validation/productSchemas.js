@@ -0,0 +1,173 @@
+const Joi = require('joi');
+const { config } = require('../config');
+const { STOCK_REASONS, PRICING_UNITS } = require('../models/Product');
+const { MOVEMENT_TYPES } = require('../models/StockMovement');
+const { pageLimit, pageLimitWithDefault } = require('./common');
+
+/**
+ * Joi schemas for the product routes
+ * Field limits mirror ProductSchema so bad input is rejected before it reaches the database
+ */
+
+const PRODUCT_SORTS = ['relevance', 'newest', 'price_asc', 'price_desc', 'name_asc', 'name_desc'];
+
+const productId = Joi.string().trim().min(1).max(100);
+const quantity = Joi.number().integer().min(1);
+
+const barcode = Joi.object({
+    code: Joi.string().trim().min(1).max(64).required(),
+    format: Joi.string().trim().lowercase().valid(...config.barcodeFormats).required(),
+    label: Joi.string().trim().max(100).allow('')
+});
+
+const lot = Joi.object({
+    lotNumber: Joi.string().trim().min(1).max(100).required(),
+    quantity: Joi.number().integer().min(0).required(),
+    expiryDate: Joi.date().iso().allow(null),
+    receivedAt: Joi.date().iso()
+});
+
+// Fields a client may set on a product; stock-tracking internals are never accepted
+const productFields = {
+    name: Joi.string().trim().min(1).max(200),
+    mrpPrice: Joi.number().min(0),
+    image: Joi.string().trim().max(2048).allow(''),
+    stock: Joi.number().integer().min(0),
+    category: Joi.string().trim().min(1).max(100),
+    discounts: Joi.string().trim().max(200).allow(''),
+    expiryDate: Joi.string().trim().pattern(/^\d{4}-\d{2}-\d{2}$/).allow('', null)
+        .messages({ 'string.pattern.base': 'expiryDate must be in YYYY-MM-DD format' }),
+    barcodes: Joi.array().items(barcode).max(20),
+    pricingUnit: Joi.string().valid(...PRICING_UNITS),
+    plu: Joi.string().trim().pattern(/^\d{5}$/).allow(null)
+        .messages({ 'string.pattern.base': 'plu must be 5 digits' }),
+    netWeightGrams: Joi.number().min(0).allow(null),
+    weightToleranceGrams: Joi.number().min(0).allow(null),
+    lots: Joi.array().items(lot)
+};
+
+// Filters shared by the list and export endpoints
+const listFilters = {
+    search: Joi.string().trim().max(100).allow(''),
+    category: Joi.string().trim().max(100).allow(''),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(Joi.ref('minPrice', { adjust: value => value || 0 }))
+        .messages({ 'number.min': 'maxPrice cannot be lower than minPrice' }),
+    inStock: Joi.boolean(),
+    expired: Joi.boolean(),
+    expiringWithinDays: Joi.number().integer().min(0),
+    discounted: Joi.boolean()
+};
+
+const productParams = Joi.object({
+    id: productId.required()
+});
+
+const listProductsQuery = Joi.object({
+    ...listFilters,
+    sort: Joi.when('search', {
+        is: Joi.string().min(1).required(),
+        then: Joi.string().valid(...PRODUCT_SORTS),
+        otherwise: Joi.string().valid(...PRODUCT_SORTS.filter(sort => sort !== 'relevance'))
+            .messages({ 'any.only': `sort must be one of [${PRODUCT_SORTS.join(', ')}]; relevance requires search` })
+    }),
+    page: Joi.number().integer().min(1),
+    limit: pageLimit,
+    cursor: Joi.string().trim().max(1000)
+}).oxor('page', 'cursor').messages({ 'object.oxor': 'page and cursor cannot be combined' });
+
+const exportProductsQuery = Joi.object({
+    ...listFilters,
+    format: Joi.string().valid('csv', 'json').default('json')
+});
+
+const importProductsQuery = Joi.object({
+    dryRun: Joi.boolean().default(false)
+});
+
+const suggestQuery = Joi.object({
+    q: Joi.string().trim().min(1).max(100).required(),
+    limit: Joi.number().integer().min(1).max(20).default(10)
+});
+
+const expiringQuery = Joi.object({
+    withinDays: Joi.number().integer().min(0).default(7),
+    expired: Joi.boolean().default(false)
+});
+
+const priceQuery = Joi.object({
+    quantity: quantity.default(1)
+});
+
+const movementsQuery = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from', { adjust: value => value || new Date(0) }))
+        .messages({ 'date.min': 'to cannot be earlier than from', 'any.ref': 'to cannot be checked against an invalid from' }),
+    type: Joi.string().valid(...MOVEMENT_TYPES),
+    page: Joi.number().integer().min(1).default(1),
+    limit: pageLimitWithDefault
+});
+
+const createProductBody = Joi.object({
+    productId: productId.required(),
+    ...productFields,
+    name: productFields.name.required(),
+    mrpPrice: productFields.mrpPrice.required(),
+    stock: productFields.stock.required()
+});
+
+// Stock only changes through deltas (PATCH .../stock, POST .../lots); an absolute value written here
+// would overwrite sales and adjustments made since the product was read
+const updateProductBody = Joi.object({
+    productId,
+    ...productFields,
+    stock: Joi.any().forbidden()
+        .messages({ 'any.unknown': 'stock cannot be set here; use PATCH /api/products/:id/stock' }),
+    lots: Joi.any().forbidden()
+        .messages({ 'any.unknown': 'lots cannot be set here; use POST /api/products/:id/lots or PATCH /api/products/:id/stock' })
+}).min(1).messages({ 'object.min': 'Request body must contain at least one field to update' });
+
+const receiveLotBody = Joi.object({
+    lotNumber: Joi.string().trim().min(1).max(100).required(),
+    quantity: quantity.required(),
+    expiryDate: Joi.date().iso()
+});
+
+const stockOperationBody = Joi.object({
+    operation: Joi.string().valid('adjust', 'reserve', 'release', 'commit').default('adjust'),
+    delta: Joi.when('operation', {
+        is: 'adjust',
+        then: Joi.number().integer().invalid(0).required()
+            .messages({ 'any.invalid': 'delta must be a non-zero whole number' }),
+        otherwise: Joi.any().strip()
+    }),
+    quantity: Joi.when('operation', {
+        is: 'adjust',
+        then: Joi.any().strip(),
+        otherwise: quantity.required()
+    }),
+    reason: Joi.when('operation', {
+        is: 'adjust',
+        then: Joi.string().valid(...STOCK_REASONS).required(),
+        otherwise: Joi.any().strip()
+    }),
+    lotNumber: Joi.string().trim().max(100),
+    expiryDate: Joi.date().iso(),
+    note: Joi.string().trim().max(500).allow('')
+});
+
+module.exports = {
+    PRODUCT_SORTS,
+    productParams,
+    listProductsQuery,
+    exportProductsQuery,
+    importProductsQuery,
+    suggestQuery,
+    expiringQuery,
+    priceQuery,
+    movementsQuery,
+    createProductBody,
+    updateProductBody,
+    receiveLotBody,
+    stockOperationBody
+};
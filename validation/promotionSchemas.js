@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { PROMOTION_TYPES } = require('../models/Promotion');
+
+/**
+ * Joi schemas for the promotion routes
+ * Type-specific rules (value ranges, buy/get quantities, date order) stay in PromotionSchema,
+ * which sees the merged document on update
+ */
+
+const promotionId = Joi.string().trim().min(1).max(100);
+const productId = Joi.string().trim().min(1).max(100);
+const category = Joi.string().trim().min(1).max(100);
+
+// Fields a client may set; promotionId and source are assigned by the server
+const promotionFields = {
+    name: Joi.string().trim().min(1).max(200),
+    type: Joi.string().valid(...PROMOTION_TYPES),
+    value: Joi.number().min(0),
+    buyQuantity: Joi.number().integer().min(1).allow(null),
+    getQuantity: Joi.number().integer().min(1).allow(null),
+    minQuantity: Joi.number().integer().min(1),
+    productIds: Joi.array().items(productId).max(1000),
+    categories: Joi.array().items(category).max(100),
+    startsAt: Joi.date().iso().allow(null),
+    endsAt: Joi.date().iso().allow(null),
+    active: Joi.boolean()
+};
+
+const promotionParams = Joi.object({
+    id: promotionId.required()
+});
+
+const listPromotionsQuery = Joi.object({
+    current: Joi.boolean().default(false),
+    productId,
+    category,
+    type: Joi.string().valid(...PROMOTION_TYPES)
+});
+
+const createPromotionBody = Joi.object({
+    ...promotionFields,
+    name: promotionFields.name.required(),
+    type: promotionFields.type.required()
+});
+
+const updatePromotionBody = Joi.object(promotionFields)
+    .min(1).messages({ 'object.min': 'Request body must contain at least one field to update' });
+
+module.exports = {
+    promotionParams,
+    listPromotionsQuery,
+    createPromotionBody,
+    updatePromotionBody
+};
@@ -0,0 +1,17 @@
+const Joi = require('joi');
+const { config } = require('../config');
+
+/**
+ * Joi schemas for the scan route
+ * Check digits and symbology rules are applied by parseBarcode, which reports them as INVALID_BARCODE
+ */
+
+// Without a format, numeric codes have theirs inferred from their length
+const scanBody = Joi.object({
+    code: Joi.string().trim().min(1).max(64).required(),
+    format: Joi.string().trim().lowercase().valid(...config.barcodeFormats)
+});
+
+module.exports = {
+    scanBody
+};